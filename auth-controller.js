@@ -95,12 +95,7 @@ class AuthController {
         
         // Strava connection elements
         this.authElements.stravaConnectionBtn = document.getElementById('strava-connection-btn');
-        this.authElements.stravaConnectionModal = document.getElementById('strava-connection-modal');
         this.authElements.stravaConnectionText = document.getElementById('strava-connection-text');
-        this.authElements.modalClientId = document.getElementById('modal-clientId');
-        this.authElements.modalClientSecret = document.getElementById('modal-clientSecret');
-        this.authElements.modalConnectBtn = document.getElementById('modal-connect-btn');
-        this.authElements.modalCancelBtn = document.getElementById('modal-cancel-btn');
         
         // Form switching elements
         this.authElements.switchToSignup = document.getElementById('switch-to-signup');
@@ -145,15 +140,6 @@ class AuthController {
         } else {
             console.error('❌ Strava connection button NOT found!');
         }
-        this.authElements.modalConnectBtn?.addEventListener('click', () => this.handleStravaConnect());
-        this.authElements.modalCancelBtn?.addEventListener('click', () => this.hideStravaModal());
-
-        // Close modals on escape
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
-                this.hideStravaModal();
-            }
-        });
 
         // Debug: Add keyboard shortcut to force show Strava connection screen
         document.addEventListener('keydown', (e) => {
@@ -172,8 +158,7 @@ class AuthController {
             if (e.ctrlKey && e.shiftKey && e.key === 'C') {
                 console.log('🔑 Testing credentials...');
                 console.log('Global:', {
-                    clientId: window.STRAVA_CLIENT_ID ? 'SET' : 'NOT SET',
-                    clientSecret: window.STRAVA_CLIENT_SECRET ? 'SET' : 'NOT SET'
+                    clientId: window.STRAVA_CLIENT_ID ? 'SET' : 'NOT SET'
                 });
             }
             
@@ -278,8 +263,12 @@ class AuthController {
         const userSpecificKeys = [
             'swcp_processed_activities',
             'swcp_completed_points',
+            'swcp_coverage',
+            'swcp_imported_activities',
             'swcp_cached_activities',
             'swcp_cached_activities_timestamp',
+            'swcp_activity_import',
+            'swcp_activity_types',
             'swcp_unified_progress',  // CRITICAL: New unified progress system
             'stravaAccessToken',
             'stravaRefreshToken',
@@ -459,8 +448,9 @@ class AuthController {
             if (stravaData) {
                 // Update the existing localStorage with user's Strava data (don't JSON.stringify the tokens)
                 localStorage.setItem('stravaAccessToken', stravaData.accessToken);
-                localStorage.setItem('stravaRefreshToken', stravaData.refreshToken);
                 localStorage.setItem('stravaExpiresAt', stravaData.expiresAt.toString());
+                // Refresh tokens and the client secret now stay on the server; drop copies older versions kept
+                ['stravaRefreshToken', 'stravaClientSecret', 'strava_client_secret'].forEach(key => localStorage.removeItem(key));
                 localStorage.setItem('stravaAthlete', JSON.stringify(stravaData.athlete));
                 
                 if (this.authElements.stravaConnectionText) {
@@ -474,65 +464,63 @@ class AuthController {
         }
     }
 
-    async showStravaModal() {
+    // Start Strava's OAuth flow with the app's client ID (public; the secret stays with the token Cloud Functions)
+    async connectStrava() {
         console.log('🚀 Connect Strava button clicked!');
         
         // Wait a moment for Firebase config to load if needed
-        if (!window.STRAVA_CLIENT_ID && !window.STRAVA_CLIENT_SECRET) {
+        if (!window.STRAVA_CLIENT_ID) {
             console.log('Waiting for Firebase config to load...');
             await new Promise(resolve => setTimeout(resolve, 1000));
         }
         
-        // Check if we have global app credentials first
-        const globalClientId = window.STRAVA_CLIENT_ID || '';
-        const globalClientSecret = window.STRAVA_CLIENT_SECRET || '';
-        
-        console.log('🔑 Strava credentials check:', {
-            hasClientId: !!globalClientId,
-            hasClientSecret: !!globalClientSecret,
-            clientIdLength: globalClientId ? globalClientId.length : 0
+        const clientId = window.STRAVA_CLIENT_ID || '';
+        console.log('🔍 DETAILED OAUTH DEBUG:', {
+            clientId: clientId,
+            clientIdLength: clientId.length,
+            windowOrigin: window.location.origin,
+            windowPathname: window.location.pathname,
+            fullUrl: window.location.href
         });
         
-        if (globalClientId && globalClientSecret) {
-            console.log('✅ Using global credentials for Strava connection');
-            // Use global credentials directly without showing modal
-            this.handleStravaConnectWithCredentials(globalClientId, globalClientSecret);
+        if (!clientId) {
+            console.error('❌ Missing Strava client ID');
+            alert('Strava is not set up for this app yet: its client ID could not be loaded. Please try again later.');
             return;
         }
-        
-        // Show helpful message if no credentials are set up
-        if (!globalClientId && !globalClientSecret) {
-            alert('Strava API credentials not found. Please:\n\n1. Open setup-strava-credentials.html in a new tab\n2. Add your Strava API credentials\n3. Return here and try again\n\nNote: You need to get your Client ID and Client Secret from https://www.strava.com/settings/api');
+
+        // Validate Client ID format (should be all numbers)
+        if (!/^\d+$/.test(clientId)) {
+            console.error('❌ Invalid Client ID format:', clientId);
+            alert(`Invalid Client ID format: "${clientId}". Client ID should be all numbers (e.g., "165413"). Please check your Strava app settings and update your Firebase credentials.`);
             return;
         }
+
+        // Start OAuth flow
+        const redirectUri = window.location.origin + window.location.pathname;
+        console.log('🌐 Starting OAuth flow with redirect URI:', redirectUri);
         
-        // Fall back to user-specific credentials if no global ones
-        const clientId = userManager.getUserData('stravaClientId', '');
-        const clientSecret = userManager.getUserData('stravaClientSecret', '');
+        // Official Strava OAuth URL as required by brand guidelines
+        const oauthUrl = `https://www.strava.com/oauth/authorize?client_id=${clientId}&redirect_uri=${encodeURIComponent(redirectUri)}&response_type=code&scope=read,activity:read_all,activity:write,profile:read_all`;
+        console.log('🔗 Full OAuth URL:', oauthUrl);
         
-        this.authElements.modalClientId.value = clientId;
-        this.authElements.modalClientSecret.value = clientSecret;
+        // Debug: Check individual components
+        console.log('🔍 OAuth components:', {
+            clientId: clientId,
+            redirectUri: redirectUri,
+            encodedRedirectUri: encodeURIComponent(redirectUri),
+            scope: 'read,activity:read_all,activity:write,profile:read_all'
+        });
         
-        this.authElements.stravaConnectionModal.classList.remove('hidden');
-    }
-
-    hideStravaModal() {
-        this.authElements.stravaConnectionModal.classList.add('hidden');
-    }
-
-    async handleStravaConnect() {
-        const clientId = this.authElements.modalClientId.value.trim();
-        const clientSecret = this.authElements.modalClientSecret.value.trim();
-
-        if (!clientId || !clientSecret) {
-            alert('Please enter both Client ID and Client Secret.');
-            return;
+        // Validate URL before redirecting
+        try {
+            new URL(oauthUrl);
+            console.log('✅ OAuth URL is valid, redirecting...');
+            window.location.href = oauthUrl;
+        } catch (error) {
+            console.error('❌ Invalid OAuth URL:', error);
+            alert('Invalid OAuth URL generated. Please check your setup.');
         }
-
-        // Hide modal first
-        this.hideStravaModal();
-        
-        this.handleStravaConnectWithCredentials(clientId, clientSecret);
     }
 
     async handleStravaDisconnect() {
@@ -584,76 +572,6 @@ class AuthController {
         }
     }
 
-    handleStravaConnectWithCredentials(clientId, clientSecret) {
-        console.log('🚀 handleStravaConnectWithCredentials called');
-        console.log('🔍 DETAILED OAUTH DEBUG:', {
-            clientId: clientId,
-            clientIdType: typeof clientId,
-            clientIdLength: clientId?.length,
-            clientSecret: clientSecret ? 'present' : 'missing',
-            clientSecretType: typeof clientSecret,
-            clientSecretLength: clientSecret?.length,
-            windowOrigin: window.location.origin,
-            windowPathname: window.location.pathname,
-            fullUrl: window.location.href
-        });
-        
-        // Validate credentials
-        if (!clientId || !clientSecret) {
-            console.error('❌ Missing Strava credentials:', { 
-                clientId: !!clientId, 
-                clientSecret: !!clientSecret,
-                clientIdValue: clientId,
-                clientSecretValue: clientSecret ? '[HIDDEN]' : null
-            });
-            alert('Strava credentials are missing. Please check your Firebase setup.');
-            return;
-        }
-
-        // Validate Client ID format (should be all numbers)
-        if (!/^\d+$/.test(clientId)) {
-            console.error('❌ Invalid Client ID format:', clientId);
-            alert(`Invalid Client ID format: "${clientId}". Client ID should be all numbers (e.g., "165413"). Please check your Strava app settings and update your Firebase credentials.`);
-            return;
-        }
-
-        // Save credentials (only if not using global ones)
-        if (!window.STRAVA_CLIENT_ID) {
-            userManager.setUserData('stravaClientId', clientId);
-            userManager.setUserData('stravaClientSecret', clientSecret);
-            
-            // Also save to localStorage as fallback for OAuth callbacks
-            localStorage.setItem('strava_client_id', clientId);
-            localStorage.setItem('strava_client_secret', clientSecret);
-        }
-
-        // Start OAuth flow
-        const redirectUri = window.location.origin + window.location.pathname;
-        console.log('🌐 Starting OAuth flow with redirect URI:', redirectUri);
-        
-        // Official Strava OAuth URL as required by brand guidelines
-        const oauthUrl = `https://www.strava.com/oauth/authorize?client_id=${clientId}&redirect_uri=${encodeURIComponent(redirectUri)}&response_type=code&scope=read,activity:read_all,activity:write,profile:read_all`;
-        console.log('🔗 Full OAuth URL:', oauthUrl);
-        
-        // Debug: Check individual components
-        console.log('🔍 OAuth components:', {
-            clientId: clientId,
-            redirectUri: redirectUri,
-            encodedRedirectUri: encodeURIComponent(redirectUri),
-            scope: 'read,activity:read_all,activity:write,profile:read_all'
-        });
-        
-        // Validate URL before redirecting
-        try {
-            new URL(oauthUrl);
-            console.log('✅ OAuth URL is valid, redirecting...');
-            window.location.href = oauthUrl;
-        } catch (error) {
-            console.error('❌ Invalid OAuth URL:', error);
-            alert('Invalid OAuth URL generated. Please check your setup.');
-        }
-    }
-
     // UI Management
     switchToSignin() {
         // Only manipulate tab elements if they exist
@@ -752,6 +670,11 @@ class AuthController {
                 updateDarkModeToggle();
             }
         }
+
+        // Activity types that count towards progress, chosen on the Settings page
+        if (this.currentUserProfile && this.currentUserProfile.preferences && Array.isArray(this.currentUserProfile.preferences.activityTypes)) {
+            localStorage.setItem('swcp_activity_types', JSON.stringify(this.currentUserProfile.preferences.activityTypes));
+        }
     }
 
     showAuthScreen() {
@@ -873,7 +796,7 @@ class AuthController {
                     e.stopPropagation();
                     console.log('🎯 Connect Strava button clicked');
                     try {
-                        await authController.showStravaModal();
+                        await authController.connectStrava();
                     } catch (error) {
                         console.error('Error in connect button:', error);
                         alert('Error connecting to Strava. Please try again.');
@@ -1096,137 +1019,34 @@ class AuthController {
         
         console.log('✅ User authenticated, proceeding with OAuth callback');
         
-        // For OAuth callback, we need to load credentials differently since user might not be authenticated yet
-        console.log('🔐 Loading credentials for OAuth callback...');
-        
-        // First, try to load Firebase credentials manually
         try {
-            const { FirebaseConfig } = await import('./firebase-config.js');
-            const { getFirestore } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
-            
-            // Get the database reference (should be available from auth.js initialization)
-            const db = getFirestore();
-            const firebaseConfig = new FirebaseConfig(db);
-            
-            // Try to load credentials directly (this might work even without authentication for public config)
-            await firebaseConfig.getStravaCredentials();
-            
-            console.log('🔑 Attempted to load Firebase credentials for OAuth');
-        } catch (error) {
-            console.log('⚠️ Could not load Firebase credentials for OAuth:', error);
-        }
-        
-        // Wait a bit for credentials to load
-        let attempts = 0;
-        while ((!window.STRAVA_CLIENT_ID || !window.STRAVA_CLIENT_SECRET) && attempts < 10) {
-            await new Promise(resolve => setTimeout(resolve, 500));
-            attempts++;
-            console.log(`Waiting for credentials... attempt ${attempts}`);
-        }
-        
-        // Try global credentials first, then user-specific, then localStorage fallback
-        const clientId = window.STRAVA_CLIENT_ID || 
-                        userManager.getUserData('stravaClientId') || 
-                        localStorage.getItem('strava_client_id');
-        const clientSecret = window.STRAVA_CLIENT_SECRET || 
-                           userManager.getUserData('stravaClientSecret') || 
-                           localStorage.getItem('strava_client_secret');
-
-        console.log('OAuth credentials check:', {
-            hasGlobalClientId: !!window.STRAVA_CLIENT_ID,
-            hasGlobalClientSecret: !!window.STRAVA_CLIENT_SECRET,
-            hasUserClientId: !!userManager.getUserData('stravaClientId'),
-            hasUserClientSecret: !!userManager.getUserData('stravaClientSecret'),
-            finalClientId: !!clientId,
-            finalClientSecret: !!clientSecret
-        });
-
-        if (!clientId || !clientSecret) {
-            console.error('Missing credentials for OAuth callback');
-            alert('Missing Strava credentials. Please reconnect.');
-            return;
-        }
-
-        try {
-            console.log('🚀 Making token exchange request to Strava...');
-            
-            const response = await fetch('https://www.strava.com/oauth/token', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    client_id: clientId,
-                    client_secret: clientSecret,
-                    code: code,
-                    grant_type: 'authorization_code'
-                }),
-            });
-
-            console.log('📡 Response status:', response.status);
-            console.log('📡 Response headers:', Object.fromEntries(response.headers.entries()));
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error('❌ HTTP Error Response:', errorText);
-                throw new Error(`Authentication failed: ${response.status} - ${errorText}`);
+            // The code is exchanged by the exchangeStravaToken Cloud Function, which keeps the
+            // client secret and refresh token and saves the connection to the user profile
+            console.log('🚀 Exchanging authorization code for an access token...');
+            const result = await userManager.connectStrava(code);
+            if (!result.success) {
+                throw new Error(result.error);
             }
-
-            // Get the raw response text first
-            const responseText = await response.text();
-            console.log('📄 Raw response text:', responseText);
-            console.log('📄 Response length:', responseText.length);
-            console.log('📄 First 100 characters:', responseText.substring(0, 100));
-            
-            // Try to parse as JSON
-            let data;
-            try {
-                data = JSON.parse(responseText);
-                console.log('✅ Successfully parsed JSON response');
-            } catch (parseError) {
-                console.error('❌ JSON Parse Error:', parseError);
-                console.error('❌ Failed to parse response:', responseText);
-                throw new Error(`Invalid JSON response from Strava: ${parseError.message}`);
-            }
-            
-            // Save to user profile (connectStrava already sets stravaConnected: true)
-            console.log('💾 Saving Strava connection to user profile...');
-            try {
-                await userManager.connectStrava(data, data.athlete);
-                console.log('✅ Strava connection saved to user profile');
-                
-                // Update local profile cache
-                if (this.currentUserProfile) {
-                    this.currentUserProfile.stravaConnected = true;
-                    this.currentUserProfile.stravaData = {
-                        accessToken: data.access_token,
-                        refreshToken: data.refresh_token,
-                        expiresAt: data.expires_at,
-                        athlete: data.athlete,
-                        connectedAt: new Date()
-                    };
-                }
-            } catch (profileError) {
-                console.error('❌ Error saving to user profile:', profileError);
-                throw profileError;
+            console.log('✅ Strava connection saved to user profile');
+
+            // Update local profile cache
+            if (this.currentUserProfile) {
+                this.currentUserProfile.stravaConnected = true;
+                this.currentUserProfile.stravaData = {
+                    accessToken: result.accessToken,
+                    expiresAt: result.expiresAt,
+                    athlete: result.athlete,
+                    connectedAt: new Date()
+                };
             }
-            
+
             // Update localStorage for existing app code (don't JSON.stringify the tokens)
-            localStorage.setItem('stravaAccessToken', data.access_token);
-            localStorage.setItem('stravaRefreshToken', data.refresh_token);
-            localStorage.setItem('stravaExpiresAt', data.expires_at.toString());
-            localStorage.setItem('stravaAthlete', JSON.stringify(data.athlete));
-            
-            console.log('Strava connection successful');
-            
-            // Debug: Check what tokens were received
-            console.log('🔑 OAuth tokens received:', {
-                hasAccessToken: !!data.access_token,
-                hasRefreshToken: !!data.refresh_token,
-                expiresAt: data.expires_at,
-                athlete: data.athlete ? data.athlete.firstname + ' ' + data.athlete.lastname : 'No athlete data'
-            });
-            
+            localStorage.setItem('stravaAccessToken', result.accessToken);
+            localStorage.setItem('stravaExpiresAt', result.expiresAt.toString());
+            localStorage.setItem('stravaAthlete', JSON.stringify(result.athlete));
+
+            console.log('Strava connection successful', result.athlete ? `for ${result.athlete.firstname} ${result.athlete.lastname}` : '');
 
-            
             // Clean up URL immediately
             window.history.replaceState({}, document.title, window.location.pathname);
             
@@ -1286,7 +1106,7 @@ window.userManager = userManager;
 
 // Provide a simple global helper for non-module scripts
 window.disconnectStrava = () => authController.handleStravaDisconnect();
-window.authorizeStrava = () => authController.showStravaModal();
+window.authorizeStrava = () => authController.connectStrava();
 
 // Auto-initialize when DOM is ready
 if (document.readyState === 'loading') {
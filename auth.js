@@ -109,7 +109,7 @@ class UserManager {
                 stravaPromptShown: false,
                 stravaData: null,
                 progressData: {
-                    completedPoints: [],
+                    coverage: [],
                     processedActivities: [],
                     totalDistance: 0,
                     completedDistance: 0,
@@ -174,29 +174,54 @@ class UserManager {
         }
     }
 
-    // Strava integration methods
-    async connectStrava(stravaTokens, athleteData) {
+    // Strava integration methods. The code exchange and token refreshes run in Cloud Functions,
+    // which hold the app's client secret and the user's refresh token; only access tokens come back.
+    async connectStrava(code) {
         if (!this.currentUser) return { success: false, error: 'No user logged in' };
 
-        const stravaData = {
-            accessToken: stravaTokens.access_token,
-            refreshToken: stravaTokens.refresh_token,
-            expiresAt: stravaTokens.expires_at,
-            athlete: athleteData,
-            connectedAt: new Date()
-        };
+        try {
+            const { data } = await this.callFunction('exchangeStravaToken', { code });
 
-        const result = await this.updateUserProfile(this.currentUser.uid, {
-            stravaConnected: true,
-            stravaData: stravaData
-        });
+            // The function has saved stravaConnected and stravaData; keep the cached profile in step
+            const uid = this.currentUser.uid;
+            if (this.userProfiles.has(uid)) {
+                this.userProfiles.set(uid, {
+                    ...this.userProfiles.get(uid),
+                    stravaConnected: true,
+                    stravaData: { accessToken: data.accessToken, expiresAt: data.expiresAt, athlete: data.athlete, connectedAt: new Date() }
+                });
+            }
 
-        return result;
+            return { success: true, accessToken: data.accessToken, expiresAt: data.expiresAt, athlete: data.athlete };
+        } catch (error) {
+            console.error('Strava connect error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // A current Strava access token; force skips the expiry check after Strava has rejected a token
+    async refreshStravaToken(force = false) {
+        if (!this.currentUser) return { success: false, error: 'No user logged in' };
+
+        try {
+            const { data } = await this.callFunction('refreshStravaToken', { force });
+            return { success: true, accessToken: data.accessToken, expiresAt: data.expiresAt };
+        } catch (error) {
+            console.error('Strava token refresh error:', error);
+            return { success: false, error: error.message };
+        }
     }
 
     async disconnectStrava() {
         if (!this.currentUser) return { success: false, error: 'No user logged in' };
 
+        try {
+            await this.callFunction('disconnectStrava');
+        } catch (error) {
+            // Disconnect the profile regardless, so the app stops using Strava
+            console.warn('Could not remove stored Strava tokens:', error);
+        }
+
         const result = await this.updateUserProfile(this.currentUser.uid, {
             stravaConnected: false,
             stravaData: null,
@@ -206,6 +231,11 @@ class UserManager {
         return result;
     }
 
+    async callFunction(name, payload = {}) {
+        const { getFunctions, httpsCallable } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-functions.js');
+        return httpsCallable(getFunctions(app), name)(payload);
+    }
+
     // Upload profile photo to Firebase Storage and update user profile
     // Accepts the compressed image blob and the desired file name (jpg or png)
     async uploadProfilePhoto(blob, fileName = 'avatar.jpg') {
@@ -252,7 +282,7 @@ class UserManager {
 
         const profile = await this.getUserProfile(this.currentUser.uid);
         return profile?.progressData || {
-            completedPoints: [],
+            coverage: [],
             processedActivities: [],
             totalDistance: 0,
             completedDistance: 0,
@@ -264,8 +294,10 @@ class UserManager {
     async updatePreferences(preferences) {
         if (!this.currentUser) return { success: false, error: 'No user logged in' };
 
+        // Merge, so saving one preference doesn't wipe the others
+        const profile = await this.getUserProfile(this.currentUser.uid);
         const result = await this.updateUserProfile(this.currentUser.uid, {
-            preferences: preferences
+            preferences: { ...(profile && profile.preferences), ...preferences }
         });
 
         return result;
@@ -1,21 +1,56 @@
 // components/calendarHeatmap.js
-// Renders the activity heatmap into #heatmap-tile once the user is authenticated.
+// Renders the activity heatmap into #heatmap-tile once the user is authenticated,
+// one calendar year at a time, coloured by the metric picked above the grid.
 
 import { getAuth, onAuthStateChanged } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js';
-import { getFirestore, collection, getDocs, query, orderBy } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
+import { getFirestore, collection, doc, getDoc, getDocs, query, orderBy } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
 
 // --- configuration ---------------------------------------------------------
 // Adjust these paths if your Firestore structure differs.
 const COLLECTION_ROOT = 'userDailyTotals';      // top-level collection
 const SUBCOLLECTION  = 'days';                  // per-user sub-collection
 
-// --- utility: distance → CSS class ----------------------------------------
-function scaleKm(km) {
-  if (km === 0) return 'heat-0';
-  if (km < 5)   return 'heat-1';    // short
-  if (km < 15)  return 'heat-2';    // medium
-  if (km < 30)  return 'heat-3';    // long
-  return 'heat-4';                  // ultra
+// --- metrics ---------------------------------------------------------------
+const METRICS = {
+  totalKm:       { label: 'Total distance', format: v => `${v.toFixed(1)} km` },
+  onPathKm:      { label: 'SWCP distance',  format: v => `${v.toFixed(1)} km` },
+  elevationM:    { label: 'Elevation',      format: v => `${Math.round(v)} m` },
+  activityCount: { label: 'Activities',     format: v => `${v} ${v === 1 ? 'activity' : 'activities'}` },
+};
+const ENTRY_FIELDS = { totalKm: 'distance', onPathKm: 'onPathDistance', elevationM: 'elevation' };
+
+// Day documents written before on-path distance and climbing were kept only carry
+// totalKm, so other metrics fall back to summing the day's activity entries.
+function dayValue(info, metric) {
+  if (!info) return 0;
+  if (typeof info[metric] === 'number') return info[metric];
+  const entries = info.activities || [];
+  if (metric === 'activityCount') return entries.length;
+  return entries.reduce((sum, entry) => sum + (entry[ENTRY_FIELDS[metric]] || 0), 0);
+}
+
+// --- utility: value → CSS class -------------------------------------------
+// Thresholds are the quartiles of the user's own active days (across every year, so
+// colours mean the same thing whichever year is shown): a typical day lands mid-scale
+// whether they usually walk 3 km or 30.
+function heatThresholds(data, metric) {
+  const values = Object.values(data)
+    .map(info => dayValue(info, metric))
+    .filter(value => value > 0)
+    .sort((a, b) => a - b);
+  if (values.length === 0) return [];
+  const quantile = q => values[Math.floor(q * (values.length - 1))];
+  return [quantile(0.25), quantile(0.5), quantile(0.75)];
+}
+
+function heatClass(value, thresholds) {
+  if (value <= 0) return 'heat-0';
+  return `heat-${thresholds.filter(threshold => value > threshold).length + 1}`;
+}
+
+// Local calendar date as YYYY-MM-DD, matching the day document IDs
+function dayKey(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
 }
 
 // --- fetch daily totals from Firestore ------------------------------------
@@ -29,6 +64,69 @@ async function fetchDailyTotals(uid) {
   return days;
 }
 
+// --- activity details for the day modal -----------------------------------
+// Day documents only carry IDs and figures; names, types and route outlines come from the
+// activity list the app saves on the user's document, and the new SWCP km each activity
+// contributed from its recorded stats. Read afresh on every open so new analyses show up.
+async function fetchActivityDetails(uid) {
+  const snap = await getDoc(doc(getFirestore(), 'users', uid));
+  const data = snap.exists() ? snap.data() : {};
+  const list = (data.activities && data.activities.activities) || [];
+  const stats = (data.progressData && data.progressData.unifiedProgressData && data.progressData.unifiedProgressData.activityStats) || {};
+  const details = {};
+  list.forEach(act => {
+    details[String(act.id)] = {
+      name: act.name,
+      type: act.sport_type || act.type,
+      polyline: act.map && act.map.summary_polyline,
+    };
+  });
+  Object.entries(stats).forEach(([id, stat]) => {
+    details[id] = { name: stat.name, ...details[id], stats: stat };
+  });
+  return details;
+}
+
+// Small outline of an activity's route from its encoded summary polyline
+function routeThumbnail(encoded) {
+  const SIZE = 64;
+  const PADDING = 4;
+  const svgNs = 'http://www.w3.org/2000/svg';
+  const svg = document.createElementNS(svgNs, 'svg');
+  svg.setAttribute('viewBox', `0 0 ${SIZE} ${SIZE}`);
+  svg.setAttribute('class', 'w-16 h-16 flex-none rounded bg-gray-100 dark:bg-gray-700');
+
+  const points = encoded && window.polyline ? window.polyline.decode(encoded) : [];
+  if (points.length < 2) return svg;
+
+  // Equirectangular projection, squashed by cos(latitude) so shapes keep their proportions
+  const lngScale = Math.cos(points[0][0] * Math.PI / 180);
+  const xs = points.map(([, lng]) => lng * lngScale);
+  const ys = points.map(([lat]) => -lat);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const span = Math.max(Math.max(...xs) - minX, Math.max(...ys) - minY) || 1;
+  const scale = (SIZE - 2 * PADDING) / span;
+  const offsetX = (SIZE - (Math.max(...xs) - minX) * scale) / 2;
+  const offsetY = (SIZE - (Math.max(...ys) - minY) * scale) / 2;
+
+  const path = document.createElementNS(svgNs, 'polyline');
+  path.setAttribute('points', xs.map((x, i) => `${(offsetX + (x - minX) * scale).toFixed(1)},${(offsetY + (ys[i] - minY) * scale).toFixed(1)}`).join(' '));
+  path.setAttribute('fill', 'none');
+  path.setAttribute('stroke', '#fd8640');
+  path.setAttribute('stroke-width', '2');
+  path.setAttribute('stroke-linejoin', 'round');
+  svg.appendChild(path);
+  return svg;
+}
+
+function coverageGainText(stats) {
+  if (!stats) return null;
+  if (!stats.overlapsRoute) return 'Not on the SWCP';
+  if (typeof stats.newCoverageKm !== 'number') return null; // analysed before gains were recorded
+  return stats.newCoverageKm > 0 ? `+${stats.newCoverageKm.toFixed(1)} km new SWCP` : 'No new SWCP km';
+}
+
 // --- modal helpers ---------------------------------------------------------
 function buildModal() {
   const modal = document.createElement('div');
@@ -36,43 +134,89 @@ function buildModal() {
   modal.className = 'fixed inset-0 bg-black bg-opacity-50 hidden items-center justify-center z-50';
 
   modal.innerHTML = `
-    <div class="bg-white dark:bg-gray-800 rounded-lg p-4 w-80 shadow-lg">
+    <div class="bg-white dark:bg-gray-800 rounded-lg p-4 w-96 max-w-[90vw] shadow-lg">
       <h3 id="heatmap-modal-date" class="font-semibold text-lg mb-3 text-gray-800 dark:text-gray-200 text-center"></h3>
-      <ul id="heatmap-modal-list" class="space-y-2 max-h-60 overflow-y-auto"></ul>
+      <ul id="heatmap-modal-list" class="space-y-3 max-h-96 overflow-y-auto"></ul>
       <button id="heatmap-modal-close" class="mt-4 w-full bg-emerald-600 hover:bg-emerald-700 text-white rounded py-2">Close</button>
     </div>`;
 
   document.body.appendChild(modal);
 
-  const close = () => modal.classList.add('hidden');
-  modal.querySelector('#heatmap-modal-close').addEventListener('click', close);
-  modal.addEventListener('click', (e) => { if (e.target === modal) close(); });
+  modal.querySelector('#heatmap-modal-close').addEventListener('click', hideModal);
+  modal.addEventListener('click', (e) => { if (e.target === modal) hideModal(); });
 
   return modal;
 }
 
+function hideModal() {
+  modalEl.classList.add('hidden');
+  modalEl.classList.remove('flex');
+}
+
+function activityItem(act, detail) {
+  const li = document.createElement('li');
+  li.className = 'flex gap-3 items-center';
+  li.appendChild(routeThumbnail(detail.polyline));
+
+  const body = document.createElement('div');
+  body.className = 'flex-1 min-w-0';
+
+  const link = document.createElement('a');
+  link.href   = `https://www.strava.com/activities/${act.id}`;
+  link.target = '_blank';
+  link.className = 'block truncate font-medium text-emerald-600 hover:underline';
+  link.textContent = detail.name || `Activity ${act.id}`;
+  body.appendChild(link);
+
+  const facts = document.createElement('div');
+  facts.className = 'text-xs text-gray-600 dark:text-gray-300';
+  facts.textContent = [detail.type, `${(act.distance || 0).toFixed(1)} km`, coverageGainText(detail.stats)].filter(Boolean).join(' · ');
+  body.appendChild(facts);
+
+  const actions = document.createElement('div');
+  actions.className = 'flex gap-2 mt-1';
+  [
+    ['Show in activities', window.showActivityInList],
+    ['Show on map', window.showActivityOnMap],
+  ].forEach(([label, open]) => {
+    if (typeof open !== 'function') return;
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'text-xs px-2 py-0.5 rounded border border-emerald-600 text-emerald-700 dark:text-emerald-300 hover:bg-emerald-50 dark:hover:bg-gray-700';
+    button.textContent = label;
+    button.addEventListener('click', () => { hideModal(); open(act.id); });
+    actions.appendChild(button);
+  });
+  body.appendChild(actions);
+
+  li.appendChild(body);
+  return li;
+}
+
 let modalEl = null;
-function showModal(dateStr, activities) {
+let modalDate = null;
+async function showModal(uid, dateStr, activities) {
   if (!modalEl) modalEl = buildModal();
   const dateEl  = modalEl.querySelector('#heatmap-modal-date');
   const listEl  = modalEl.querySelector('#heatmap-modal-list');
-  dateEl.textContent = dateStr;
+  modalDate = dateStr;
+  dateEl.textContent = new Date(`${dateStr}T00:00:00`).toLocaleDateString(undefined, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
   listEl.innerHTML = '';
-  activities.forEach(act => {
-    const li   = document.createElement('li');
-    const link = document.createElement('a');
-    link.href   = `https://www.strava.com/activities/${act.id}`;
-    link.target = '_blank';
-    link.className = 'text-emerald-600 hover:underline';
-    link.textContent = `${act.distance.toFixed(1)} km`;
-    li.appendChild(link);
-    listEl.appendChild(li);
-  });
   modalEl.classList.remove('hidden');
+  modalEl.classList.add('flex');
+
+  let details = {};
+  try {
+    details = await fetchActivityDetails(uid);
+  } catch (err) {
+    console.warn('Heatmap activity details failed:', err);
+  }
+  if (modalDate !== dateStr) return; // another day was opened while this one loaded
+  activities.forEach(act => listEl.appendChild(activityItem(act, details[String(act.id)] || {})));
 }
 
 // --- main builder ----------------------------------------------------------
-function buildHeatmap(container, data) {
+function buildHeatmap(container, uid, data, year, metric) {
   // Clear previous
   container.innerHTML = '';
 
@@ -80,28 +224,16 @@ function buildHeatmap(container, data) {
   const CELL_SIZE = 18; // px
   const dayNames = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
 
-  // Determine date range
-  const dates = Object.keys(data);
-  if (dates.length === 0) {
-    container.textContent = 'No activity data yet.';
-    return;
-  }
-  const earliestDate = new Date(dates[0]);
-  const today        = new Date();
-
-  // Align to Monday weeks
-  const currentMonday  = new Date(today);
-  currentMonday.setDate(today.getDate() - ((today.getDay() + 6) % 7));
-  const firstMonday    = new Date(earliestDate);
-  firstMonday.setDate(earliestDate.getDate() - ((earliestDate.getDay() + 6) % 7));
-  const millisPerWeek  = 7 * 24 * 60 * 60 * 1000;
-  const observedWeeks  = Math.floor((currentMonday - firstMonday) / millisPerWeek) + 1;
-  // Ensure the grid is wider than the tile so horizontal scrolling is always possible.
-  // Compute how many weeks would fill the visible area and add a small buffer.
-  const tileWidth      = container.clientWidth || 0;
-  const cellTotal      = CELL_SIZE + 4; // cell plus gap (approx)
-  const minWeeks       = Math.ceil(tileWidth / cellTotal) + 4; // 4-week buffer
-  const totalWeeks     = Math.max(observedWeeks, minWeeks);
+  // Determine date range: the Monday-aligned weeks of the year, up to today for the current year
+  const today          = new Date();
+  const firstDay       = new Date(year, 0, 1);
+  const lastDay        = year === today.getFullYear() ? today : new Date(year, 11, 31);
+  const firstMonday    = new Date(firstDay);
+  firstMonday.setDate(firstDay.getDate() - ((firstDay.getDay() + 6) % 7));
+  const lastMonday     = new Date(lastDay);
+  lastMonday.setDate(lastDay.getDate() - ((lastDay.getDay() + 6) % 7));
+  const totalWeeks     = Math.round((lastMonday - firstMonday) / (7 * 24 * 60 * 60 * 1000)) + 1;
+  const thresholds     = heatThresholds(data, metric);
 
   // --- layout wrappers -----------------------------------------------------
   const wrapperFlex = document.createElement('div');
@@ -144,18 +276,19 @@ function buildHeatmap(container, data) {
 
   // --- build columns -------------------------------------------------------
   let prevMonth = -1;
-  for (let col = totalWeeks - 1; col >= 0; col--) {
-    const weekStart = new Date(currentMonday);
-    weekStart.setDate(currentMonday.getDate() - col * 7);
+  for (let col = 0; col < totalWeeks; col++) {
+    const weekStart = new Date(firstMonday);
+    weekStart.setDate(firstMonday.getDate() + col * 7);
 
     // month label
     const monthSpan = document.createElement('span');
     monthSpan.style.width = `${CELL_SIZE}px`;
     monthSpan.className = 'text-center text-gray-600 dark:text-gray-300';
     monthSpan.style.fontSize = '12px';
-    if (weekStart.getMonth() !== prevMonth) {
-      monthSpan.textContent = weekStart.toLocaleString('default', { month: 'short' });
-      prevMonth = weekStart.getMonth();
+    const labelDate = col === 0 ? firstDay : weekStart; // the first column may start in December
+    if (labelDate.getMonth() !== prevMonth) {
+      monthSpan.textContent = labelDate.toLocaleString('default', { month: 'short' });
+      prevMonth = labelDate.getMonth();
     }
     monthRow.appendChild(monthSpan);
 
@@ -166,24 +299,26 @@ function buildHeatmap(container, data) {
     for (let row = 0; row < 7; row++) {
       const cellDate = new Date(weekStart);
       cellDate.setDate(weekStart.getDate() + row);
-      const key      = cellDate.toISOString().slice(0, 10);
+      const key      = dayKey(cellDate);
       const info     = data[key] || { totalKm: 0, activities: [] };
+      const value    = dayValue(info, metric);
 
       const cell = document.createElement('div');
-      cell.className = `rounded heat-cell ${scaleKm(info.totalKm)}`;
+      cell.className = `rounded heat-cell ${heatClass(value, thresholds)}`;
       cell.style.width = `${CELL_SIZE}px`;
       cell.style.height = `${CELL_SIZE}px`;
-      cell.title = `${key}: ${info.totalKm.toFixed(1)} km`;
+      cell.title = `${key}: ${METRICS[metric].format(value)}`;
+
+      // Keep the grid square but leave days outside the year (or still to come) blank
+      if (cellDate < firstDay || cellDate > lastDay) {
+        cell.style.visibility = 'hidden';
+        weekCol.appendChild(cell);
+        continue;
+      }
 
       if (info.activities.length) {
         cell.classList.add('cursor-pointer');
-        cell.addEventListener('click', () => {
-          if (info.activities.length === 1) {
-            window.open(`https://www.strava.com/activities/${info.activities[0].id}`, '_blank');
-          } else {
-            showModal(key, info.activities);
-          }
-        });
+        cell.addEventListener('click', () => showModal(uid, key, info.activities));
       }
 
       weekCol.appendChild(cell);
@@ -229,6 +364,94 @@ function buildHeatmap(container, data) {
   scrollArea.addEventListener('pointerup', endDrag);
   scrollArea.addEventListener('pointercancel', endDrag);
   scrollArea.addEventListener('pointerleave', endDrag);
+
+  // Open on the most recent weeks of the year
+  scrollArea.scrollLeft = scrollArea.scrollWidth;
+
+  return thresholds;
+}
+
+// --- controls --------------------------------------------------------------
+let heatmapUid    = null;
+let heatmapData   = {};
+let heatmapYear   = new Date().getFullYear();
+let heatmapMetric = 'totalKm';
+
+function availableYears(data) {
+  const years = new Set(Object.keys(data).map(key => Number(key.slice(0, 4))));
+  years.add(new Date().getFullYear());
+  return [...years].sort((a, b) => a - b);
+}
+
+function buildControls(tile) {
+  const years = availableYears(heatmapData);
+  const index = years.indexOf(heatmapYear);
+
+  const controls = document.createElement('div');
+  controls.className = 'flex items-center justify-between gap-2 mb-2 text-sm';
+
+  const yearNav = document.createElement('div');
+  yearNav.className = 'flex items-center gap-1';
+  const stepButton = (text, label, target) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = text;
+    button.setAttribute('aria-label', label);
+    button.className = 'px-2 rounded hover:bg-white/20 disabled:opacity-30';
+    button.disabled = target === undefined;
+    button.addEventListener('click', () => { heatmapYear = target; renderHeatmap(tile); });
+    return button;
+  };
+  const yearLabel = document.createElement('span');
+  yearLabel.className = 'font-semibold';
+  yearLabel.textContent = heatmapYear;
+  yearNav.append(stepButton('‹', 'Previous year', years[index - 1]), yearLabel, stepButton('›', 'Next year', years[index + 1]));
+
+  const metricSelect = document.createElement('select');
+  metricSelect.className = 'stage-variant-select text-xs';
+  Object.entries(METRICS).forEach(([value, { label }]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    option.selected = value === heatmapMetric;
+    metricSelect.appendChild(option);
+  });
+  metricSelect.addEventListener('change', () => { heatmapMetric = metricSelect.value; renderHeatmap(tile); });
+
+  controls.append(yearNav, metricSelect);
+  return controls;
+}
+
+function buildLegend(thresholds) {
+  const { format } = METRICS[heatmapMetric];
+  const ranges = ['None', ...thresholds.map((threshold, i) => (i === 0 ? `Up to ${format(threshold)}` : `${format(thresholds[i - 1])} – ${format(threshold)}`))];
+  if (thresholds.length) ranges.push(`Over ${format(thresholds[thresholds.length - 1])}`);
+
+  const legend = document.createElement('div');
+  legend.className = 'flex items-center justify-end gap-1 mt-2 text-xs text-gray-600 dark:text-gray-300';
+  legend.append('Less');
+  ranges.forEach((title, level) => {
+    const swatch = document.createElement('span');
+    swatch.className = `inline-block rounded heat-${level}`;
+    swatch.style.width = swatch.style.height = '12px';
+    swatch.title = title;
+    legend.appendChild(swatch);
+  });
+  legend.append('More');
+  return legend;
+}
+
+function renderHeatmap(tile) {
+  tile.innerHTML = '';
+  if (Object.keys(heatmapData).length === 0) {
+    tile.textContent = 'No activity data yet.';
+    return;
+  }
+
+  const grid = document.createElement('div');
+  tile.append(buildControls(tile), grid);
+  const thresholds = buildHeatmap(grid, heatmapUid, heatmapData, heatmapYear, heatmapMetric);
+  tile.appendChild(buildLegend(thresholds));
 }
 
 // --- entry point -----------------------------------------------------------
@@ -240,8 +463,9 @@ async function initHeatmap(uid) {
   if (tile.dataset.rendered) return;
 
   try {
-    const data = await fetchDailyTotals(uid);
-    buildHeatmap(tile, data);
+    heatmapUid  = uid;
+    heatmapData = await fetchDailyTotals(uid);
+    renderHeatmap(tile);
     tile.dataset.rendered = '1';
   } catch (err) {
     console.error('Heatmap failed:', err);
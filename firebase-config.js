@@ -8,7 +8,8 @@ class FirebaseConfig {
         this.stravaCredentials = null;
     }
 
-    // Fetch Strava credentials from Firebase
+    // Fetch the Strava app's client ID from Firebase. The client secret stays in config/strava,
+    // which only the token Cloud Functions can read.
     async getStravaCredentials() {
         if (this.stravaCredentials) {
             return this.stravaCredentials;
@@ -25,20 +26,18 @@ class FirebaseConfig {
                 // Continue anyway - OAuth callbacks need these credentials
             }
             
-            // Try to get from the 'config' collection, 'strava' document
-            const configRef = doc(this.db, 'config', 'strava');
+            // Try to get from the 'config' collection, 'stravaClient' document
+            const configRef = doc(this.db, 'config', 'stravaClient');
             const configSnap = await getDoc(configRef);
 
             if (configSnap.exists()) {
                 const data = configSnap.data();
                 this.stravaCredentials = {
-                    clientId: data.clientId,
-                    clientSecret: data.clientSecret
+                    clientId: data.clientId
                 };
                 
                 // Set global variables for compatibility
                 window.STRAVA_CLIENT_ID = data.clientId;
-                window.STRAVA_CLIENT_SECRET = data.clientSecret;
                 
                 console.log('Strava credentials loaded from Firebase');
                 return this.stravaCredentials;
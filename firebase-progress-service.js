@@ -3,7 +3,7 @@
 // Falls back gracefully if Firebase is unavailable
 
 import { userManager } from './auth.js';
-import { doc, getDoc, setDoc, updateDoc, getFirestore } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
+import { doc, getDoc, setDoc, updateDoc, getFirestore, runTransaction, deleteField } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
 import { initializeApp, getApps } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-app.js';
 
 class FirebaseProgressService {
@@ -46,7 +46,8 @@ class FirebaseProgressService {
         
         // Track what data we're managing
         this.managedKeys = [
-            'swcp_completed_points',
+            'swcp_coverage',          // Merged chainage intervals of completed route
+            'swcp_completed_points',  // Legacy point cloud, kept readable for migration
             'swcp_processed_activities',
             'swcp_speed_optimizations',
             'swcp_cached_results'  // New: Store calculated progress results
@@ -95,7 +96,8 @@ class FirebaseProgressService {
                 
                 const unifiedData = firebaseData.unifiedProgressData;
                 
-                // Convert Firebase string coordinates back to arrays
+                // Progress saved before coverage intervals existed holds completedPoints as
+                // "lng,lat" strings; convert them back to arrays so the worker can migrate them
                 if (unifiedData.completedPoints && Array.isArray(unifiedData.completedPoints)) {
                     // Check if points are strings (from Firebase) or already arrays (from localStorage)
                     const firstPoint = unifiedData.completedPoints[0];
@@ -222,8 +224,8 @@ class FirebaseProgressService {
             const firebaseData = await userManager.getProgressData();
             console.log('🔍 Firebase progress data:', firebaseData);
 
-            // Check for data in either format (old completedPoints or new completedPointsData)
-            const hasData = (firebaseData && firebaseData.completedPoints && firebaseData.completedPoints.length > 0) ||
+            // Check for coverage intervals, or legacy completedPointsData still waiting to be migrated
+            const hasData = (firebaseData && (firebaseData.unifiedProgressData?.coverage || firebaseData.coverage || []).length > 0) ||
                            (firebaseData && firebaseData.completedPointsData && firebaseData.completedPointsData.length > 0);
 
             if (hasData) {
@@ -246,21 +248,15 @@ class FirebaseProgressService {
      */
     getLocalStorageProgress() {
         try {
-            const completedPoints = JSON.parse(localStorage.getItem('swcp_completed_points') || '[]');
+            const coverage = JSON.parse(localStorage.getItem('swcp_coverage') || '[]');
             const processedActivities = JSON.parse(localStorage.getItem('swcp_processed_activities') || '[]');
             
-            // Calculate stats from completed points (if any)
-            let totalDistance = 0;
-            let percentage = 0;
-            
-            if (completedPoints.length > 0) {
-                // These would be calculated by the worker normally
-                // For now, return basic structure
-                totalDistance = completedPoints.length * 0.1; // Rough estimate
-            }
+            // Covered distance comes straight from the intervals; the percentage is calculated by the worker
+            const totalDistance = this.getCoverageKm(coverage);
+            const percentage = 0;
 
             return {
-                completedPoints,
+                coverage,
                 processedActivities,
                 totalDistance,
                 completedDistance: totalDistance,
@@ -269,7 +265,7 @@ class FirebaseProgressService {
         } catch (error) {
             console.error('❌ Error reading localStorage progress:', error);
             return {
-                completedPoints: [],
+                coverage: [],
                 processedActivities: [],
                 totalDistance: 0,
                 completedDistance: 0,
@@ -283,8 +279,8 @@ class FirebaseProgressService {
      */
     saveLocalStorageProgress(progressData) {
         try {
-            if (progressData.completedPoints) {
-                localStorage.setItem('swcp_completed_points', JSON.stringify(progressData.completedPoints));
+            if (progressData.coverage) {
+                localStorage.setItem('swcp_coverage', JSON.stringify(progressData.coverage));
             }
             if (progressData.processedActivities) {
                 localStorage.setItem('swcp_processed_activities', JSON.stringify(progressData.processedActivities));
@@ -304,29 +300,22 @@ class FirebaseProgressService {
             // 🛡️ DATA PROTECTION: Prevent backing up corrupted data (unless bypassed for reset)
             if (!bypassProtection) {
                 const existingData = await this.getProgressData();
-                const existingPoints = existingData?.completedPoints || existingData?.completedPointsData || [];
-                const newPoints = progressData.completedPoints || [];
-
-                // Convert string format back to array for comparison if needed
-                let existingPointsCount = 0;
-                if (Array.isArray(existingPoints)) {
-                    existingPointsCount = existingPoints.length;
-                } else if (existingData?.completedPointsCount) {
-                    existingPointsCount = existingData.completedPointsCount;
-                }
+                const existingKm = this.getCoverageKm(existingData?.unifiedProgressData?.coverage || existingData?.coverage);
+                const existingLegacyPoints = existingData?.completedPoints?.length || 0; // Not yet migrated to coverage
+                const newKm = this.getCoverageKm(progressData.coverage);
 
                 // Prevent backing up empty data when we have existing data
-                if (existingPointsCount > 50 && newPoints.length === 0) {
-                    console.error('🚨 FIREBASE PROTECTION: Refusing to backup empty data when', existingPointsCount, 'points exist');
+                if ((existingKm > 2 || existingLegacyPoints > 50) && newKm === 0) {
+                    console.error('🚨 FIREBASE PROTECTION: Refusing to backup empty data when', existingKm.toFixed(2), 'km of coverage /', existingLegacyPoints, 'legacy points exist');
                     return { success: false, error: 'Data protection: Refusing to backup empty data' };
                 }
 
-                if (existingPointsCount > 100 && newPoints.length < (existingPointsCount * 0.1)) {
-                    console.error('🚨 FIREBASE PROTECTION: Refusing to backup', newPoints.length, 'points when', existingPointsCount, 'exist');
+                if (existingKm > 5 && newKm < (existingKm * 0.1)) {
+                    console.error('🚨 FIREBASE PROTECTION: Refusing to backup', newKm.toFixed(2), 'km when', existingKm.toFixed(2), 'km exist');
                     return { success: false, error: 'Data protection: Suspicious data reduction detected' };
                 }
 
-                console.log(`🛡️ Firebase backup protection: ${existingPointsCount} existing → ${newPoints.length} new points`);
+                console.log(`🛡️ Firebase backup protection: ${existingKm.toFixed(2)} km existing → ${newKm.toFixed(2)} km new`);
             } else {
                 console.log('⚠️ Data protection bypassed for intentional reset');
             }
@@ -365,10 +354,14 @@ class FirebaseProgressService {
                 source: 'swcp-tracker'
             };
             
-            // Fix nested arrays issue - convert to simple objects
-            if (dataToSave.completedPoints && Array.isArray(dataToSave.completedPoints)) {
-                console.log(`🔧 Converting ${dataToSave.completedPoints.length} completed points for Firebase`);
-                // Convert array of coordinates to simple array of strings
+            // Coverage intervals are plain objects, so Firestore stores them as-is and the
+            // legacy point cloud they replace is dropped from the document
+            if (Array.isArray(dataToSave.coverage)) {
+                delete dataToSave.completedPoints;
+                delete dataToSave.completedPointsData;
+                delete dataToSave.completedPointsCount;
+            } else if (dataToSave.completedPoints && Array.isArray(dataToSave.completedPoints)) {
+                // Not migrated yet: keep the legacy points flattened to strings (Firestore rejects nested arrays)
                 dataToSave.completedPointsCount = dataToSave.completedPoints.length;
                 dataToSave.completedPointsData = dataToSave.completedPoints.map(point => {
                     if (Array.isArray(point)) {
@@ -376,9 +369,7 @@ class FirebaseProgressService {
                     }
                     return point;
                 });
-                // Remove the problematic nested array
                 delete dataToSave.completedPoints;
-                console.log(`✅ Converted to ${dataToSave.completedPointsData.length} Firebase-compatible points`);
             }
 
             const result = await userManager.saveProgressData(dataToSave);
@@ -416,8 +407,8 @@ class FirebaseProgressService {
             // Create a progress data structure with the specific item
             const currentProgress = await this.getProgressData();
             
-            if (key === 'swcp_completed_points') {
-                currentProgress.completedPoints = value;
+            if (key === 'swcp_coverage') {
+                currentProgress.coverage = value;
             } else if (key === 'swcp_processed_activities') {
                 currentProgress.processedActivities = value;
             } else if (key === 'swcp_cached_results') {
@@ -435,22 +426,12 @@ class FirebaseProgressService {
      */
     syncFirebaseToLocalStorage(firebaseData) {
         try {
-            // Convert Firebase data back to expected format first
-            let completedPoints = firebaseData.completedPoints;
-            
-            // Handle the flattened format from Firebase
-            if (!completedPoints && firebaseData.completedPointsData) {
-                completedPoints = firebaseData.completedPointsData.map(pointStr => {
-                    if (typeof pointStr === 'string' && pointStr.includes(',')) {
-                        const [lat, lng] = pointStr.split(',');
-                        return [parseFloat(lat), parseFloat(lng)];
-                    }
-                    return pointStr;
-                });
-            }
-            
-            if (completedPoints) {
-                localStorage.setItem('swcp_completed_points', JSON.stringify(completedPoints));
+            const coverage = firebaseData.unifiedProgressData?.coverage || firebaseData.coverage;
+            if (coverage) {
+                localStorage.setItem('swcp_coverage', JSON.stringify(coverage));
+            } else if (firebaseData.completedPointsData) {
+                // Not migrated yet: keep the legacy flattened points locally so the worker can convert them
+                localStorage.setItem('swcp_completed_points', JSON.stringify(this.convertFirebaseToPoints(firebaseData.completedPointsData)));
             }
             if (firebaseData.processedActivities) {
                 localStorage.setItem('swcp_processed_activities', JSON.stringify(firebaseData.processedActivities));
@@ -494,7 +475,7 @@ class FirebaseProgressService {
             
             // Backup current localStorage data to Firebase
             const localProgress = this.getLocalStorageProgress();
-            if (localProgress.completedPoints.length > 0) {
+            if (localProgress.coverage.length > 0) {
                 console.log('📤 Backing up existing localStorage progress to Firebase');
                 await this.saveToFirebase(localProgress);
             }
@@ -530,7 +511,7 @@ class FirebaseProgressService {
                 totalDistance: calculatedData.totalDistance,
                 completedDistance: calculatedData.completedDistance || calculatedData.totalDistance,
                 segmentCount: calculatedData.segments ? calculatedData.segments.length : 0,
-                pointCount: calculatedData.newCompletedPoints ? calculatedData.newCompletedPoints.length : 0,
+                intervalCount: calculatedData.coverage ? calculatedData.coverage.length : 0,
                 lastCalculated: new Date().toISOString(),
                 source: 'swcp-tracker-cache'
             };
@@ -596,17 +577,17 @@ class FirebaseProgressService {
         try {
             console.log('⚡ Loading from cache...');
             
-            const completedPoints = JSON.parse(localStorage.getItem('swcp_completed_points') || '[]');
+            const coverage = JSON.parse(localStorage.getItem('swcp_coverage') || '[]');
             const cachedResults = JSON.parse(localStorage.getItem('swcp_cached_results') || 'null');
             
             console.log('🔍 CACHE DEBUG:', {
-                pointsCount: completedPoints.length,
+                intervalCount: coverage.length,
                 hasCache: !!cachedResults,
                 cacheData: cachedResults,
-                firstFewPoints: completedPoints.slice(0, 3)
+                firstFewIntervals: coverage.slice(0, 3)
             });
             
-            if (completedPoints.length === 0) {
+            if (coverage.length === 0) {
                 console.log('📱 No cached data available');
                 return { success: false, reason: 'no_data' };
             }
@@ -618,17 +599,17 @@ class FirebaseProgressService {
                 
                 return {
                     success: true,
-                    completedPoints: completedPoints,
-                    pointCount: completedPoints.length,
+                    coverage: coverage,
+                    intervalCount: coverage.length,
                     percentage: cachedResults.percentage,
                     totalDistance: cachedResults.totalDistance,
                     source: 'cache'
                 };
             }
             
-            // Basic display without cached results
-            const percentage = (completedPoints.length / 3000) * 100;
-            const distance = completedPoints.length * 0.2;
+            // Basic display without cached results (against the nominal 1014 km path length)
+            const distance = this.getCoverageKm(coverage);
+            const percentage = (distance / 1014) * 100;
             
             const percentageEl = document.getElementById('progress-percentage');
             const completedEl = document.getElementById('completed-distance');
@@ -640,8 +621,8 @@ class FirebaseProgressService {
             
             return {
                 success: true,
-                completedPoints: completedPoints,
-                pointCount: completedPoints.length,
+                coverage: coverage,
+                intervalCount: coverage.length,
                 percentage: percentage,
                 totalDistance: distance,
                 source: 'cache_estimated'
@@ -683,7 +664,8 @@ class FirebaseProgressService {
             });
             
             console.log('📥 Firebase progress data details:', {
-                points: progressData.completedPointsData?.length || progressData.completedPoints?.length || 0,
+                coverageIntervals: progressData.unifiedProgressData?.coverage?.length || progressData.coverage?.length || 0,
+                legacyPoints: progressData.completedPointsData?.length || 0,
                 activities: progressData.processedActivities?.length || 0,
                 percentage: progressData.percentage,
                 totalDistance: progressData.totalDistance,
@@ -694,53 +676,38 @@ class FirebaseProgressService {
                 fullProgressData: progressData
             });
             
-            // Handle both old and new data formats
-            let completedPoints = [];
-            if (progressData.completedPointsData && progressData.completedPointsData.length > 0) {
-                // New format: string array
-                completedPoints = this.convertFirebaseToPoints(progressData.completedPointsData);
-            } else if (progressData.completedPoints && progressData.completedPoints.length > 0) {
-                // Old format: coordinate arrays
-                completedPoints = progressData.completedPoints;
-            } else if (progressData.cachedResults && progressData.cachedResults.pointCount > 0) {
-                // Fallback: Firebase main data is corrupted/empty but we have cached results
-                console.log('⚠️ Firebase main data corrupted/empty, but cached results exist');
-                console.log('📦 Cached results data:', progressData.cachedResults);
-                
-                // Try to get actual points from localStorage (don't create fake coordinates!)
-                try {
-                    const cachedPoints = JSON.parse(localStorage.getItem('swcp_completed_points') || '[]');
-                    if (cachedPoints.length > 0 && !this.areCoordinatesCorrupted(cachedPoints)) {
-                        completedPoints = cachedPoints;
-                        console.log('✅ Using valid localStorage coordinates instead of corrupted Firebase data');
-                    } else {
-                        console.log('⚠️ LocalStorage coordinates also corrupted or missing - returning empty array');
-                        completedPoints = []; // Don't create fake coordinates!
-                    }
-                } catch (e) {
-                    console.log('⚠️ Could not load localStorage points - returning empty array');
-                    completedPoints = []; // Don't create fake coordinates!
-                }
-            }
+            // Coverage lives in the unified structure; older documents only have flattened points,
+            // which are kept in localStorage for the worker to convert into coverage
+            const coverage = progressData.unifiedProgressData?.coverage || progressData.coverage || [];
+            const legacyPoints = coverage.length === 0 && progressData.completedPointsData?.length > 0
+                ? this.convertFirebaseToPoints(progressData.completedPointsData)
+                : [];
             
             const processedActivities = progressData.processedActivities || [];
             
             // Update localStorage with Firebase data (cache sync)
             console.log('🔄 Syncing to localStorage:', {
-                pointsToSave: completedPoints.length,
-                activitiesToSave: processedActivities.length,
-                pointsData: completedPoints.slice(0, 3)
+                intervalsToSave: coverage.length,
+                legacyPointsToSave: legacyPoints.length,
+                activitiesToSave: processedActivities.length
             });
             
-            localStorage.setItem('swcp_completed_points', JSON.stringify(completedPoints));
+            localStorage.setItem('swcp_coverage', JSON.stringify(coverage));
+            if (legacyPoints.length > 0) {
+                localStorage.setItem('swcp_completed_points', JSON.stringify(legacyPoints));
+            }
             localStorage.setItem('swcp_processed_activities', JSON.stringify(processedActivities));
+            // The unified copy carries the stage dates and stage option choices the worker is given
+            if (progressData.unifiedProgressData) {
+                localStorage.setItem('swcp_unified_progress', JSON.stringify(progressData.unifiedProgressData));
+            }
             
             console.log('✅ Firebase data loaded and synced to cache');
             
             // Determine which data source to use for metrics
             let finalPercentage, finalTotalDistance, finalCompletedDistance;
             
-            if (progressData.cachedResults && progressData.cachedResults.pointCount > 0 && 
+            if (progressData.cachedResults && progressData.cachedResults.intervalCount > 0 && 
                 (progressData.percentage === 0 || !progressData.percentage)) {
                 // Use cached results if main data is zero/empty
                 console.log('📊 Using cached results for metrics');
@@ -758,15 +725,15 @@ class FirebaseProgressService {
                 percentage: finalPercentage,
                 totalDistance: finalTotalDistance,
                 completedDistance: finalCompletedDistance,
-                pointCount: completedPoints.length,
-                usedCachedResults: !!(progressData.cachedResults && progressData.cachedResults.pointCount > 0 && (progressData.percentage === 0 || !progressData.percentage))
+                intervalCount: coverage.length,
+                usedCachedResults: !!(progressData.cachedResults && progressData.cachedResults.intervalCount > 0 && (progressData.percentage === 0 || !progressData.percentage))
             });
 
             return {
                 success: true,
-                completedPoints: completedPoints,
+                coverage: coverage,
                 processedActivities: processedActivities,
-                pointCount: completedPoints.length,
+                intervalCount: coverage.length,
                 percentage: finalPercentage,
                 totalDistance: finalTotalDistance,
                 completedDistance: finalCompletedDistance,
@@ -793,7 +760,7 @@ class FirebaseProgressService {
                     percentage: firebaseData.percentage,
                     totalDistance: firebaseData.totalDistance || 0,
                     completedDistance: firebaseData.completedDistance || 0,
-                    pointCount: firebaseData.pointCount || 0,
+                    intervalCount: firebaseData.intervalCount || 0,
                     lastCalculated: new Date().toISOString(),
                     source: 'firebase_sync'
                 };
@@ -820,26 +787,31 @@ class FirebaseProgressService {
     }
 
     /**
-     * Check if coordinate array is corrupted (all zeros or invalid coordinates)
+     * Check if coverage intervals are corrupted (not an array, or intervals with invalid chainage)
      */
-    areCoordinatesCorrupted(coordinates) {
-        if (!Array.isArray(coordinates) || coordinates.length === 0) return true;
+    isCoverageCorrupted(coverage) {
+        if (!Array.isArray(coverage)) return true;
         
-        // Check if all coordinates are [0,0] (the corruption pattern)
-        const allZeros = coordinates.every(coord => 
-            Array.isArray(coord) && coord.length === 2 && coord[0] === 0 && coord[1] === 0
+        const invalid = coverage.find(interval =>
+            !interval || !Number.isFinite(interval.startKm) || !Number.isFinite(interval.endKm) ||
+            interval.startKm < 0 || interval.endKm < interval.startKm
         );
         
-        if (allZeros) {
-            console.log('🚨 Detected corrupted coordinates: all points are [0,0]');
+        if (invalid) {
+            console.log('🚨 Detected corrupted coverage interval:', invalid);
             return true;
         }
         
-        // Additional corruption checks could be added here
-        // (e.g., all points identical, all points obviously invalid coordinates)
-        
         return false;
     }
+
+    /**
+     * Total covered kilometers of a set of coverage intervals
+     */
+    getCoverageKm(coverage) {
+        if (!Array.isArray(coverage)) return 0;
+        return coverage.reduce((sum, interval) => sum + Math.max((interval.endKm || 0) - (interval.startKm || 0), 0), 0);
+    }
     
     /**
      * SIMPLIFIED SAVE: Firebase-first with cache update
@@ -857,48 +829,70 @@ class FirebaseProgressService {
             if (progressData.unifiedProgressData) {
                 const unifiedData = progressData.unifiedProgressData;
                 
-                // 🛡️ CORRUPTION PROTECTION: Don't save corrupted coordinates
-                if (unifiedData.completedPoints && this.areCoordinatesCorrupted(unifiedData.completedPoints)) {
-                    console.error('🚨 CORRUPTION PROTECTION: Refusing to save corrupted coordinates to Firebase');
-                    console.log('🛡️ Corrupted data:', unifiedData.completedPoints.slice(0, 5));
-                    return { success: false, reason: 'corrupted_coordinates' };
+                // 🛡️ CORRUPTION PROTECTION: Don't save corrupted coverage
+                if (this.isCoverageCorrupted(unifiedData.coverage || [])) {
+                    console.error('🚨 CORRUPTION PROTECTION: Refusing to save corrupted coverage to Firebase');
+                    return { success: false, reason: 'corrupted_coverage' };
                 }
                 
-                // Convert nested arrays to Firebase-compatible format
-                const firebaseCompatibleData = {
-                    ...unifiedData,
-                    // Convert coordinate arrays to strings for Firebase
-                    completedPoints: unifiedData.completedPoints?.map(point => `${point[0]},${point[1]}`) || [],
-                    completedPointsCount: unifiedData.completedPoints?.length || 0,
-                    // Keep original nested array count for verification
-                    _originalPointsCount: unifiedData.completedPoints?.length || 0
-                };
+                // Coverage intervals are plain objects, so Firestore can store them directly.
+                // Writing the whole unified object also drops any legacy completedPoints field.
+                const { completedPoints, ...firebaseCompatibleData } = unifiedData;
+                firebaseCompatibleData.coverage = unifiedData.coverage || [];
                 
-                console.log('🔄 Firebase conversion:', {
-                    originalPoints: unifiedData.completedPoints?.length || 0,
-                    convertedPoints: firebaseCompatibleData.completedPoints?.length || 0,
-                    sampleConverted: firebaseCompatibleData.completedPoints?.slice(0, 3)
+                console.log('🔄 Firebase coverage:', {
+                    intervals: firebaseCompatibleData.coverage.length,
+                    coveredKm: this.getCoverageKm(firebaseCompatibleData.coverage).toFixed(2)
                 });
                 
-                // Save unified data to Firebase
+                // Save unified data to Firebase. The Strava webhook (and other devices) add activities to
+                // the stored copy too, so it is re-read in a transaction and anything analysed there that
+                // this copy hasn't seen is merged in rather than overwritten.
                 const docRef = doc(this.db, 'users', this.currentUser.uid);
-                const { deleteField } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
-
-                await updateDoc(docRef, {
-                    'progressData.unifiedProgressData': firebaseCompatibleData,
-                    'progressData.lastUpdated'        : new Date(),
-                    'progressData.source'             : 'swcp-tracker-unified',
-
-                    // Remove legacy summary keys
-                    'progressData.completedDistance'  : deleteField(),
-                    'progressData.totalDistance'      : deleteField(),
-                    'progressData.percentage'         : deleteField(),
-
-                    lastActive: new Date()
-                }, { merge: true });
+                const merged = await runTransaction(this.db, async (transaction) => {
+                    const snapshot = await transaction.get(docRef);
+                    const stored = snapshot.exists() ? snapshot.data().progressData?.unifiedProgressData : null;
+                    const result = this.mergeStoredProgress(firebaseCompatibleData, stored);
+
+                    transaction.update(docRef, {
+                        'progressData.unifiedProgressData': result.data,
+                        'progressData.lastUpdated'        : new Date(),
+                        'progressData.source'             : 'swcp-tracker-unified',
+
+                        // Remove legacy summary keys
+                        'progressData.completedDistance'  : deleteField(),
+                        'progressData.totalDistance'      : deleteField(),
+                        'progressData.percentage'         : deleteField(),
+
+                        lastActive: new Date()
+                    });
+                    return result;
+                });
                 
+                if (merged.addedActivityIds.length > 0) {
+                    console.log(`🔀 Merged ${merged.addedActivityIds.length} activities analysed elsewhere into the save`);
+                }
                 console.log('✅ Unified progress saved to Firebase successfully');
-                return { success: true, message: 'Unified data saved to Firebase' };
+                return { success: true, message: 'Unified data saved to Firebase', data: merged.data, addedActivityIds: merged.addedActivityIds };
+            }
+            
+            // Take one activity back out of the stored copy, so a save from a copy that still has the
+            // activity isn't needed to drop it and later merges don't bring it back
+            if (progressData.removeActivityId) {
+                const activityId = String(progressData.removeActivityId);
+                const docRef = doc(this.db, 'users', this.currentUser.uid);
+                await runTransaction(this.db, async (transaction) => {
+                    const snapshot = await transaction.get(docRef);
+                    const stored = snapshot.exists() ? snapshot.data().progressData?.unifiedProgressData : null;
+                    if (!stored) return;
+                    transaction.update(docRef, {
+                        'progressData.unifiedProgressData': this.withoutActivity(stored, activityId),
+                        'progressData.lastUpdated'        : new Date(),
+                        lastActive: new Date()
+                    });
+                });
+                console.log(`✅ Activity ${activityId} removed from Firebase progress`);
+                return { success: true, message: 'Activity removed from Firebase progress' };
             }
             
             // Legacy support for old data structure (can be removed later)
@@ -911,19 +905,79 @@ class FirebaseProgressService {
         }
     }
     
+    /**
+     * Merge into unified progress about to be saved the activities only the stored copy has, with
+     * their stats, coverage and stage dates. Totals and the stage table are left for the caller to
+     * recalculate. Coverage is combined with mergeCoverage (swcp_matching.js, loaded by the page).
+     * @returns {Object} { data, addedActivityIds }
+     */
+    mergeStoredProgress(unifiedData, stored) {
+        const knownIds = new Set((unifiedData.analyzedActivityIds || []).map(String));
+        const addedActivityIds = (stored?.analyzedActivityIds || []).map(String).filter(id => !knownIds.has(id));
+        if (addedActivityIds.length === 0) return { data: unifiedData, addedActivityIds };
+
+        const added = new Set(addedActivityIds);
+        const storedStats = stored.activityStats || {};
+        const activityStats = { ...unifiedData.activityStats };
+        addedActivityIds.forEach(id => {
+            if (storedStats[id]) activityStats[id] = storedStats[id];
+        });
+
+        // Activities with their own intervals bring only those; merged intervals could carry back
+        // coverage of an activity this copy has taken out
+        const addedCoverage = [
+            ...addedActivityIds.flatMap(id => storedStats[id]?.coverage || []),
+            ...(stored.coverage || []).filter(interval => (interval.activityIds || [])
+                .some(id => added.has(String(id)) && !Array.isArray(storedStats[String(id)]?.coverage)))
+        ];
+        const stageDates = { ...unifiedData.stageDates };
+        Object.entries(stored.stageDates || {}).forEach(([stage, dates]) => {
+            const existing = stageDates[stage];
+            stageDates[stage] = existing
+                ? { first: existing.first < dates.first ? existing.first : dates.first, last: existing.last > dates.last ? existing.last : dates.last }
+                : dates;
+        });
+
+        return {
+            data: {
+                ...unifiedData,
+                analyzedActivityIds: [...(unifiedData.analyzedActivityIds || []), ...addedActivityIds],
+                activityStats,
+                coverage: mergeCoverage([...(unifiedData.coverage || []), ...addedCoverage]),
+                stageDates
+            },
+            addedActivityIds
+        };
+    }
+
+    /**
+     * Unified progress without one activity. Coverage is rebuilt from the remaining activities' own
+     * intervals with removeActivityCoverage (swcp_matching.js); legacy coverage is kept as it is.
+     */
+    withoutActivity(unifiedData, activityId) {
+        const activityStats = { ...unifiedData.activityStats };
+        delete activityStats[activityId];
+        return {
+            ...unifiedData,
+            analyzedActivityIds: (unifiedData.analyzedActivityIds || []).filter(id => String(id) !== activityId),
+            activityStats,
+            coverage: removeActivityCoverage(unifiedData.coverage, unifiedData.activityStats || {}, activityId)
+        };
+    }
+    
     /**
      * Save to localStorage cache (fallback/performance)
      */
     saveToLocalStorageCache(progressData) {
         try {
-            if (progressData.completedPoints) {
-                // 🛡️ CORRUPTION PROTECTION: Don't save corrupted coordinates
-                if (this.areCoordinatesCorrupted(progressData.completedPoints)) {
-                    console.error('🚨 CORRUPTION PROTECTION: Refusing to save corrupted coordinates to localStorage');
+            if (progressData.coverage) {
+                // 🛡️ CORRUPTION PROTECTION: Don't save corrupted coverage
+                if (this.isCoverageCorrupted(progressData.coverage)) {
+                    console.error('🚨 CORRUPTION PROTECTION: Refusing to save corrupted coverage to localStorage');
                     console.log('🛡️ Corrupted data detected, keeping existing localStorage data');
                 } else {
-                    localStorage.setItem('swcp_completed_points', JSON.stringify(progressData.completedPoints));
-                    console.log('✅ Saved valid coordinates to localStorage cache');
+                    localStorage.setItem('swcp_coverage', JSON.stringify(progressData.coverage));
+                    console.log('✅ Saved valid coverage to localStorage cache');
                 }
             }
             if (progressData.processedActivities) {
@@ -956,12 +1010,12 @@ class FirebaseProgressService {
             }
             
             // Get current stored progress for verification
-            const storedPoints = JSON.parse(localStorage.getItem('swcp_completed_points') || '[]');
+            const storedCoverage = JSON.parse(localStorage.getItem('swcp_coverage') || '[]');
             const storedActivities = JSON.parse(localStorage.getItem('swcp_processed_activities') || '[]');
             
             // Safety check: ensure cached data matches stored data
-            if (cached.pointCount !== storedPoints.length) {
-                console.log(`⚠️ Cached point count (${cached.pointCount}) doesn't match stored (${storedPoints.length}), using normal loading`);
+            if (cached.intervalCount !== storedCoverage.length) {
+                console.log(`⚠️ Cached interval count (${cached.intervalCount}) doesn't match stored (${storedCoverage.length}), using normal loading`);
                 return false;
             }
             
@@ -970,7 +1024,7 @@ class FirebaseProgressService {
             
             console.log('⚡ Instant progress displayed safely from cache');
             if (window.log) {
-                window.log(`⚡ Instant loading: ${cached.percentage}% (${cached.pointCount} waypoints)`, 'success');
+                window.log(`⚡ Instant loading: ${cached.percentage}% (${cached.intervalCount} covered stretches)`, 'success');
             }
             
             return true;
@@ -990,7 +1044,7 @@ class FirebaseProgressService {
         // Check required fields exist
         if (typeof cached.percentage !== 'number' || 
             typeof cached.totalDistance !== 'number' ||
-            typeof cached.pointCount !== 'number') {
+            typeof cached.intervalCount !== 'number') {
             console.log('❌ Cached data missing required numeric fields');
             return false;
         }
@@ -1006,8 +1060,8 @@ class FirebaseProgressService {
             return false;
         }
         
-        if (cached.pointCount < 0 || cached.pointCount > 10000) {
-            console.log('❌ Cached point count out of range:', cached.pointCount);
+        if (cached.intervalCount < 0 || cached.intervalCount > 10000) {
+            console.log('❌ Cached interval count out of range:', cached.intervalCount);
             return false;
         }
         
@@ -1058,7 +1112,7 @@ class FirebaseProgressService {
              const elevationEl = document.getElementById('elevation-gained');
              const timeEl = document.getElementById('time-taken');
              
-             if (cached.pointCount > 0) {
+             if (cached.intervalCount > 0) {
                  // Have progress - elevation/time will be calculated in background verification
                  console.log('⏳ Elevation/time will be calculated in background verification');
              } else {
@@ -1099,6 +1153,49 @@ class FirebaseProgressService {
         }
     }
 
+    /**
+     * Rebuild the user's daily totals (heatmap data) on the server from their activity list
+     * @param {boolean} dryRun - Only report differences without rewriting anything
+     * @returns {Promise<Object>} { success, report } with the rebuildDailyTotals report, or { success: false, error }
+     */
+    async rebuildDailyTotals(dryRun = false) {
+        if (!this.isEnabled || !this.db) {
+            return { success: false, error: 'Not authenticated' };
+        }
+
+        try {
+            const { getFunctions, httpsCallable } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-functions.js');
+            const rebuild = httpsCallable(getFunctions(this.db.app), 'rebuildDailyTotals');
+            const { data } = await rebuild({ dryRun });
+            console.log(`📅 Daily totals ${dryRun ? 'check' : 'rebuild'}: ${data.differenceCount} day(s) differed across ${data.activityCount} activities`, data.differences);
+            return { success: true, report: data };
+        } catch (error) {
+            console.error('❌ Daily totals rebuild failed:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Load the user's week, month and year totals kept by the updateDailyTotals function
+     * @returns {Promise<Object>} { success, periods } with each document's id and fields, or { success: false, error }
+     */
+    async loadPeriodTotals() {
+        if (!this.isEnabled || !this.db || !this.currentUser) {
+            return { success: false, error: 'Not authenticated' };
+        }
+
+        try {
+            const { collection, getDocs } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
+            const snapshot = await getDocs(collection(this.db, 'userPeriodTotals', this.currentUser.uid, 'periods'));
+            const periods = snapshot.docs.map(periodDoc => ({ id: periodDoc.id, ...periodDoc.data() }));
+            console.log(`📊 Loaded ${periods.length} period totals`);
+            return { success: true, periods };
+        } catch (error) {
+            console.error('❌ Failed to load period totals:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
     /**
      * NUCLEAR OPTION: Delete ALL Firebase data for the user
      */
@@ -1114,7 +1211,7 @@ class FirebaseProgressService {
             // Clear all progress data by saving empty data
             const emptyProgressData = {
                 // Legacy flat fields
-                completedPoints: [],
+                coverage: [],
                 processedActivities: [],
                 totalDistance: 0,
                 completedDistance: 0,
@@ -1122,11 +1219,9 @@ class FirebaseProgressService {
                 totalElevation: 0,
                 totalTime: 0,
                 cachedResults: null,
-                completedPointsCount: 0,
-                completedPointsData: [],
                 // Unified structure cleared as well
                 unifiedProgressData: {
-                    completedPoints: [],
+                    coverage: [],
                     completedDistance: 0,
                     percentage: 0,
                     analyzedActivityIds: [],
@@ -1268,8 +1363,8 @@ class FirebaseProgressService {
     }
 
     /**
-     * Update analysis status for a specific activity
-     * @param {string} activityId - The activity ID
+     * Update analysis status for a specific activity, or for every activity in a batch
+     * @param {string|Array<string>} activityId - The activity ID, or an array of IDs
      * @param {boolean} analyzed - Whether the activity has been analyzed
      * @returns {Promise<boolean>} Success status
      */
@@ -1291,10 +1386,11 @@ class FirebaseProgressService {
 
             if (userDoc.exists() && userDoc.data().activities) {
                 const activitiesData = userDoc.data().activities;
+                const activityIds = new Set((Array.isArray(activityId) ? activityId : [activityId]).map(String));
                 
-                // Find and update the specific activity
+                // Find and update the specific activities in a single write
                 const updatedActivities = activitiesData.activities.map(activity => {
-                    if (String(activity.id) === String(activityId)) {
+                    if (activityIds.has(String(activity.id))) {
                         return { ...activity, analyzed };
                     }
                     return activity;
@@ -1306,7 +1402,7 @@ class FirebaseProgressService {
                     'activities.lastUpdated': new Date().toISOString()
                 });
 
-                console.log(`🔥 Updated analysis status for activity ${activityId} to ${analyzed}`);
+                console.log(`🔥 Updated analysis status for ${activityIds.size === 1 ? `activity ${[...activityIds][0]}` : `${activityIds.size} activities`} to ${analyzed}`);
                 return true;
             }
 
@@ -1402,9 +1498,9 @@ window.testInstantLoadingSafe = async () => {
     console.log('⚡ Testing Safe Instant Loading...');
     
     console.log('📊 Current progress state:');
-    const points = JSON.parse(localStorage.getItem('swcp_completed_points') || '[]');
+    const coverage = JSON.parse(localStorage.getItem('swcp_coverage') || '[]');
     const cached = await firebaseProgressService.loadCachedResults();
-    console.log(`  Points: ${points.length}`);
+    console.log(`  Coverage intervals: ${coverage.length}`);
     console.log(`  Cached: ${cached ? 'YES' : 'NO'}`);
     
     if (cached) {
@@ -1424,7 +1520,7 @@ window.testInstantLoadingSafe = async () => {
     }
     
     return { 
-        hasPoints: points.length > 0,
+        hasCoverage: coverage.length > 0,
         hasCached: !!cached,
         instantLoadingWorked: cached ? await firebaseProgressService.showInstantProgress() : false
     };
@@ -1434,12 +1530,12 @@ window.debugProgressData = async () => {
     console.log('🔍 DEBUG: Progress Data Investigation');
     
     // Check localStorage
-    const localPoints = JSON.parse(localStorage.getItem('swcp_completed_points') || '[]');
+    const localCoverage = JSON.parse(localStorage.getItem('swcp_coverage') || '[]');
     const localActivities = JSON.parse(localStorage.getItem('swcp_processed_activities') || '[]');
     const localCache = JSON.parse(localStorage.getItem('swcp_cached_results') || 'null');
     
     console.log('📱 localStorage data:', {
-        points: localPoints.length,
+        coverageIntervals: localCoverage.length,
         activities: localActivities.length,
         hasCache: !!localCache,
         cacheData: localCache
@@ -1475,7 +1571,7 @@ window.debugProgressData = async () => {
     });
     
     return {
-        localStorage: { points: localPoints.length, activities: localActivities.length },
+        localStorage: { coverageIntervals: localCoverage.length, activities: localActivities.length },
         firebase: firebaseProgressService.isEnabled ? 'enabled' : 'disabled',
         ui: {
             percentage: percentageEl?.textContent,
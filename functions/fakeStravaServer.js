@@ -0,0 +1,88 @@
+// functions/fakeStravaServer.js
+// Minimal stand-in for the Strava API, for exercising stravaWebhook/processStravaEvent
+// against the Firebase emulator without touching real accounts:
+//
+//   node functions/fakeStravaServer.js            # listens on :8089 (PORT to change)
+//   STRAVA_API_BASE=http://localhost:8089 STRAVA_VERIFY_TOKEN=dev STRAVA_SUBSCRIPTION_ID=1 firebase emulators:start --only functions,firestore
+//   curl -X POST <stravaWebhook url> -H 'Content-Type: application/json' \
+//     -d '{"object_type":"activity","object_id":4,"aspect_type":"create","owner_id":<athlete id>,"subscription_id":1,"event_time":1}'
+//
+// Delete events are only acted on once the activity is gone, so DELETE /api/v3/activities/N
+// makes activity N answer 404 from then on.
+//
+// Activity N walks the main route of stage N (counting from 1) with a small offset, so
+// the expected coverage is easy to check. FAKE_STRAVA_FIXTURES can point at a directory
+// of <id>.json files ({ activity, streams }) to serve recorded tracks instead.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 8089;
+const FIXTURES_DIR = process.env.FAKE_STRAVA_FIXTURES || null;
+const ROUTE_FILE = path.join(__dirname, '..', 'routes.geojson');
+
+const deleted = new Set(); // activity ids removed with DELETE
+
+const mainRoutes = JSON.parse(fs.readFileSync(ROUTE_FILE, 'utf8')).features
+  .filter(feature => feature.geometry && feature.geometry.type === 'LineString' && !/option$/i.test(feature.properties.name));
+
+function fakeActivity(id) {
+  if (FIXTURES_DIR) {
+    const file = path.join(FIXTURES_DIR, `${id}.json`);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+  }
+
+  const feature = mainRoutes[id - 1];
+  if (!feature) return null;
+  const coordinates = feature.geometry.coordinates;
+  const latlng = coordinates.map(c => [c[1] + 0.0001, c[0]]); // ~11 m off the line, inside the match threshold
+  const time = coordinates.map((c, i) => i * 30);
+
+  return {
+    activity: {
+      id,
+      name: `Fake walk: ${feature.properties.name}`,
+      type: 'Hike',
+      sport_type: 'Hike',
+      start_date: '2024-06-01T09:00:00Z',
+      start_date_local: '2024-06-01T10:00:00Z',
+      distance: 0,
+      moving_time: time[time.length - 1],
+      total_elevation_gain: 0,
+    },
+    streams: {
+      latlng: { data: latlng },
+      altitude: { data: coordinates.map(c => c[2] || 0) },
+      time: { data: time },
+    },
+  };
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  console.log(req.method, url.pathname);
+
+  if (req.method === 'POST' && url.pathname === '/oauth/token') {
+    send(res, 200, { access_token: `fake-access-${Date.now()}`, refresh_token: 'fake-refresh', expires_at: Math.floor(Date.now() / 1000) + 6 * 3600, athlete: { id: 1, firstname: 'Fake', lastname: 'Walker' } });
+    return;
+  }
+
+  const match = url.pathname.match(/^\/api\/v3\/activities\/(\d+)(\/streams)?$/);
+  if (match && !match[2] && req.method === 'DELETE') {
+    deleted.add(Number(match[1]));
+    send(res, 200, { id: Number(match[1]) });
+    return;
+  }
+  const fake = match && !deleted.has(Number(match[1])) && fakeActivity(Number(match[1]));
+  if (!fake) {
+    send(res, 404, { message: 'Record Not Found' });
+    return;
+  }
+  send(res, 200, match[2] ? fake.streams : fake.activity);
+}).listen(PORT, () => console.log(`Fake Strava API on http://localhost:${PORT}`));
@@ -1,45 +1,789 @@
 // functions/index.js
-// Cloud Function to maintain per-day activity totals for each user.
-// Triggered after a processed activity document is created.
+// Cloud Function to maintain per-day activity totals, and their week, month and year rollups, for each user.
+// Triggered whenever a processed activity document is created, edited or deleted.
 // Adjust collection paths to match your setup.
 
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
+const swcpMatcher = require('./swcpMatcher');
 admin.initializeApp();
 
 // Path to processed activities per user
-const PROCESSED_COLLECTION = 'processedActivities'; // processedActivities/{uid}/{activityId}
+const PROCESSED_COLLECTION = 'processedActivities'; // processedActivities/{uid}/activities/{activityId}
+// Week, month and year rollups of the daily totals
+const PERIOD_TOTALS_COLLECTION = 'userPeriodTotals'; // userPeriodTotals/{uid}/periods/{YYYY-Www | YYYY-MM | YYYY}
+const TOTAL_FIELDS = ['totalKm', 'onPathKm', 'elevationM', 'activityCount']; // kept on every day and period document
+const DAY_ENTRY_FIELDS = ['date', 'km', 'onPathKm', 'elevationM']; // see dayEntry
+
+// Strava push subscription. Point STRAVA_API_BASE at a fake server to test against the emulator.
+const WEBHOOK_EVENTS_COLLECTION = 'stravaWebhookEvents'; // stravaWebhookEvents/{eventId}, queued for processStravaEvent
+const EVENT_RETRY_WINDOW_MS = 60 * 60 * 1000; // how long processStravaEvent keeps retrying an event that failed transiently
+const STRAVA_API_BASE = process.env.STRAVA_API_BASE || 'https://www.strava.com';
+const STRAVA_VERIFY_TOKEN = process.env.STRAVA_VERIFY_TOKEN || '';
+const STRAVA_SUBSCRIPTION_ID = process.env.STRAVA_SUBSCRIPTION_ID || ''; // returned by Strava when the subscription was created
+const TOKEN_REFRESH_MARGIN_S = 300; // refresh access tokens that expire within 5 minutes
+const DEFAULT_ACTIVITY_TYPES = ['Hike', 'Walk']; // when the user hasn't chosen (see utils/activityTypes.js)
+// Strava OAuth. The client secret in config/strava and each user's refresh token are only read here;
+// the browser is handed access tokens and nothing else.
+const STRAVA_TOKENS_COLLECTION = 'stravaTokens'; // stravaTokens/{uid}: { accessToken, refreshToken, expiresAt, athleteId }
+// The webhook finds users only through this mapping, which is written when Strava hands over the tokens;
+// the athlete on the user document is the user's to edit, so it can't be trusted to say whose events are whose
+const STRAVA_ATHLETES_COLLECTION = 'stravaAthletes'; // stravaAthletes/{athleteId}: { uid }
 
 exports.updateDailyTotals = functions.firestore
-  .document(`${PROCESSED_COLLECTION}/{userId}/{activityId}`)
+  .document(`${PROCESSED_COLLECTION}/{userId}/activities/{activityId}`)
   .onWrite(async (change, context) => {
     const { userId, activityId } = context.params;
-    const after = change.after.exists ? change.after.data() : null;
-    const before = change.before.exists ? change.before.data() : null;
+    const before = dayEntry(change.before);
+    const after = dayEntry(change.after);
+
+    // Ignore writes that change none of the figures the totals use (e.g. overlapsRoute only)
+    if (!before && !after) return null;
+    if (before && after && DAY_ENTRY_FIELDS.every(field => before[field] === after[field])) return null;
+
+    const daysRef = admin.firestore().collection('userDailyTotals').doc(userId).collection('days');
+    const periodsRef = admin.firestore().collection(PERIOD_TOTALS_COLLECTION).doc(userId).collection('periods');
+    const dates = [...new Set([before && before.date, after && after.date].filter(Boolean))];
+
+    await admin.firestore().runTransaction(async (transaction) => {
+      // Transactions need every read before the first write
+      const snapshots = await Promise.all(dates.map(date => transaction.get(daysRef.doc(date))));
+
+      // Each day's totals are summed from its entries; how far they moved is carried into its week, month and year
+      const periodDeltas = {};
+      const days = snapshots.map((snapshot, i) => {
+        const entries = (snapshot.exists && snapshot.data().activities) || [];
+
+        // Take out this activity's entry (and any stale duplicates left by earlier arrayUnion writes)
+        const kept = entries.filter(entry => String(entry.id) !== activityId);
+        const activities = after && after.date === dates[i] ? kept.concat(dayActivity(activityId, after)) : kept;
+        const totals = dayTotals(activities);
+        const previous = dayTotals(entries);
+
+        periodsOf(dates[i]).forEach(({ id, period, start }) => {
+          if (!periodDeltas[id]) periodDeltas[id] = { period, start, totals: dayTotals([]) };
+          TOTAL_FIELDS.forEach(field => { periodDeltas[id].totals[field] += totals[field] - previous[field]; });
+        });
+        return { snapshot, activities, totals };
+      });
+
+      // A day move inside one week or month leaves that period as it was
+      const periodIds = Object.keys(periodDeltas)
+        .filter(id => TOTAL_FIELDS.some(field => Math.abs(periodDeltas[id].totals[field]) > 1e-9));
+      const periodSnapshots = await Promise.all(periodIds.map(id => transaction.get(periodsRef.doc(id))));
+
+      days.forEach(({ snapshot, activities, totals }) => {
+        if (activities.length === 0) {
+          if (snapshot.exists) transaction.delete(snapshot.ref);
+          return;
+        }
+        transaction.set(snapshot.ref, {
+          ...totals,
+          activities,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        }, { merge: true });
+      });
+
+      periodSnapshots.forEach((snapshot, i) => {
+        const { period, start, totals: delta } = periodDeltas[periodIds[i]];
+        const stored = snapshot.exists ? snapshot.data() : {};
+        const totals = roundTotals(TOTAL_FIELDS.reduce((sum, field) => ({ ...sum, [field]: Math.max((stored[field] || 0) + delta[field], 0) }), {}));
+
+        if (totals.activityCount === 0) {
+          if (snapshot.exists) transaction.delete(snapshot.ref);
+          return;
+        }
+        transaction.set(snapshot.ref, {
+          period,
+          start,
+          ...totals,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      });
+    });
+
+    return null;
+  });
+
+/** The day (YYYY-MM-DD), distance, on-path distance and climbing a processed activity document counts towards, or null. */
+function dayEntry(snapshot) {
+  if (!snapshot.exists) return null;
+  const data = snapshot.data();
+  const date = (data.start_date_local || '').slice(0, 10);
+  if (!date) return null;
+  return { date, km: data.distance_km || 0, onPathKm: data.on_path_km || 0, elevationM: data.elevation_m || 0 };
+}
+
+/** The entry a day document keeps for one activity. */
+function dayActivity(activityId, entry) {
+  return { id: Number(activityId) || activityId, distance: entry.km, onPathDistance: entry.onPathKm, elevation: entry.elevationM };
+}
+
+/** Totals of a list of day entries (entries written before on-path distance and climbing were kept count as zero). */
+function dayTotals(entries) {
+  return roundTotals({
+    totalKm: entries.reduce((sum, entry) => sum + (entry.distance || 0), 0),
+    onPathKm: entries.reduce((sum, entry) => sum + (entry.onPathDistance || 0), 0),
+    elevationM: entries.reduce((sum, entry) => sum + (entry.elevation || 0), 0),
+    activityCount: entries.length,
+  });
+}
+
+// Repeated increments and decrements leave float noise; totals are kept to the metre
+function roundKm(km) {
+  return Math.round(km * 1000) / 1000;
+}
+
+function roundTotals(totals) {
+  return {
+    totalKm: roundKm(totals.totalKm),
+    onPathKm: roundKm(totals.onPathKm),
+    elevationM: Math.round(totals.elevationM * 10) / 10,
+    activityCount: Math.round(totals.activityCount),
+  };
+}
+
+/**
+ * The rollup periods a day belongs to, as { id, period, start }: its ISO week ('2024-W22',
+ * weeks start on Monday and belong to the year of their Thursday), month ('2024-06') and year ('2024').
+ */
+function periodsOf(date) {
+  const day = new Date(`${date}T00:00:00Z`);
+  const monday = new Date(day);
+  monday.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  const thursday = new Date(monday);
+  thursday.setUTCDate(monday.getUTCDate() + 3);
+  const weekYear = thursday.getUTCFullYear();
+  const week = Math.floor((thursday - Date.UTC(weekYear, 0, 1)) / (7 * 86400000)) + 1;
 
-    // If document was deleted, we can bail out (or handle decrement logic)
-    if (!after) return null;
+  return [
+    { id: `${weekYear}-W${String(week).padStart(2, '0')}`, period: 'week', start: monday.toISOString().slice(0, 10) },
+    { id: date.slice(0, 7), period: 'month', start: `${date.slice(0, 7)}-01` },
+    { id: date.slice(0, 4), period: 'year', start: `${date.slice(0, 4)}-01-01` },
+  ];
+}
 
-    // Ignore updates that do not change distance
-    if (before && before.distance_km === after.distance_km) return null;
+/**
+ * Callable rebuild of the caller's userDailyTotals and userPeriodTotals from their activity
+ * list, for when the stored documents have drifted. Pass { dryRun: true } to only report
+ * what would change. Returns { dryRun, activityCount, dayCount, differenceCount, differences,
+ * periodCount, periodDifferenceCount } where each day difference is
+ * { date, storedKm, rebuiltKm, missing, extra, duplicates, changed } (activity IDs).
+ */
+exports.rebuildDailyTotals = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Sign in to rebuild daily totals.');
+  }
+  const userId = context.auth.uid;
+  const dryRun = !!(data && data.dryRun);
 
-    const distanceKm = after.distance_km || 0;
-    const dateStr    = (after.start_date_local || '').slice(0, 10); // YYYY-MM-DD
+  const activities = await canonicalDailyActivities(userId);
+  const rebuilt = {};
+  activities.forEach((activity, activityId) => {
+    if (!rebuilt[activity.date]) rebuilt[activity.date] = [];
+    rebuilt[activity.date].push(dayActivity(activityId, activity));
+  });
 
-    if (!dateStr) return null;
+  const rebuiltPeriods = {};
+  Object.keys(rebuilt).forEach(date => {
+    const totals = dayTotals(rebuilt[date]);
+    periodsOf(date).forEach(({ id, period, start }) => {
+      if (!rebuiltPeriods[id]) rebuiltPeriods[id] = { period, start, ...dayTotals([]) };
+      TOTAL_FIELDS.forEach(field => { rebuiltPeriods[id][field] += totals[field]; });
+    });
+  });
+  Object.values(rebuiltPeriods).forEach(period => Object.assign(period, roundTotals(period)));
 
-    const dayRef = admin.firestore()
-      .collection('userDailyTotals').doc(userId)
-      .collection('days').doc(dateStr);
+  const daysRef = admin.firestore().collection('userDailyTotals').doc(userId).collection('days');
+  const periodsRef = admin.firestore().collection(PERIOD_TOTALS_COLLECTION).doc(userId).collection('periods');
+  const stored = {};
+  const storedPeriods = {};
+  const [daysSnapshot, periodsSnapshot] = await Promise.all([daysRef.get(), periodsRef.get()]);
+  daysSnapshot.forEach(doc => { stored[doc.id] = doc.data(); });
+  periodsSnapshot.forEach(doc => { storedPeriods[doc.id] = doc.data(); });
 
-    await dayRef.set({
-      totalKm: admin.firestore.FieldValue.increment(distanceKm),
-      activities: admin.firestore.FieldValue.arrayUnion({
-        id: Number(activityId),
-        distance: distanceKm
+  const dates = [...new Set([...Object.keys(stored), ...Object.keys(rebuilt)])].sort();
+  const differences = dates
+    .map(date => compareDay(date, stored[date], rebuilt[date] || []))
+    .filter(Boolean);
+
+  const periodDifferences = [...new Set([...Object.keys(storedPeriods), ...Object.keys(rebuiltPeriods)])]
+    .filter(id => !storedPeriods[id] || !rebuiltPeriods[id] || TOTAL_FIELDS.some(field => storedPeriods[id][field] !== rebuiltPeriods[id][field]));
+
+  if (!dryRun) {
+    const writes = [
+      ...differences.map(({ date }) => (batch) => {
+        const entries = rebuilt[date];
+        if (!entries) {
+          batch.delete(daysRef.doc(date));
+          return;
+        }
+        batch.set(daysRef.doc(date), {
+          ...dayTotals(entries),
+          activities: entries,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          rebuiltAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
       }),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
-    }, { merge: true });
+      ...periodDifferences.map(id => (batch) => {
+        if (!rebuiltPeriods[id]) {
+          batch.delete(periodsRef.doc(id));
+          return;
+        }
+        batch.set(periodsRef.doc(id), {
+          ...rebuiltPeriods[id],
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          rebuiltAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      }),
+    ];
+
+    // Batches are capped at 500 writes
+    for (let i = 0; i < writes.length; i += 400) {
+      const batch = admin.firestore().batch();
+      writes.slice(i, i + 400).forEach(write => write(batch));
+      await batch.commit();
+    }
+    functions.logger.info(`Rebuilt daily totals for ${userId}: ${differences.length} of ${dates.length} days and ${periodDifferences.length} periods changed`);
+  }
+
+  return {
+    dryRun,
+    activityCount: activities.size,
+    dayCount: Object.keys(rebuilt).length,
+    differenceCount: differences.length,
+    differences: differences.slice(0, 200),
+    periodCount: Object.keys(rebuiltPeriods).length,
+    periodDifferenceCount: periodDifferences.length,
+  };
+});
+
+/**
+ * Every activity that belongs in the daily totals, as a map of activity ID to the
+ * { date, km, onPathKm, elevationM } of dayEntry. Processed activity documents are canonical
+ * (the browser and the webhook both write them, keyed by ID); analysed activities in the
+ * app's saved activity list fill in any that predate those documents.
+ */
+async function canonicalDailyActivities(userId) {
+  const [userSnapshot, processedSnapshot] = await Promise.all([
+    admin.firestore().collection('users').doc(userId).get(),
+    admin.firestore().collection(PROCESSED_COLLECTION).doc(userId).collection('activities').get(),
+  ]);
+
+  const activities = new Map();
+  processedSnapshot.forEach(doc => {
+    const entry = dayEntry(doc);
+    if (entry) activities.set(doc.id, entry);
+  });
+
+  const userData = userSnapshot.exists ? userSnapshot.data() : {};
+  const unified = (userData.progressData && userData.progressData.unifiedProgressData) || {};
+  const analysedIds = new Set((unified.analyzedActivityIds || []).map(String));
+  const savedList = (userData.activities && userData.activities.activities) || [];
+  savedList.forEach(activity => {
+    const activityId = String(activity.id);
+    if (activities.has(activityId) || !(activity.analyzed || analysedIds.has(activityId))) return;
+    const date = (activity.start_date_local || activity.start_date || '').slice(0, 10);
+    if (!date) return;
+    const stats = (unified.activityStats || {})[activityId];
+    activities.set(activityId, {
+      date,
+      km: (activity.distance || 0) / 1000,
+      onPathKm: stats && stats.overlapsRoute ? (stats.onPathDistance !== null && stats.onPathDistance !== undefined ? stats.onPathDistance : activity.distance || 0) / 1000 : 0,
+      elevationM: activity.total_elevation_gain || 0,
+    });
+  });
+
+  return activities;
+}
 
+/** What differs between a stored day document and its rebuilt entries, or null if nothing does. */
+function compareDay(date, storedDay, entries) {
+  const storedEntries = (storedDay && storedDay.activities) || [];
+  const storedKm = roundKm((storedDay && storedDay.totalKm) || 0);
+  const rebuiltTotals = dayTotals(entries);
+
+  const storedById = new Map();
+  const duplicates = new Set();
+  storedEntries.forEach(entry => {
+    const id = String(entry.id);
+    if (storedById.has(id)) duplicates.add(id);
+    else storedById.set(id, entry);
+  });
+  const rebuiltIds = new Set(entries.map(entry => String(entry.id)));
+
+  const missing = entries.filter(entry => !storedById.has(String(entry.id))).map(entry => String(entry.id));
+  const extra = [...storedById.keys()].filter(id => !rebuiltIds.has(id));
+  const changed = entries
+    .filter(entry => {
+      const storedEntry = storedById.get(String(entry.id));
+      if (!storedEntry) return false;
+      const [before, after] = [dayTotals([storedEntry]), dayTotals([entry])];
+      return TOTAL_FIELDS.some(field => before[field] !== after[field]);
+    })
+    .map(entry => String(entry.id));
+  // Also catches day documents written before on-path distance and climbing were kept
+  const staleTotals = !!storedDay && TOTAL_FIELDS.some(field => storedDay[field] !== rebuiltTotals[field]);
+
+  if (!staleTotals && !missing.length && !extra.length && !duplicates.size && !changed.length) return null;
+  return { date, storedKm, rebuiltKm: rebuiltTotals.totalKm, missing, extra, duplicates: [...duplicates], changed };
+}
+
+/**
+ * Strava webhook endpoint.
+ * GET answers the subscription handshake; POST queues the event and returns at once,
+ * since Strava expects a reply within two seconds and retries events that time out.
+ */
+exports.stravaWebhook = functions.https.onRequest(async (req, res) => {
+  if (req.method === 'GET') {
+    if (req.query['hub.mode'] !== 'subscribe' || !STRAVA_VERIFY_TOKEN || req.query['hub.verify_token'] !== STRAVA_VERIFY_TOKEN) {
+      res.status(403).send('Forbidden');
+      return;
+    }
+    res.json({ 'hub.challenge': req.query['hub.challenge'] });
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    res.status(405).send('Method Not Allowed');
+    return;
+  }
+
+  const event = req.body || {};
+  if (!event.object_type || !event.object_id || !event.aspect_type || !event.owner_id) {
+    res.status(400).send('Invalid event');
+    return;
+  }
+  // The URL is public, so anything not sent for our subscription is turned away
+  if (!STRAVA_SUBSCRIPTION_ID || String(event.subscription_id) !== STRAVA_SUBSCRIPTION_ID) {
+    res.status(403).send('Forbidden');
+    return;
+  }
+
+  // Retried deliveries of the same event map to the same document and are dropped
+  const eventId = `${event.object_type}-${event.object_id}-${event.aspect_type}-${event.event_time || 0}`;
+  try {
+    await admin.firestore().collection(WEBHOOK_EVENTS_COLLECTION).doc(eventId).create({
+      objectType: event.object_type,
+      objectId: event.object_id,
+      aspectType: event.aspect_type,
+      ownerId: event.owner_id,
+      updates: event.updates || {},
+      eventTime: event.event_time || null,
+      receivedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  } catch (err) {
+    if (err.code !== 6) { // ALREADY_EXISTS
+      functions.logger.error('Failed to queue Strava event', eventId, err);
+      res.status(500).send('Error');
+      return;
+    }
+  }
+  res.status(200).send('EVENT_RECEIVED');
+});
+
+/**
+ * Apply a queued Strava event to the athlete's progress: new activities are matched against
+ * the route with the app's own matching code, deleted ones are taken back out. Strava's own
+ * retries are dropped as duplicates by stravaWebhook, so transient failures are retried here
+ * instead: the function is deployed with retries on and throws them for up to EVENT_RETRY_WINDOW_MS.
+ */
+exports.processStravaEvent = functions
+  .runWith({ failurePolicy: true })
+  .firestore.document(`${WEBHOOK_EVENTS_COLLECTION}/{eventId}`)
+  .onCreate(async (snapshot, context) => {
+    const event = snapshot.data();
+    let outcome;
+    try {
+      outcome = await handleStravaEvent(event);
+    } catch (err) {
+      functions.logger.error('Strava event failed', snapshot.id, err);
+      if (isTransientError(err) && Date.now() - Date.parse(context.timestamp) < EVENT_RETRY_WINDOW_MS) {
+        await snapshot.ref.update({ outcome: `retrying: ${err.message}` });
+        throw err;
+      }
+      outcome = `error: ${err.message}`;
+    }
+    await snapshot.ref.update({ outcome, processedAt: admin.firestore.FieldValue.serverTimestamp() });
     return null;
-  }); 
\ No newline at end of file
+  });
+
+/** Failures that may go away on their own: Strava rate limits and outages, network errors, Firestore contention. */
+function isTransientError(err) {
+  if (err.status) return err.status === 429 || err.status >= 500;
+  if (err instanceof TypeError && err.message === 'fetch failed') return true;
+  return [4, 8, 10, 14].includes(err.code); // DEADLINE_EXCEEDED, RESOURCE_EXHAUSTED, ABORTED, UNAVAILABLE
+}
+
+async function handleStravaEvent(event) {
+  const user = await findUserByAthlete(event.ownerId);
+  if (!user) return 'ignored: no user for athlete';
+
+  if (event.objectType === 'athlete') {
+    // The athlete revoked access to the app
+    if (event.updates.authorized === 'false') {
+      await user.ref.update({ stravaConnected: false, stravaData: null });
+      await unlinkAthlete(user.id);
+      await admin.firestore().collection(STRAVA_TOKENS_COLLECTION).doc(user.id).delete();
+      return 'deauthorized';
+    }
+    return 'ignored: athlete update';
+  }
+  if (event.objectType !== 'activity') return `ignored: ${event.objectType}`;
+
+  const activityId = String(event.objectId);
+  const isAnalysed = unified => !!unified && unified.analyzedActivityIds.includes(activityId);
+
+  if (event.aspectType === 'delete') {
+    if (!isAnalysed(user.data.progressData && user.data.progressData.unifiedProgressData)) return 'ignored: not analysed';
+    // Only take progress away once Strava confirms the activity is gone
+    if (!(await isDeletedOnStrava(activityId, await getAccessToken(user)))) return 'ignored: still on Strava';
+    const removed = await updateProgress(user, (unified, legacyPoints) =>
+      (isAnalysed(unified) ? removeActivity(unified, activityId, legacyPoints) : null));
+    if (!removed) return 'ignored: not analysed';
+    await admin.firestore().collection(PROCESSED_COLLECTION).doc(user.id).collection('activities').doc(activityId).delete();
+    return 'removed';
+  }
+
+  const accessToken = await getAccessToken(user);
+  const activity = await stravaGet(`/api/v3/activities/${activityId}`, accessToken);
+
+  // Updates are title, type, privacy and time/distance edits; only unseen activities need matching
+  if (event.aspectType === 'update' && isAnalysed(user.data.progressData && user.data.progressData.unifiedProgressData)) {
+    await updateProgress(user, unified => {
+      if (!isAnalysed(unified)) return null;
+      const stats = unified.activityStats[activityId];
+      if (stats) stats.name = activity.name;
+      return unified;
+    });
+    // Edited distances and start times flow on to the daily totals through updateDailyTotals
+    await admin.firestore().collection(PROCESSED_COLLECTION).doc(user.id).collection('activities').doc(activityId).set({
+      distance_km: (activity.distance || 0) / 1000,
+      start_date_local: activity.start_date_local || activity.start_date || '',
+      elevation_m: activity.total_elevation_gain || 0,
+    }, { merge: true });
+    return 'updated';
+  }
+
+  if (!isEligibleActivity(activity, user.data.preferences)) return `ignored: ${activity.sport_type || activity.type} not counted`;
+
+  const streams = await stravaGet(`/api/v3/activities/${activityId}/streams?keys=latlng,altitude,time&key_by_type=true`, accessToken);
+  const latlng = streams.latlng && streams.latlng.data;
+  if (!latlng || latlng.length === 0) return 'ignored: no GPS data';
+
+  // Matched against the progress read inside the transaction, which may be retried
+  let result;
+  await updateProgress(user, (unified, legacyPoints) => {
+    result = swcpMatcher.processActivity({
+      activityId,
+      latlng,
+      altitude: streams.altitude && streams.altitude.data,
+      time: streams.time && streams.time.data,
+      activityDate: activity.start_date_local || activity.start_date,
+      progress: { ...unified, legacyPoints },
+    });
+    return applyResult(unified, result, activity);
+  });
+
+  await admin.firestore().collection(PROCESSED_COLLECTION).doc(user.id).collection('activities').doc(activityId).set({
+    distance_km: (activity.distance || 0) / 1000,
+    start_date_local: activity.start_date_local || activity.start_date || '',
+    overlapsRoute: result.activityOverlapsRoute,
+    on_path_km: result.activityOverlapsRoute && result.onPathStats ? result.onPathStats.distanceMeters / 1000 : 0,
+    elevation_m: activity.total_elevation_gain || 0,
+  });
+  return result.activityOverlapsRoute ? 'matched' : 'analysed: off route';
+}
+
+// Same rule as isEligibleActivity in utils/activityTypes.js: either the type or the sport_type is allowed
+function isEligibleActivity(activity, preferences) {
+  const chosen = preferences && Array.isArray(preferences.activityTypes) ? preferences.activityTypes : [];
+  const allowed = chosen.length > 0 ? chosen : DEFAULT_ACTIVITY_TYPES;
+  return allowed.includes(activity.sport_type) || allowed.includes(activity.type);
+}
+
+/**
+ * Progress saved before coverage intervals existed, as [lng, lat] points, for a user whose saved
+ * coverage is still empty. The browser only converts these while there is no coverage, so once the
+ * webhook saves some they must already be in it (see loadFromFirebase in firebase-progress-service.js).
+ */
+function unmigratedPoints(progressData) {
+  const coverage = (progressData.unifiedProgressData && progressData.unifiedProgressData.coverage) || progressData.coverage || [];
+  if (coverage.length > 0 || !Array.isArray(progressData.completedPointsData)) return [];
+  return progressData.completedPointsData
+    .map(point => String(point).split(',').map(parseFloat))
+    .filter(point => point.length === 2 && !isNaN(point[0]) && !isNaN(point[1]));
+}
+
+async function findUserByAthlete(athleteId) {
+  const link = await admin.firestore().collection(STRAVA_ATHLETES_COLLECTION).doc(String(athleteId)).get();
+  if (!link.exists) return null;
+  const doc = await admin.firestore().collection('users').doc(link.data().uid).get();
+  if (!doc.exists) return null;
+  return { id: doc.id, ref: doc.ref, data: doc.data() };
+}
+
+/** Drop the mapping from the athlete the user last connected as to the user, if it still points at them. */
+async function unlinkAthlete(userId) {
+  const tokens = await admin.firestore().collection(STRAVA_TOKENS_COLLECTION).doc(userId).get();
+  const athleteId = tokens.exists && tokens.data().athleteId;
+  if (!athleteId) return;
+  const linkRef = admin.firestore().collection(STRAVA_ATHLETES_COLLECTION).doc(athleteId);
+  const link = await linkRef.get();
+  if (link.exists && link.data().uid === userId) await linkRef.delete();
+}
+
+/**
+ * Exchange the code from Strava's OAuth redirect for the signed-in user's tokens. The refresh
+ * token is kept in stravaTokens/{uid} and the athlete is mapped to the user in stravaAthletes; the
+ * user document gets the athlete and the current access token. Returns { accessToken, expiresAt, athlete }.
+ */
+exports.exchangeStravaToken = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Sign in to connect Strava.');
+  }
+  const code = data && data.code;
+  if (typeof code !== 'string' || !code) {
+    throw new functions.https.HttpsError('invalid-argument', 'Missing Strava authorization code.');
+  }
+  const userId = context.auth.uid;
+
+  let tokens;
+  try {
+    tokens = await requestStravaTokens({ grant_type: 'authorization_code', code });
+  } catch (err) {
+    functions.logger.warn(`Strava code exchange failed for ${userId}`, err.message);
+    throw new functions.https.HttpsError('failed-precondition', err.message);
+  }
+
+  const athleteId = tokens.athlete && tokens.athlete.id ? String(tokens.athlete.id) : null;
+  await unlinkAthlete(userId);
+  await saveStravaTokens(userId, tokens, athleteId);
+  if (athleteId) {
+    await admin.firestore().collection(STRAVA_ATHLETES_COLLECTION).doc(athleteId).set({ uid: userId });
+  }
+  // Replacing the whole map also drops a refresh token that older versions kept on the user document
+  await admin.firestore().collection('users').doc(userId).update({
+    stravaConnected: true,
+    stravaData: {
+      accessToken: tokens.access_token,
+      expiresAt: tokens.expires_at,
+      athlete: tokens.athlete || null,
+      connectedAt: admin.firestore.FieldValue.serverTimestamp(),
+    },
+  });
+  return { accessToken: tokens.access_token, expiresAt: tokens.expires_at, athlete: tokens.athlete || null };
+});
+
+/**
+ * A current Strava access token for the signed-in user, refreshed when it is about to expire,
+ * or regardless with { force: true } (after Strava has rejected it). Returns { accessToken, expiresAt }.
+ */
+exports.refreshStravaToken = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Sign in to use Strava.');
+  }
+  let tokens;
+  try {
+    tokens = await userAccessToken(context.auth.uid, !!(data && data.force));
+  } catch (err) {
+    functions.logger.warn(`Strava token refresh failed for ${context.auth.uid}`, err.message);
+    throw new functions.https.HttpsError('failed-precondition', err.message);
+  }
+  if (!tokens) {
+    throw new functions.https.HttpsError('failed-precondition', 'Strava is not connected.');
+  }
+  return tokens;
+});
+
+/** Forget the signed-in user's Strava tokens when they disconnect. */
+exports.disconnectStrava = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Sign in to disconnect Strava.');
+  }
+  await unlinkAthlete(context.auth.uid);
+  await admin.firestore().collection(STRAVA_TOKENS_COLLECTION).doc(context.auth.uid).delete();
+  return { disconnected: true };
+});
+
+/**
+ * The user's Strava access token, refreshed when it expires within TOKEN_REFRESH_MARGIN_S
+ * (or always, with force). Returns { accessToken, expiresAt }, or null when there is no
+ * refresh token on file.
+ */
+async function userAccessToken(userId, force = false) {
+  const tokensRef = admin.firestore().collection(STRAVA_TOKENS_COLLECTION).doc(userId);
+  const userRef = admin.firestore().collection('users').doc(userId);
+  const [tokensSnapshot, userSnapshot] = await Promise.all([tokensRef.get(), userRef.get()]);
+  const stravaData = (userSnapshot.exists && userSnapshot.data().stravaData) || null;
+
+  // Users who connected before tokens moved to stravaTokens still have them on the user document;
+  // refreshing once moves them across
+  const legacy = !tokensSnapshot.exists;
+  const stored = legacy ? stravaData : tokensSnapshot.data();
+  if (!stored || !stored.refreshToken) return null;
+
+  if (!force && !legacy && stored.accessToken && stored.expiresAt > Date.now() / 1000 + TOKEN_REFRESH_MARGIN_S) {
+    return { accessToken: stored.accessToken, expiresAt: stored.expiresAt };
+  }
+
+  const tokens = await requestStravaTokens({ grant_type: 'refresh_token', refresh_token: stored.refreshToken });
+  await saveStravaTokens(userId, tokens);
+  if (stravaData) {
+    await userRef.update({
+      'stravaData.accessToken': tokens.access_token,
+      'stravaData.expiresAt': tokens.expires_at,
+      'stravaData.refreshToken': admin.firestore.FieldValue.delete(),
+    });
+  }
+  return { accessToken: tokens.access_token, expiresAt: tokens.expires_at };
+}
+
+/** POST to Strava's token endpoint with the app credentials in config/strava. */
+async function requestStravaTokens(params) {
+  const config = (await admin.firestore().collection('config').doc('strava').get()).data() || {};
+  if (!config.clientId || !config.clientSecret) throw new Error('Strava app credentials are missing from config/strava');
+
+  const response = await fetch(`${STRAVA_API_BASE}/oauth/token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ client_id: config.clientId, client_secret: config.clientSecret, ...params }),
+  });
+  if (!response.ok) {
+    const err = new Error(`Strava token request failed (${response.status})`);
+    err.status = response.status;
+    throw err;
+  }
+  return response.json();
+}
+
+async function saveStravaTokens(userId, tokens, athleteId = null) {
+  const data = {
+    accessToken: tokens.access_token,
+    refreshToken: tokens.refresh_token,
+    expiresAt: tokens.expires_at,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+  // Refreshed tokens come without the athlete, so the one recorded at connection is kept
+  if (athleteId) data.athleteId = athleteId;
+  await admin.firestore().collection(STRAVA_TOKENS_COLLECTION).doc(userId).set(data, { merge: true });
+}
+
+/** The user's Strava access token for webhook processing. */
+async function getAccessToken(user) {
+  const tokens = await userAccessToken(user.id);
+  if (!tokens) throw new Error('No Strava refresh token on file');
+  return tokens.accessToken;
+}
+
+async function stravaGet(apiPath, accessToken) {
+  const response = await fetch(`${STRAVA_API_BASE}${apiPath}`, { headers: { Authorization: `Bearer ${accessToken}` } });
+  if (!response.ok) {
+    const err = new Error(`Strava ${apiPath} failed (${response.status})`);
+    err.status = response.status;
+    throw err;
+  }
+  return response.json();
+}
+
+async function isDeletedOnStrava(activityId, accessToken) {
+  try {
+    await stravaGet(`/api/v3/activities/${activityId}`, accessToken);
+    return false;
+  } catch (err) {
+    if (err.status === 404) return true;
+    throw err;
+  }
+}
+
+/** Fold a worker result into the unified progress, mirroring saveUnifiedProgress in script.js. */
+function applyResult(unified, result, activity) {
+  const data = unified || {
+    coverage: [],
+    stageProgress: [],
+    stageDates: {},
+    analyzedActivityIds: [],
+    activityStats: {},
+    totalElevation: 0,
+    totalTime: 0,
+    version: 1,
+  };
+  const activityId = String(activity.id);
+  const onPath = result.onPathStats;
+  const previous = data.activityStats[activityId];
+  const onPathShare = onPath && activity.distance > 0 ? Math.min(onPath.distanceMeters / activity.distance, 1) : 1;
+
+  if (!data.analyzedActivityIds.includes(activityId)) data.analyzedActivityIds.push(activityId);
+  data.activityStats[activityId] = {
+    name: activity.name,
+    elevation: onPath && onPath.elevationGain !== null ? onPath.elevationGain : (activity.total_elevation_gain || 0) * onPathShare,
+    time: onPath && onPath.movingTime !== null ? onPath.movingTime : (activity.moving_time || 0) * onPathShare,
+    onPathDistance: onPath ? onPath.distanceMeters : null,
+    pace: onPath ? onPath.paceSecondsPerKm : null,
+    newCoverageKm: previous && typeof previous.newCoverageKm === 'number' ? previous.newCoverageKm : result.newCoverageKm,
+    date: activity.start_date,
+    overlapsRoute: !!result.activityOverlapsRoute,
+    coverage: result.activityCoverage || [],
+  };
+  return withTotals(data, result);
+}
+
+/**
+ * Take a deleted activity back out. Coverage is rebuilt from the intervals each remaining activity
+ * matched on its own, so kilometres merged with the deleted activity's go with it. Legacy coverage,
+ * and coverage from activities analysed before their own intervals were kept, stays as it is.
+ */
+function removeActivity(unified, activityId, legacyPoints = []) {
+  const data = { ...unified };
+  data.analyzedActivityIds = unified.analyzedActivityIds.filter(id => id !== activityId);
+  data.activityStats = { ...unified.activityStats };
+  delete data.activityStats[activityId];
+  data.coverage = swcpMatcher.removeCoverage(unified, activityId);
+
+  return withTotals(data, swcpMatcher.recalculate({ ...data, legacyPoints }));
+}
+
+function withTotals(data, result) {
+  data.coverage = result.coverage;
+  data.completedDistance = result.totalDistance || 0;
+  data.percentage = parseFloat(result.percentage) || 0;
+  data.totalRouteDistance = result.routeDistance || data.totalRouteDistance || 0;
+  data.stageProgress = result.stages || [];
+  data.stageDates = result.stageDates || data.stageDates || {};
+
+  const routeStats = Object.values(data.activityStats).filter(stats => stats.overlapsRoute);
+  data.totalElevation = routeStats.reduce((sum, stats) => sum + (stats.elevation || 0), 0);
+  data.totalTime = routeStats.reduce((sum, stats) => sum + (stats.time || 0), 0);
+  data.lastUpdated = new Date().toISOString();
+  return data;
+}
+
+/**
+ * Change the user's unified progress in a transaction, so events processed side by side and saves
+ * from the browser build on each other's writes instead of overwriting them. change is given the
+ * stored unified progress (or null) and any unmigrated legacy points, and returns the new unified
+ * progress, or null to leave it as it is. It may run more than once. Resolves to what was saved.
+ */
+async function updateProgress(user, change) {
+  return admin.firestore().runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(user.ref);
+    const progressData = (snapshot.data() || {}).progressData || {};
+    const unified = change(progressData.unifiedProgressData || null, unmigratedPoints(progressData));
+    if (unified) transaction.update(user.ref, progressFields(unified));
+    return unified;
+  });
+}
+
+/** The unified progress and the top-level fields the app reads alongside it, as an update. */
+function progressFields(unified) {
+  return {
+    'progressData.unifiedProgressData': unified,
+    'progressData.coverage': unified.coverage,
+    'progressData.processedActivities': unified.analyzedActivityIds,
+    'progressData.totalDistance': unified.completedDistance || 0,
+    'progressData.completedDistance': unified.completedDistance || 0,
+    'progressData.percentage': unified.percentage || 0,
+    'progressData.lastUpdated': new Date(),
+    'progressData.source': 'strava-webhook',
+  };
+}
@@ -0,0 +1,83 @@
+// functions/swcpMatcher.js
+// Runs the app's route matching (swcp_matching.js, the same code the browser worker uses)
+// inside Node, so activities synced on the server produce exactly the coverage the browser would.
+// swcp_matching.js and routes.geojson live at the repo root; the predeploy step in firebase.json
+// copies them next to this file (npm run copy-shared), and the emulator finds them at the root.
+
+const fs = require('fs');
+const path = require('path');
+const functions = require('firebase-functions');
+
+const SOURCE_DIRS = [__dirname, path.join(__dirname, '..')];
+
+let route = null; // Built from routes.geojson on first use and kept for warm invocations
+
+function findSource(fileName) {
+  const dir = SOURCE_DIRS.find(candidate => fs.existsSync(path.join(candidate, fileName)));
+  if (!dir) throw new Error(`${fileName} not found next to functions/ or at the repo root`);
+  return path.join(dir, fileName);
+}
+
+// At the repo root swcp_matching.js can't resolve this package's node_modules, so hand it Turf
+globalThis.turf = globalThis.turf || require('@turf/turf');
+const matching = require(findSource('swcp_matching.js'));
+matching.setLogger({ log() {}, warn: functions.logger.warn, error: functions.logger.error });
+
+function loadRoute() {
+  if (!route) {
+    route = matching.routeFromGeoJSON(JSON.parse(fs.readFileSync(findSource('routes.geojson'), 'utf8')));
+  }
+  return route;
+}
+
+/**
+ * Match an activity against the route and merge it into existing coverage.
+ *
+ * @param {Object} options
+ * @param {string} options.activityId
+ * @param {Array<Array<number>>} options.latlng     Strava latlng stream ([lat, lng] pairs)
+ * @param {Array<number>} options.altitude          Strava altitude stream (optional)
+ * @param {Array<number>} options.time              Strava time stream (optional)
+ * @param {string} options.activityDate             start_date_local of the activity
+ * @param {Object} options.progress                 { coverage, stageDates, variantPreferences } already saved, and
+ *                                                  legacyPoints ([lng, lat]) for a user not yet migrated to coverage
+ * @returns {Object} Result of analyzeActivity (coverage, stages, totals, onPathStats, ...)
+ */
+function processActivity({ activityId, latlng, altitude, time, activityDate, progress = {} }) {
+  return matching.analyzeActivity(loadRoute(), {
+    activityId: String(activityId),
+    activityStream: latlng,
+    altitudeStream: altitude || null,
+    timeStream: time || null,
+    existingCoverage: progress.coverage || [],
+    existingPoints: progress.legacyPoints || [],
+    activityDate,
+    stageDates: progress.stageDates || {},
+    variantPreferences: progress.variantPreferences || {},
+    skipDetailedCalcs: true, // No map segments or per-sample progress on the server
+  });
+}
+
+/**
+ * Recalculate totals and the stage table for coverage without adding an activity.
+ *
+ * @param {Object} progress   { coverage, stageDates, variantPreferences, legacyPoints }
+ * @returns {Object} Result of analyzeActivity
+ */
+function recalculate(progress = {}) {
+  return processActivity({ activityId: 'route_recalculation', latlng: null, progress });
+}
+
+/**
+ * Coverage with one activity taken back out, rebuilt from the intervals each remaining activity
+ * matched on its own (see removeActivityCoverage in swcp_matching.js).
+ *
+ * @param {Object} progress   { coverage, activityStats }
+ * @param {string} activityId Activity to take out
+ * @returns {Array<Object>} Merged coverage intervals
+ */
+function removeCoverage(progress, activityId) {
+  return matching.removeActivityCoverage(progress.coverage || [], progress.activityStats || {}, String(activityId));
+}
+
+module.exports = { processActivity, recalculate, removeCoverage };
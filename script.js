@@ -4,16 +4,22 @@ let firebaseProgressService = null;
 // Constants
 const SWCP_GEOJSON_URL = 'routes.geojson';
 const PROCESSED_ACTIVITIES_KEY = 'swcp_processed_activities';
-const COMPLETED_POINTS_KEY = 'swcp_completed_points';
+const COMPLETED_POINTS_KEY = 'swcp_completed_points'; // Legacy point cloud, only read to migrate it to coverage intervals
+const COVERAGE_KEY = 'swcp_coverage'; // Merged chainage intervals of completed route
 const ACTIVITY_STREAMS_CACHE_PREFIX = 'swcp_activity_stream_';
+const IMPORTED_ACTIVITIES_KEY = 'swcp_imported_activities'; // Activities imported from GPX/TCX/FIT files rather than Strava
+const IMPORTED_ACTIVITY_ID_PREFIX = 'import-';
 const CACHED_ACTIVITIES_KEY = 'swcp_cached_activities';
 const CACHED_ACTIVITIES_TIMESTAMP_KEY = 'swcp_cached_activities_timestamp';
 const CACHE_EXPIRY_MS = 60 * 60 * 1000; // 1 hour
+const ACTIVITY_IMPORT_KEY = 'swcp_activity_import'; // Checkpoint of the paged Strava activity import
+const ACTIVITY_TYPES_KEY = 'swcp_activity_types'; // Strava types that count towards progress (utils/activityTypes.js)
 const BACKGROUND_IMAGE_PATH = 'background.webp'; // Kept for reference, though loaded via CSS
 const STRAVA_ACCESS_TOKEN_KEY = 'stravaAccessToken';
-const STRAVA_REFRESH_TOKEN_KEY = 'stravaRefreshToken';
 const STRAVA_EXPIRES_AT_KEY = 'stravaExpiresAt';
 const DARK_MODE_KEY = 'swcp_dark_mode';
+const VARIANT_PREFERENCES_KEY = 'swcp_variant_preferences'; // Which option of each stage counts towards progress
+const MIN_GAP_KM = 0.05; // Uncovered stretches shorter than this are matching noise, not gaps worth walking
 
 // === PHASE 1: PARALLEL LOADING FEATURE FLAGS ===
 const OPTIMIZATION_FEATURES = {
@@ -33,9 +39,26 @@ const UIElements = {};
 
 // Global variables for map and data
 // currentPercentage is critical here, ensure it's always up-to-date from updateProgressUI
-let mainMap, swcpGeoJSON, swcpTotalDistance = 0, completedSegmentsLayer, currentPercentage = 0, allFetchedActivities = [];
+let mainMap, swcpGeoJSON, swcpRoute = null, swcpElevations = [], swcpTotalDistance = 0, completedSegmentsLayer, currentPercentage = 0, allFetchedActivities = [];
+let allStravaActivities = []; // Every Strava activity loaded, whatever its type; allFetchedActivities holds the eligible ones plus imports
 let analysisWorker = null;
 let swcpDataPromise = null; // Will store the promise for loading SWCP data
+let swcpRouteStages = []; // Stages with the chainage range of each section, for gap analysis and export
+let remainingGaps = []; // Uncovered stretches listed in the Remaining Gaps tile
+let gapSortOrder = 'route'; // 'route', 'longest' or 'shortest'
+let gapHighlightLayer = null; // Gap picked in the Remaining Gaps tile, drawn on the main map
+let activityHighlightLayer = null; // Activity opened from the heatmap's day details, drawn on the main map
+let elevationProfileStage = ''; // Stage shown in the Elevation Profile tile ('' for the whole route)
+let elevationHoverMarker = null; // Main map marker following the cursor over the elevation profile
+let statsMetric = 'totalKm'; // Metric charted on the Stats page (a key of STAT_METRICS in utils/periodStats.js)
+let statsPeriodType = 'month'; // 'week', 'month' or 'year'
+let statsPeriodTotals = []; // Period total documents last loaded for the Stats page
+let stravaScheduler = null; // Queue that keeps Strava API calls within the rate limits (utils/stravaRateLimit.js)
+let activityImportRunning = false;
+let activityImportPauseRequested = false; // Set by the Pause button; the import stops after the current page
+let swcpRouteBoxes = null; // Route bounding boxes for pre-screening new activities (utils/routePrescreen.js)
+let autoAnalysisReport = null; // New activities sent for automatic analysis: { ids, skipped, percentageBefore }
+const importedActivityStreams = new Map(); // Streams of imported files, kept in memory in case localStorage is full
 let isDarkMode = false;
 let fabMenuOpen = false;
 let mobileMenuOpen = false;
@@ -63,7 +86,14 @@ const log = (message, type = 'info') => {
     else if (type === 'success') className = 'text-green-600';
     else if (type === 'warn') className = 'text-yellow-600';
 
-    p.innerHTML = `<span class="text-gray-500">${now}:</span> <span class="${className}">${message}</span>`;
+    // Messages carry activity and file names, so they go in as text, never as markup
+    const timeSpan = document.createElement('span');
+    timeSpan.className = 'text-gray-500';
+    timeSpan.textContent = `${now}:`;
+    const messageSpan = document.createElement('span');
+    messageSpan.className = className;
+    messageSpan.textContent = message;
+    p.append(timeSpan, ' ', messageSpan);
     UIElements.statusLog.appendChild(p);
     UIElements.statusLog.scrollTop = UIElements.statusLog.scrollHeight;
 };
@@ -167,24 +197,25 @@ async function loadProgressFromStorageOptimized() {
     enhancedLog('Starting optimized progress loading...', 'info');
     
     try {
-        // Get completed points immediately without waiting for SWCP data
-        const completedPoints = JSON.parse(localStorage.getItem(COMPLETED_POINTS_KEY) || '[]');
+        // Get stored coverage immediately without waiting for SWCP data
+        const storedProgress = getStoredCoverageForWorker();
+        const storedCount = storedProgress.existingCoverage.length + storedProgress.existingPoints.length;
         
-        if (completedPoints.length === 0) {
-            // No points to process, show 0 immediately
+        if (storedCount === 0) {
+            // Nothing to process, show 0 immediately
             updateProgressUI({ 
                 segments: [], 
                 totalDistance: 0, 
                 percentage: "0.00", 
-                newCompletedPoints: [] 
+                coverage: [] 
             });
             enhancedLog('No existing progress found, set to 0%', 'info');
             enhancedLog('Optimized progress loading completed', 'perf', startTime);
             return;
         }
         
-        // We have points but need SWCP data for processing
-        enhancedLog(`Found ${completedPoints.length} stored progress points, waiting for SWCP data...`, 'info');
+        // We have progress but need SWCP data for processing
+        enhancedLog(`Found ${storedCount} stored progress entries, waiting for SWCP data...`, 'info');
         
         // Wait for SWCP data to be ready (this runs in parallel with other operations)
         await swcpDataPromise;
@@ -195,18 +226,20 @@ async function loadProgressFromStorageOptimized() {
                 segments: [], 
                 totalDistance: 0, 
                 percentage: "0.00", 
-                newCompletedPoints: [] 
+                coverage: [] 
             });
             return;
         }
         
-        // Process the stored points
-        enhancedLog('SWCP data ready, processing stored progress points...', 'info');
+        // Process the stored coverage
+        enhancedLog('SWCP data ready, processing stored progress...', 'info');
         analysisWorker.postMessage({ 
             type: 'process_activity', 
             activityId: 'initial_load', 
-            activityStream: null, 
-            existingPoints: completedPoints 
+            activityStream: null,
+            ...storedProgress,
+            stageDates: getStoredStageDates(),
+            variantPreferences: getVariantPreferences()
         });
         
         enhancedLog('Optimized progress loading initiated', 'perf', startTime);
@@ -218,14 +251,65 @@ async function loadProgressFromStorageOptimized() {
     }
 }
 
+/**
+ * The rate-limit scheduler every Strava API call is queued on, created on first use.
+ * @returns {Promise<Object>} The scheduler from utils/stravaRateLimit.js.
+ */
+async function getStravaScheduler() {
+    if (!stravaScheduler) {
+        const { createRateLimitScheduler } = await import('./utils/stravaRateLimit.js');
+        stravaScheduler = stravaScheduler || createRateLimitScheduler({
+            onChange: renderRateLimitStatus,
+            onPause: (resumeAt, window) => log(`Strava ${window === 'daily' ? 'daily' : '15-minute'} rate limit reached. Queued requests will resume at ${new Date(resumeAt).toLocaleTimeString()}.`, 'warn'),
+            onResume: (queued) => log(`Strava rate limit window reset. Resuming ${queued} queued request(s).`, 'info')
+        });
+    }
+    return stravaScheduler;
+}
+
+/**
+ * Show the Strava API budget on the status page: use of the 15-minute and daily windows,
+ * queued requests and, while the limit is reached, when they will resume.
+ * @param {Object} status - The rate-limit scheduler's status().
+ */
+function renderRateLimitStatus(status) {
+    const container = document.getElementById('rate-limit-status');
+    if (!container || !status) return;
+
+    const time = (ms) => new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const windowRow = (label, used, limit, resetAt) => {
+        if (limit === null) {
+            return `<div>${label}: ${used} request(s) made; Strava has not reported the limit yet (resets ${time(resetAt)})</div>`;
+        }
+        const percent = Math.min(100, Math.round((used / limit) * 100));
+        const barColour = percent >= 90 ? 'bg-red-500' : percent >= 70 ? 'bg-yellow-500' : 'bg-green-500';
+        return `
+            <div>
+                <div class="flex justify-between"><span>${label}</span><span>${Math.max(limit - used, 0).toLocaleString()} of ${limit.toLocaleString()} left (resets ${time(resetAt)})</span></div>
+                <div class="w-full bg-gray-200 rounded h-2 mt-1"><div class="${barColour} h-2 rounded" style="width: ${percent}%"></div></div>
+            </div>
+        `;
+    };
+
+    container.innerHTML = `
+        ${windowRow('15 minutes', status.shortUsage, status.shortLimit, status.shortResetAt)}
+        ${windowRow('Today', status.dailyUsage, status.dailyLimit, status.dailyResetAt)}
+        <div>${status.queued > 0 ? `${status.queued} request(s) queued` : 'No requests queued'}</div>
+        ${status.pausedUntil ? `<div class="text-yellow-700">Limit reached. Queued requests resume automatically at ${time(status.pausedUntil)}.</div>` : ''}
+    `;
+}
+
 /**
  * Makes an authenticated call to the Strava API, with token refresh and retry logic.
+ * Calls are queued within Strava's rate limits and wait for the window to reset when it is used up.
  * @param {string} url - The API endpoint URL.
  * @param {RequestInit} options = {} - Fetch options.
  * @param {number} retries = 1 - Number of retries for 401 errors (for token refresh).
+ * @param {Object} schedule - Scheduling options.
+ * @param {boolean} schedule.bulk - One of many calls (streams, activity pages); leaves some budget for one-off calls.
  * @returns {Promise<Response|null>} The fetch response or null on critical failure.
  */
-async function makeStravaApiCall(url, options = {}, retries = 1) {
+async function makeStravaApiCall(url, options = {}, retries = 1, { bulk = false } = {}) {
     // Get tokens fresh each time to ensure user-specific data
     let accessToken = localStorage.getItem(STRAVA_ACCESS_TOKEN_KEY);
     let expiresAt = localStorage.getItem(STRAVA_EXPIRES_AT_KEY);
@@ -252,24 +336,17 @@ async function makeStravaApiCall(url, options = {}, retries = 1) {
     options.headers = { ...options.headers, 'Authorization': `Bearer ${tokenStr}` };
 
     try {
-        const response = await fetch(url, options);
+        const scheduler = await getStravaScheduler();
+        const response = await scheduler.schedule(() => fetch(url, options), { bulk });
         if (response.status === 401 && retries > 0) {
             log('API call unauthorized (401). Retrying with token refresh...', 'warn');
-            const newAccessToken = await refreshAccessToken();
-            return newAccessToken ? makeStravaApiCall(url, options, retries - 1) : null;
+            const newAccessToken = await refreshAccessToken(true);
+            return newAccessToken ? makeStravaApiCall(url, options, retries - 1, { bulk }) : null;
         }
-        // Handle rate limits with exponential backoff
+        // The scheduler has already waited for the rate limit window to reset and retried
         if (response.status === 429) {
-            const retryAfter = response.headers.get('Retry-After') || 5; // Default 5 seconds
-            log(`Strava API Rate Limit Exceeded. Retrying in ${retryAfter} seconds...`, 'warn');
-            await sleep(retryAfter * 1000 + (Math.random() * 1000)); // Add jitter for better distribution
-            if (retries > 0) {
-                return makeStravaApiCall(url, options, retries - 1);
-            } else {
-                log('Max retries for rate limit exceeded. Consider waiting longer.', 'error');
-                alert('Strava API Rate Limit Exceeded after retries. Please wait at least 15 minutes and try again later.');
-                return null;
-            }
+            log('Strava API rate limit still exceeded after waiting for the limit to reset. Please try again later.', 'error');
+            return null;
         }
         return response;
     } catch (error) {
@@ -279,52 +356,28 @@ async function makeStravaApiCall(url, options = {}, retries = 1) {
 }
 
 /**
- * Refreshes the Strava access token using the refresh token.
+ * Gets a new Strava access token from the refreshStravaToken Cloud Function, which holds the
+ * refresh token and client secret.
+ * @param {boolean} force - Refresh even if the stored token has not expired (Strava rejected it).
  * @returns {Promise<string|null>} The new access token or null if refresh fails.
  */
-async function refreshAccessToken() {
+async function refreshAccessToken(force = false) {
     log('Attempting to refresh access token...');
-    const refreshToken = localStorage.getItem(STRAVA_REFRESH_TOKEN_KEY);
-    
-    // Try global credentials first (from Firebase), then fall back to localStorage
-    const clientId = window.STRAVA_CLIENT_ID || localStorage.getItem('stravaClientId');
-    const clientSecret = window.STRAVA_CLIENT_SECRET || localStorage.getItem('stravaClientSecret');
 
-    if (!refreshToken) {
-        log('No refresh token found. Please connect your Strava account first.', 'error');
-        return null;
-    }
-    
-    if (!clientId || !clientSecret) {
-        log('Strava API credentials not found. Please set up credentials first by opening setup-strava-credentials.html', 'error');
+    if (!window.userManager) {
+        log('Not signed in. Please sign in and connect your Strava account first.', 'error');
         return null;
     }
 
-    try {
-        const response = await fetch('https://www.strava.com/oauth/token', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                client_id: clientId,
-                client_secret: clientSecret,
-                refresh_token: JSON.parse(refreshToken),
-                grant_type: 'refresh_token'
-            }),
-        });
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Token refresh failed: ${response.status} - ${errorText}`);
-        }
-        const data = await response.json();
-        localStorage.setItem(STRAVA_ACCESS_TOKEN_KEY, JSON.stringify(data.access_token));
-        localStorage.setItem(STRAVA_REFRESH_TOKEN_KEY, JSON.stringify(data.refresh_token));
-        localStorage.setItem(STRAVA_EXPIRES_AT_KEY, data.expires_at.toString());
-        log('Token refreshed successfully.', 'success');
-        return data.access_token;
-    } catch (error) {
-        log(`Token refresh error: ${error.message}. Please re-authenticate.`, 'error');
+    const result = await window.userManager.refreshStravaToken(force);
+    if (!result.success) {
+        log(`Token refresh error: ${result.error}. Please re-authenticate.`, 'error');
         return null;
     }
+    localStorage.setItem(STRAVA_ACCESS_TOKEN_KEY, JSON.stringify(result.accessToken));
+    localStorage.setItem(STRAVA_EXPIRES_AT_KEY, result.expiresAt.toString());
+    log('Token refreshed successfully.', 'success');
+    return result.accessToken;
 }
 
 /**
@@ -618,80 +671,6 @@ function updateGridLayout() {
     if (mainMap) mainMap.invalidateSize();
 }
 
-/** Checks if client ID and secret inputs are filled and enables/disables the connect button. */
-function checkInputs() {
-    const clientId = UIElements.clientId.value.trim();
-    const clientSecret = UIElements.clientSecret.value.trim();
-    const connectButton = UIElements.connectButton;
-    
-    if (clientId && clientSecret) {
-        connectButton.disabled = false;
-        connectButton.classList.remove('opacity-50', 'cursor-not-allowed');
-    } else {
-        connectButton.disabled = true;
-        connectButton.classList.add('opacity-50', 'cursor-not-allowed');
-    }
-}
-   
-/** Initiates the Strava OAuth authorization flow. */
-function connectToStrava() {
-    const clientId = UIElements.clientId.value.trim();
-    const clientSecret = UIElements.clientSecret.value.trim();
-
-    if (!clientId || !clientSecret) {
-        alert('Please enter both Client ID and Client Secret.');
-        return;
-    }
-
-    localStorage.setItem('stravaClientId', clientId);
-    localStorage.setItem('stravaClientSecret', clientSecret);
-    const redirectUri = window.location.origin + window.location.pathname;
-    // Official Strava OAuth URL as required by brand guidelines
-    window.location.href = `https://www.strava.com/oauth/authorize?client_id=${clientId}&redirect_uri=${redirectUri}&response_type=code&scope=read,activity:read_all,activity:write,profile:read_all`;
-}
-
-/**
- * Exchanges the Strava authorization code for access and refresh tokens.
- * @param {string} code - The authorization code from Strava.
- */
-async function getAccessToken(code) {
-    log('Exchanging authorization code for token...');
-    
-    // Try global credentials first (from Firebase), then fall back to localStorage
-    const clientId = window.STRAVA_CLIENT_ID || localStorage.getItem('stravaClientId');
-    const clientSecret = window.STRAVA_CLIENT_SECRET || localStorage.getItem('stravaClientSecret');
-    
-    if (!clientId || !clientSecret) {
-        throw new Error('Strava API credentials not found. Please set up credentials first.');
-    }
-    
-    try {
-        const response = await fetch('https://www.strava.com/oauth/token', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                client_id: clientId,
-                client_secret: clientSecret,
-                code, grant_type: 'authorization_code'
-            }),
-        });
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Authentication failed: ${response.status} - ${errorText}`);
-        }
-        const data = await response.json();
-        localStorage.setItem(STRAVA_ACCESS_TOKEN_KEY, JSON.stringify(data.access_token));
-        localStorage.setItem(STRAVA_REFRESH_TOKEN_KEY, JSON.stringify(data.refresh_token));
-        localStorage.setItem(STRAVA_EXPIRES_AT_KEY, data.expires_at.toString());
-        localStorage.setItem('stravaAthlete', JSON.stringify(data.athlete));
-        window.location.href = window.location.pathname; // Clean URL and reload
-    } catch (error) {
-        log(`Authentication failed: ${error.message}`, 'error');
-        alert(`Authentication failed: ${error.message}. Please try again.`);
-        resetProgress(); // Clear all data, go back to login on auth failure
-    }
-}
-   
 /** Hides the login screen and displays the main application. */
 async function showMainApp() {
     const appStartTime = Date.now();
@@ -786,10 +765,10 @@ async function fetchAndRenderActivities(forceRefresh = false) {
     const accessToken = localStorage.getItem(STRAVA_ACCESS_TOKEN_KEY);
     if (!accessToken) {
         console.log('🚫 No Strava access token found - user skipped Strava connection');
-        log('No Strava connection found. Connect to Strava to fetch your activities.', 'info');
-        allFetchedActivities = [];
-        renderActivityList([]);
-        return [];
+        log('No Strava connection found. Connect to Strava to fetch your activities, or import GPX/FIT files.', 'info');
+        allFetchedActivities = getImportedActivities();
+        renderActivityList(allFetchedActivities);
+        return allFetchedActivities;
     }
     
     console.log('✅ Strava access token found, proceeding with fetch...');
@@ -798,17 +777,23 @@ async function fetchAndRenderActivities(forceRefresh = false) {
         // EMERGENCY: Simple status update instead of skeleton loading
         log('Fetching your Strava activities...', 'info');
         
+        // Activities known before this sync, so the new ones can be analysed automatically
+        const knownActivities = allStravaActivities.length > 0 ? allStravaActivities : JSON.parse(localStorage.getItem(CACHED_ACTIVITIES_KEY) || '[]');
+        const knownIds = new Set(knownActivities.map(activity => String(activity.id)));
+        
         // Fetch all activities from API or cache
         const allActivities = await fetchAllActivities(forceRefresh);
+        allStravaActivities = allActivities;
         
-        // Filter to only hiking/walking activities for SWCP tracking
-        const relevantActivities = allActivities.filter(act => ['Hike', 'Walk'].includes(act.type));
+        // Filter to the activity types chosen in Settings, plus any imported files
+        const relevantActivities = await eligibleActivities(allActivities);
+        await renderActivityTypeFilters();
         
         if (relevantActivities.length === 0) {
-            // Only show Hike/Walk activities - no fallback to other types
+            // Only show eligible types - no fallback to other types
             allFetchedActivities = [];
             renderActivityList([]);
-            log('No hiking/walking activities found. Start logging some hikes on Strava!', 'info');
+            log('No activities of the types chosen in Settings found. Start logging some hikes on Strava!', 'info');
             
             // Calculate stats from empty activities
             setTimeout(() => calculateDeferredStats(), 50);
@@ -826,6 +811,12 @@ async function fetchAndRenderActivities(forceRefresh = false) {
             enhancedLog(`Activities fetch and render completed successfully`, 'perf', renderStartTime);
         }
         
+        // Not on the first sync (that's full history) or Load All Activities, which analyses everything itself
+        if (!forceRefresh && knownIds.size > 0) {
+            autoAnalyzeNewActivities(allActivities.filter(activity => !knownIds.has(String(activity.id))))
+                .catch(error => console.error('❌ Automatic analysis failed:', error));
+        }
+        
         return relevantActivities;
         
     } catch (error) {
@@ -907,19 +898,36 @@ async function loadSwcpData() {
         // --- CRITICAL FIX FOR 3D COORDINATES IN GEOJSON ---
         // Extract coordinates, ensuring only [longitude, latitude] pairs are used for Turf.js
         const allCoordinates = [];
-        data.features.forEach(feature => {
+        const allElevations = []; // Third coordinate value, kept aside for the elevation profile
+        // Track which vertices of the flattened line belong to each named route section
+        const sections = [];
+        data.features.forEach((feature, featureIndex) => {
+            const startIndex = allCoordinates.length;
             if (feature.geometry && feature.geometry.coordinates) {
                 if (feature.geometry.type === 'LineString') {
                     // Map 3D coordinates to 2D [lon, lat]
-                    feature.geometry.coordinates.forEach(c => allCoordinates.push([c[0], c[1]]));
+                    feature.geometry.coordinates.forEach(c => {
+                        allCoordinates.push([c[0], c[1]]);
+                        allElevations.push(typeof c[2] === 'number' ? c[2] : null);
+                    });
                 }
                 else if (feature.geometry.type === 'MultiLineString') {
                     // For MultiLineString, iterate through each sub-lineString
                     feature.geometry.coordinates.forEach(subLine => {
-                        subLine.forEach(c => allCoordinates.push([c[0], c[1]])); // Map 3D to 2D for each point in sub-line
+                        subLine.forEach(c => { // Map 3D to 2D for each point in sub-line
+                            allCoordinates.push([c[0], c[1]]);
+                            allElevations.push(typeof c[2] === 'number' ? c[2] : null);
+                        });
                     });
                 }
             }
+            if (allCoordinates.length - startIndex > 1) {
+                sections.push({
+                    name: feature.properties?.name || `Section ${featureIndex + 1}`,
+                    startIndex,
+                    endIndex: allCoordinates.length - 1
+                });
+            }
         });
 
         // The filter for length === 2 is now appropriate because we explicitly extracted 2D points
@@ -934,11 +942,22 @@ async function loadSwcpData() {
         }
 
         swcpGeoJSON = turf.lineString(validCoordinates).geometry;
-        swcpTotalDistance = turf.length(swcpGeoJSON, { units: 'kilometers' });
+        swcpElevations = allCoordinates.length === validCoordinates.length ? allElevations : [];
+
+        // Alternative options share a stage with their main route; the grouping, the route total and
+        // the chainage coverage is stored in come from swcp_matching.js, so they agree with the worker
+        // and the Cloud Functions
+        const stages = groupRouteStages(sections);
+        swcpTotalDistance = routeLengthKm(validCoordinates, stages) || turf.length(swcpGeoJSON, { units: 'kilometers' });
+        swcpRoute = createRoute(validCoordinates, stages, swcpTotalDistance);
+        swcpRouteStages = swcpRoute.stages.map(stage => ({
+            name: stage.name,
+            sections: stage.sections.map(({ name, label, startKm, endKm }) => ({ name, label, startKm, endKm }))
+        }));
 
         if (analysisWorker) {
              // Send a stringified version to the worker to ensure a clean copy
-            analysisWorker.postMessage({ type: 'init_swcp', swcpGeoJSONString: JSON.stringify(swcpGeoJSON), swcpTotalDistance });
+            analysisWorker.postMessage({ type: 'init_swcp', swcpGeoJSONString: JSON.stringify(swcpGeoJSON), swcpTotalDistance, stages });
         } else {
             log('Analysis worker not initialized, cannot send SWCP data to it. Ensure worker script is loaded.', 'warn');
         }
@@ -997,74 +1016,24 @@ async function loadProgressFromStorage() {
         // Load all data from Firebase (no cache complexity)
         const firebaseResult = await firebaseProgressService.loadFromFirebase();
         
-        if (firebaseResult.success && firebaseResult.pointCount > 0) {
-            console.log(`✅ Firebase loaded: ${firebaseResult.pointCount} points, ${firebaseResult.percentage}%, ${firebaseResult.totalDistance}km`);
+        if (firebaseResult.success && firebaseResult.coverage?.length > 0) {
+            console.log(`✅ Firebase loaded: ${firebaseResult.coverage.length} coverage intervals, ${firebaseResult.percentage}%, ${firebaseResult.totalDistance}km`);
             
             // Display everything from Firebase
             updateProgressUI({
-                segments: firebaseResult.segments || [],
+                segments: getCoverageSegments(firebaseResult.coverage),
                 totalDistance: firebaseResult.totalDistance || 0,
                 percentage: firebaseResult.percentage?.toFixed(2) || "0.00",
-                newCompletedPoints: firebaseResult.completedPoints || []
+                coverage: firebaseResult.coverage || []
             });
             
             // Render map from Firebase data
-            renderMapSegmentsFromPoints(firebaseResult.completedPoints || []);
+            renderMapSegmentsFromCoverage(firebaseResult.coverage || []);
             
-            // Load activities from Firebase too
-            const storedActivities = JSON.parse(localStorage.getItem('swcp_processed_activities') || '[]');
-            if (storedActivities.length > 0) {
-                console.log(`📊 Found ${storedActivities.length} processed activities`);
-                
-                // Calculate stats from activities using the correct key pattern
-                let totalElevation = 0;
-                let totalTime = 0;
-                let foundActivities = 0;
-                
-                storedActivities.forEach(activityId => {
-                    // FIXED: Use the correct activity stats key pattern
-                    const activityStatsKey = `swcp_activity_stats_${activityId}`;
-                    const cachedActivityStats = JSON.parse(localStorage.getItem(activityStatsKey) || 'null');
-                    
-                    if (cachedActivityStats) {
-                        if (cachedActivityStats.elevationGain) {
-                            totalElevation += cachedActivityStats.elevationGain;
-                        }
-                        if (cachedActivityStats.movingTime) {
-                            totalTime += cachedActivityStats.movingTime;
-                        }
-                        foundActivities++;
-                        console.log(`📈 Loaded stats for activity ${cachedActivityStats.name}: ${cachedActivityStats.elevationGain}m, ${Math.floor(cachedActivityStats.movingTime/60)}min`);
-                    } else {
-                        console.log(`⚠️ No stats found for activity ${activityId}`);
-                    }
-                });
-                
-                // Update elevation and time displays
-                const elevationEl = document.getElementById('elevation-gained');
-                const timeEl = document.getElementById('time-taken');
-                
-                if (elevationEl) {
-                    elevationEl.textContent = `${Math.round(totalElevation)} m`;
-                }
-                
-                if (timeEl) {
-                    const hours = Math.floor(totalTime / 3600);
-                    const minutes = Math.floor((totalTime % 3600) / 60);
-                    timeEl.textContent = `${hours}h ${minutes}m`;
-                }
-                
-                log(`✅ Stats: ${foundActivities}/${storedActivities.length} activities with stats, ${Math.round(totalElevation)}m elevation, ${Math.floor(totalTime/3600)}h${Math.floor((totalTime%3600)/60)}m`, 'success');
-            } else {
-                // No activities - set stats to zero
-                const elevationEl = document.getElementById('elevation-gained');
-                const timeEl = document.getElementById('time-taken');
-                if (elevationEl) elevationEl.textContent = '0 m';
-                if (timeEl) timeEl.textContent = '0h 0m';
-                console.log('📊 No analyzed activities - stats set to zero');
-            }
+            // Elevation and time from the on-path stats loadFromFirebase cached with the unified progress
+            calculateDeferredStats();
             
-            log(`✅ Loaded ${firebaseResult.pointCount} waypoints from Firebase`, 'success');
+            log(`✅ Loaded ${firebaseResult.coverage.length} coverage intervals from Firebase`, 'success');
             
         } else {
             console.log('⚠️ No Firebase data found, falling back to localStorage');
@@ -1080,18 +1049,20 @@ async function loadProgressFromStorage() {
 /** Fallback: Load from localStorage only */
 function loadFromLocalStorageOnly() {
     console.log('📱 Loading from localStorage only...');
-    const completedPoints = JSON.parse(localStorage.getItem(COMPLETED_POINTS_KEY) || '[]');
+    const storedProgress = getStoredCoverageForWorker();
     
-    if (completedPoints.length > 0) {
+    if (storedProgress.existingCoverage.length > 0 || storedProgress.existingPoints.length > 0) {
         log('📊 Calculating progress from localStorage...');
         analysisWorker.postMessage({ 
             type: 'process_activity', 
             activityId: 'initial_load', 
-            activityStream: null, 
-            existingPoints: completedPoints 
+            activityStream: null,
+            ...storedProgress,
+            stageDates: getStoredStageDates(),
+            variantPreferences: getVariantPreferences()
         });
     } else {
-        updateProgressUI({ segments: [], totalDistance: 0, percentage: "0.00", newCompletedPoints: [] });
+        updateProgressUI({ segments: [], totalDistance: 0, percentage: "0.00", coverage: [] });
         log('No existing progress found. Overall progress set to 0.', 'info');
     
         setTimeout(() => {
@@ -1107,9 +1078,11 @@ async function emergencyDataRecovery() {
     console.log('🚨 Emergency Data Recovery Started');
     
     // Check localStorage status
-    const localPoints = localStorage.getItem('swcp_completed_points');
+    const localCoverage = localStorage.getItem(COVERAGE_KEY);
+    const localPoints = localStorage.getItem(COMPLETED_POINTS_KEY);
     const localActivities = localStorage.getItem('swcp_processed_activities');
-    console.log('Local points:', localPoints ? JSON.parse(localPoints).length : 'NONE');
+    console.log('Local coverage intervals:', localCoverage ? JSON.parse(localCoverage).length : 'NONE');
+    console.log('Local legacy points:', localPoints ? JSON.parse(localPoints).length : 'NONE');
     console.log('Local activities:', localActivities ? JSON.parse(localActivities).length : 'NONE');
     
     // Try to recover from Firebase
@@ -1119,10 +1092,10 @@ async function emergencyDataRecovery() {
             await firebaseProgressService.loadProgressFromFirebase();
             
             // Check if recovery worked
-            const recoveredPoints = localStorage.getItem('swcp_completed_points');
-            const recoveredActivities = localStorage.getItem('swcp_processed_activities');
+            const recoveredCoverage = JSON.parse(localStorage.getItem(COVERAGE_KEY) || '[]');
+            const recoveredPoints = JSON.parse(localStorage.getItem(COMPLETED_POINTS_KEY) || '[]');
             
-            if (recoveredPoints && JSON.parse(recoveredPoints).length > 0) {
+            if (recoveredCoverage.length > 0 || recoveredPoints.length > 0) {
                 console.log('✅ Data recovered from Firebase!');
                 log('✅ Progress data recovered from Firebase backup!', 'success');
                 window.location.reload(); // Reload to apply recovered data
@@ -1144,12 +1117,16 @@ async function emergencyDataRecovery() {
 window.emergencyDataRecovery = emergencyDataRecovery;
 
 function checkDataIntegrity() {
-    const points = JSON.parse(localStorage.getItem('swcp_completed_points') || '[]');
+    const coverage = JSON.parse(localStorage.getItem(COVERAGE_KEY) || '[]');
+    const legacyPoints = JSON.parse(localStorage.getItem(COMPLETED_POINTS_KEY) || '[]');
     const activities = JSON.parse(localStorage.getItem('swcp_processed_activities') || '[]');
     const cached = JSON.parse(localStorage.getItem('swcp_cached_results') || 'null');
     
     console.log('📊 Data Integrity Check:');
-    console.log(`  ✅ Completed Points: ${points.length}`);
+    console.log(`  ✅ Coverage Intervals: ${coverage.length} (${getCoverageKm(coverage).toFixed(2)} km)`);
+    if (legacyPoints.length > 0) {
+        console.log(`  ⚠️ Unmigrated Legacy Points: ${legacyPoints.length}`);
+    }
     console.log(`  ✅ Processed Activities: ${activities.length}`);
     console.log(`  ✅ Cached Results: ${cached ? 'Available' : 'None'}`);
     
@@ -1160,7 +1137,8 @@ function checkDataIntegrity() {
     }
     
     return {
-        completedPoints: points.length,
+        coverageIntervals: coverage.length,
+        legacyPoints: legacyPoints.length,
         processedActivities: activities.length,
         hasCachedResults: !!cached,
         firebaseEnabled: firebaseProgressService?.isEnabled || false
@@ -1319,16 +1297,16 @@ async function testLoadingPerformance() {
     console.log('================================');
     
     // Test 1: Check current data state
-    const points = JSON.parse(localStorage.getItem('swcp_completed_points') || '[]');
+    const coverage = JSON.parse(localStorage.getItem(COVERAGE_KEY) || '[]');
     const activities = JSON.parse(localStorage.getItem('swcp_processed_activities') || '[]');
     const cached = JSON.parse(localStorage.getItem('swcp_cached_results') || 'null');
     
     console.log(`📊 Current Data State:`);
-    console.log(`  • Completed Points: ${points.length}`);
+    console.log(`  • Coverage Intervals: ${coverage.length}`);
     console.log(`  • Processed Activities: ${activities.length}`);
     console.log(`  • Cached Results: ${cached ? 'Available' : 'None'}`);
     
-    if (points.length === 0) {
+    if (coverage.length === 0) {
         console.log('❌ No progress data to test loading performance');
         console.log('💡 Analyze some activities first, then run this test');
         return;
@@ -1642,12 +1620,12 @@ window.testInstantLoading = async () => {
     console.log('⚡ Testing Instant Loading System...');
     
     // Check current state
-    const points = JSON.parse(localStorage.getItem('swcp_completed_points') || '[]');
+    const coverage = JSON.parse(localStorage.getItem(COVERAGE_KEY) || '[]');
     const activities = JSON.parse(localStorage.getItem('swcp_processed_activities') || '[]');
     
-    console.log(`📊 Current state: ${points.length} points, ${activities.length} activities`);
+    console.log(`📊 Current state: ${coverage.length} coverage intervals, ${activities.length} activities`);
     
-    if (points.length === 0) {
+    if (coverage.length === 0) {
         console.log('❌ No progress data to test with. Process some activities first.');
         return false;
     }
@@ -1664,7 +1642,7 @@ window.testInstantLoading = async () => {
             if (instantResult) {
                 // Test fast map rendering
                 console.log('🗺️ Testing fast map rendering...');
-                renderMapSegmentsFromPoints(points);
+                renderMapSegmentsFromCoverage(coverage);
                 console.log('✅ Fast map rendering completed');
                 
                 return true;
@@ -1681,26 +1659,25 @@ window.testInstantLoading = async () => {
 };
 
 /**
- * Fast map rendering directly from stored completed points
+ * Fast map rendering directly from stored coverage intervals
  * Bypasses worker analysis for instant visual feedback
  */
-function renderMapSegmentsFromPoints(completedPoints) {
+function renderMapSegmentsFromCoverage(coverage) {
     try {
-        if (!completedPoints || completedPoints.length === 0) {
-            console.log('📍 No completed points to render');
+        if (!coverage || coverage.length === 0) {
+            console.log('📍 No completed coverage to render');
             return;
         }
         
-        console.log(`🗺️ Fast-rendering ${completedPoints.length} completed points on map...`);
+        console.log(`🗺️ Fast-rendering ${coverage.length} coverage intervals on map...`);
         
         // Clear existing segments
         if (completedSegmentsLayer) {
             completedSegmentsLayer.clearLayers();
         }
         
-        // Group consecutive points into segments for better visual rendering
-        const segments = groupPointsIntoSegments(completedPoints);
-        console.log(`🎯 Created ${segments.length} segments from ${completedPoints.length} points`);
+        // Cut each covered stretch out of the route line
+        const segments = getCoverageSegments(coverage);
         
         // Render each segment on the map
         segments.forEach((segment, index) => {
@@ -1751,54 +1728,196 @@ function renderMapSegmentsFromPoints(completedPoints) {
 }
 
 /**
- * Group individual GPS points into logical segments
- * Points that are close together get grouped into single line segments
+ * Convert coverage intervals into route line segments for the map
+ * @param {Array<Object>} coverage - { startKm, endKm, stage, activityIds } intervals
+ * @returns {Array<Array<number>>} One array of [lng, lat] coordinates per interval
  */
-function groupPointsIntoSegments(points, maxGapKm = 0.5) {
-    if (!points || points.length === 0) return [];
-    
-    const segments = [];
-    let currentSegment = [points[0]];
-    
-    for (let i = 1; i < points.length; i++) {
-        const prevPoint = points[i-1];
-        const currentPoint = points[i];
-        
-        // Calculate distance between consecutive points (rough)
-        const distance = calculateDistance(prevPoint, currentPoint);
-        
-        if (distance <= maxGapKm) {
-            // Points are close - add to current segment
-            currentSegment.push(currentPoint);
-        } else {
-            // Gap too large - start new segment
-            if (currentSegment.length > 1) {
-                segments.push(currentSegment);
+function getCoverageSegments(coverage) {
+    if (!swcpRoute || !coverage) return [];
+    return coverage.map(interval => sliceRoute(swcpRoute, interval.startKm, interval.endKm));
+}
+
+/**
+ * Total length of a set of coverage intervals
+ * @param {Array<Object>} coverage - { startKm, endKm } intervals
+ * @returns {number} Covered kilometers
+ */
+function getCoverageKm(coverage) {
+    return (coverage || []).reduce((sum, interval) => sum + Math.max(interval.endKm - interval.startKm, 0), 0);
+}
+
+/**
+ * Find the uncovered stretches of the counted route. Stages with alternative options are
+ * checked along whichever option the worker counted; without a stage table the main routes count.
+ * @param {Array<Object>} coverage - { startKm, endKm } intervals
+ * @param {Array<Object>} stageRows - Per-stage table from the worker, with countedRanges
+ * @returns {Array<Object>} { stage, section, startKm, endKm, lengthKm, stageOffsetKm, stageLengthKm } gaps in route order,
+ *   where stageOffsetKm is how far into its stage (along the counted route) the gap starts
+ */
+function getCoverageGaps(coverage, stageRows = null) {
+    const intervals = [...(coverage || [])].sort((a, b) => a.startKm - b.startKm);
+    const gaps = [];
+
+    swcpRouteStages.forEach(stage => {
+        const main = stage.sections[0];
+        const ranges = getCountedRanges(stage, stageRows);
+        const stageLengthKm = ranges.reduce((sum, range) => sum + range.endKm - range.startKm, 0);
+        let rangeOffsetKm = 0; // Distance into the stage, along the counted route, where the current range starts
+
+        ranges.forEach(range => {
+            const addGap = (startKm, endKm) => {
+                if (endKm - startKm < MIN_GAP_KM) return;
+                const section = stage.sections.find(s => startKm >= s.startKm - 1e-6 && startKm <= s.endKm) || main;
+                gaps.push({
+                    stage: stage.name,
+                    section: section.name,
+                    startKm,
+                    endKm,
+                    lengthKm: endKm - startKm,
+                    stageOffsetKm: rangeOffsetKm + startKm - range.startKm,
+                    stageLengthKm
+                });
+            };
+
+            let cursor = range.startKm;
+            for (const interval of intervals) {
+                if (interval.endKm <= cursor) continue;
+                if (interval.startKm >= range.endKm) break;
+                if (interval.startKm > cursor) addGap(cursor, interval.startKm);
+                cursor = interval.endKm;
             }
-            currentSegment = [currentPoint];
-        }
+            if (cursor < range.endKm) addGap(cursor, range.endKm);
+            rangeOffsetKm += range.endKm - range.startKm;
+        });
+    });
+
+    return gaps;
+}
+
+/**
+ * Chainage ranges walked by a stage's counted option, in walking order
+ * @param {Object} stage - Entry of swcpRouteStages
+ * @param {Array<Object>} stageRows - Per-stage table from the worker; without one the main route counts
+ * @returns {Array<Object>} { startKm, endKm } ranges
+ */
+function getCountedRanges(stage, stageRows = null) {
+    const main = stage.sections[0];
+    return stageRows?.find(row => row.name === stage.name)?.countedRanges
+        || [{ startKm: main.startKm, endKm: main.endKm }];
+}
+
+/**
+ * Find the stage a route section belongs to
+ * @param {string} sectionName - Section name as stored on coverage intervals
+ * @returns {Object|null} Entry of swcpRouteStages, or null
+ */
+function getStageForSection(sectionName) {
+    return swcpRouteStages.find(stage => stage.sections.some(section => section.name === sectionName)) || null;
+}
+
+/**
+ * Download the completed route, and optionally what is left of it, for other mapping tools
+ * @param {string} format - 'geojson', 'gpx' or 'kml'
+ * @param {boolean} includeGaps - Also export the uncovered stretches of the counted route
+ */
+async function exportCoverage(format = 'geojson', includeGaps = false) {
+    await swcpDataPromise;
+    if (!swcpRoute) {
+        log('Route data has not loaded yet, cannot export coverage.', 'warn');
+        return;
     }
-    
-    // Add final segment
-    if (currentSegment.length > 1) {
-        segments.push(currentSegment);
+
+    let unifiedData = null;
+    try {
+        unifiedData = JSON.parse(localStorage.getItem('swcp_unified_progress') || 'null');
+    } catch (error) {
+        console.warn('⚠️ Could not read unified progress for export:', error);
+    }
+    const coverage = getStoredCoverageForWorker(unifiedData).existingCoverage;
+
+    const stretches = coverage.map(interval => ({
+        kind: 'completed',
+        stage: getStageForSection(interval.stage)?.name || interval.stage,
+        section: interval.stage,
+        startKm: interval.startKm,
+        endKm: interval.endKm,
+        lengthKm: interval.endKm - interval.startKm,
+        // Without the stand-in for coverage converted from legacy points
+        activityIds: (interval.activityIds || []).filter(id => id !== LEGACY_COVERAGE_ID),
+        coordinates: sliceRoute(swcpRoute, interval.startKm, interval.endKm)
+    }));
+    if (includeGaps) {
+        getCoverageGaps(coverage, unifiedData?.stageProgress).forEach(gap => {
+            stretches.push({ kind: 'gap', ...gap, activityIds: [], coordinates: sliceRoute(swcpRoute, gap.startKm, gap.endKm) });
+        });
+    }
+
+    if (stretches.length === 0) {
+        log('Nothing to export yet - analyse an activity first.', 'warn');
+        return;
+    }
+
+    const { buildGeoJSON, buildGpx, buildKml } = await import('./utils/coverageExporter.js');
+    const formats = {
+        geojson: { build: buildGeoJSON, type: 'application/geo+json' },
+        gpx: { build: buildGpx, type: 'application/gpx+xml' },
+        kml: { build: buildKml, type: 'application/vnd.google-earth.kml+xml' }
+    };
+    const exporter = formats[format];
+    if (!exporter) {
+        log(`Unknown export format "${format}"`, 'error');
+        return;
+    }
+
+    const exportedAt = new Date().toISOString();
+    const name = includeGaps ? 'SWCP completed coverage and remaining gaps' : 'SWCP completed coverage';
+    const contents = exporter.build(stretches, { name, exportedAt });
+
+    const url = URL.createObjectURL(new Blob([contents], { type: exporter.type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `swcp-${includeGaps ? 'coverage-and-gaps' : 'coverage'}-${exportedAt.slice(0, 10)}.${format}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+
+    log(`📤 Exported ${stretches.length} stretches as ${format.toUpperCase()}`, 'success');
+}
+
+// Make available globally
+window.exportCoverage = exportCoverage;
+
+/**
+ * Read the stored coverage in the shape the worker expects. Progress saved before coverage
+ * intervals existed only has a completedPoints cloud, which is passed along for the worker to convert.
+ * @param {Object} unifiedData - Unified progress to read from (defaults to the localStorage copy)
+ * @returns {Object} { existingCoverage, existingPoints } for a process_activity message
+ */
+function getStoredCoverageForWorker(unifiedData = null) {
+    try {
+        const unified = unifiedData || JSON.parse(localStorage.getItem('swcp_unified_progress') || 'null');
+        const coverage = unified?.coverage || JSON.parse(localStorage.getItem(COVERAGE_KEY) || 'null');
+        if (Array.isArray(coverage)) {
+            return { existingCoverage: coverage, existingPoints: [] };
+        }
+        const legacyPoints = unified?.completedPoints?.length > 0
+            ? unified.completedPoints
+            : JSON.parse(localStorage.getItem(COMPLETED_POINTS_KEY) || '[]');
+        return { existingCoverage: [], existingPoints: legacyPoints };
+    } catch (error) {
+        console.error('❌ Error reading stored coverage:', error);
+        return { existingCoverage: [], existingPoints: [] };
     }
-    
-    return segments;
 }
 
 /**
- * Calculate rough distance between two GPS points in kilometers
+ * Store coverage intervals locally and drop the legacy point cloud they replace
+ * @param {Array<Object>} coverage - Merged coverage intervals from the worker
  */
-function calculateDistance(point1, point2) {
-    const R = 6371; // Earth's radius in km
-    const dLat = (point2[1] - point1[1]) * Math.PI / 180;
-    const dLng = (point2[0] - point1[0]) * Math.PI / 180;
-    const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-              Math.cos(point1[1] * Math.PI / 180) * Math.cos(point2[1] * Math.PI / 180) *
-              Math.sin(dLng/2) * Math.sin(dLng/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    return R * c;
+function saveCoverageToStorage(coverage) {
+    localStorage.setItem(COVERAGE_KEY, JSON.stringify(coverage));
+    localStorage.removeItem(COMPLETED_POINTS_KEY);
 }
 
 // Removed reconstruction function - not needed since user can reprocess activities normally
@@ -1853,6 +1972,7 @@ async function resetProgress() {
             log('💾 Clearing local progress data...', 'warn');
             const keysToRemoveSuffixes = [
                 'swcp_completed_points',
+                'swcp_coverage',
                 'swcp_processed_activities',
                 'swcp_unified_progress',
                 'swcp_cached_activities',
@@ -1940,7 +2060,8 @@ function filterActivities(activities = null) {
     let filtered = activities || allFetchedActivities || [];
     
     if (typeFilter !== 'all') {
-        filtered = filtered.filter(act => act.type === typeFilter);
+        // Same rule as matchesActivityType in utils/activityTypes.js
+        filtered = filtered.filter(act => act.sport_type === typeFilter || act.type === typeFilter);
     }
     if (searchTerm) {
         filtered = filtered.filter(act => act.name.toLowerCase().includes(searchTerm));
@@ -2003,22 +2124,21 @@ async function refreshActivities() {
     log('Checking for new activities...', 'info');
     
     try {
-        // Get existing activities and their IDs
-        const existingActivities = allFetchedActivities || [];
+        // Get existing activities and their IDs (every type, so changing the types in Settings needs no refetch)
+        const existingActivities = allStravaActivities || [];
         const existingIds = new Set(existingActivities.map(a => String(a.id)));
         
         // Fetch recent activities from Strava
         const recentActivities = await fetchRecentActivities();
         
-        // Filter to only Hike/Walk activities
-        const recentHikeWalk = recentActivities.filter(act => ['Hike', 'Walk'].includes(act.type));
+        // Find truly new activities, then the ones of the types chosen in Settings
+        const newStravaActivities = recentActivities.filter(a => !existingIds.has(String(a.id)));
+        const newActivities = await eligibleActivities(newStravaActivities, { withImports: false });
         
-        // Find truly new Hike/Walk activities
-        const newActivities = recentHikeWalk.filter(a => !existingIds.has(String(a.id)));
-        
-        if (newActivities.length > 0) {
+        if (newStravaActivities.length > 0) {
             // Add new activities to existing list (at the beginning for newest first)
-            allFetchedActivities = [...newActivities, ...existingActivities];
+            allStravaActivities = [...newStravaActivities, ...existingActivities];
+            allFetchedActivities = await eligibleActivities(allStravaActivities);
             
             // Update Firebase with new activities if available
             if (window.firebaseProgressService && window.firebaseProgressService.isEnabled) {
@@ -2028,7 +2148,7 @@ async function refreshActivities() {
                     const analyzedIds = new Set(unifiedData.analyzedActivityIds || []);
                     
                     // Mark new activities with correct analysis status
-                    const activitiesWithStatus = allFetchedActivities.map(activity => ({
+                    const activitiesWithStatus = allStravaActivities.map(activity => ({
                         ...activity,
                         analyzed: analyzedIds.has(String(activity.id))
                     }));
@@ -2040,11 +2160,14 @@ async function refreshActivities() {
             }
             
             // Update cache
-            localStorage.setItem(CACHED_ACTIVITIES_KEY, JSON.stringify(allFetchedActivities));
+            localStorage.setItem(CACHED_ACTIVITIES_KEY, JSON.stringify(allStravaActivities));
             localStorage.setItem(CACHED_ACTIVITIES_TIMESTAMP_KEY, Date.now().toString());
             
             // Re-render activity list
-            renderActivityList(allFetchedActivities);
+            renderActivityList(filterActivities());
+            
+            autoAnalyzeNewActivities(newStravaActivities)
+                .catch(error => console.error('❌ Automatic analysis failed:', error));
             
             // Update button states for success with new activities
             if (refreshBtn) refreshBtn.innerHTML = `Found ${newActivities.length} new activities`;
@@ -2223,6 +2346,14 @@ function renderActivityList(activities) {
         stravaLink.href = `https://www.strava.com/activities/${activity.id}`;
         stravaLink.dataset.activityId = activity.id;
         
+        // Imported files never came from Strava, so there is nothing to link to or update
+        if (isImportedActivity(activity)) {
+            addDescriptionBtn.style.display = 'none';
+            stravaLink.removeAttribute('href');
+            stravaLink.className = 'text-gray-500 text-sm';
+            stravaLink.textContent = `Imported from ${activity.source_file || 'file'}`;
+        }
+        
         const isMobile = window.innerWidth <= 1024;
         if (isMobile) {
             cardDiv.addEventListener('click', (e) => {
@@ -2347,7 +2478,7 @@ async function analyzeSingleActivity(activity, button) {
         return;
     }
    
-    const existingPoints = JSON.parse(localStorage.getItem(COMPLETED_POINTS_KEY) || '[]');
+    const storedProgress = getStoredCoverageForWorker();
     log(`Sending activity ${activity.id} data to worker for analysis...`);
    
     // The main analysisWorker.onmessage handler (defined in init) will now manage button updates.
@@ -2359,7 +2490,12 @@ async function analyzeSingleActivity(activity, button) {
         type: 'process_activity',
         activityId: currentActivityId,
         activityStream: stream.latlng.data,
-        existingPoints: existingPoints
+        altitudeStream: stream.altitude?.data || null,
+        timeStream: stream.time?.data || null,
+        ...storedProgress,
+        activityDate: activity.start_date_local || activity.start_date,
+        stageDates: getStoredStageDates(),
+        variantPreferences: getVariantPreferences()
     };
     
     // Apply speed optimizations to worker payload
@@ -2367,91 +2503,614 @@ async function analyzeSingleActivity(activity, button) {
     
     analysisWorker.postMessage(workerPayload);
 }
-   
-async function getActivityStream(activityId) {
-    const cacheKey = `${ACTIVITY_STREAMS_CACHE_PREFIX}${activityId}`;
-    const cachedStream = localStorage.getItem(cacheKey);
-    if (cachedStream) { return JSON.parse(cachedStream); }
-    log(`Fetching stream for activity ${activityId} from Strava...`);
-    try {
-        const response = await makeStravaApiCall(`https://www.strava.com/api/v3/activities/${activityId}/streams?keys=latlng&key_by_type=true`);
-        if (!response.ok) {
-            const errorText = await response.text();
-            if (response.status === 429 || errorText.includes("Rate Limit Exceeded")) {
-                const message = "Strava API Rate Limit Exceeded. Please wait 15 minutes and try again.";
-                log(message, 'error'); alert(message); throw new Error(message);
+
+/**
+ * Analyses many Strava activities in a single worker call (SPEED_OPTIMIZATIONS.batchProcessing).
+ * Streams are fetched one after another, then sent to the worker as one process_batch message.
+ * @param {Array<Object>} activities - The Strava activity objects to analyse.
+ * @param {Object} options - Batch options.
+ * @param {boolean} options.fresh - Rebuild coverage from these activities only, ignoring stored progress.
+ * @returns {Promise<number>} Number of activities sent to the worker.
+ */
+async function analyzeActivitiesInBatch(activities, { fresh = false } = {}) {
+    if (!activities || activities.length === 0) return 0;
+
+    await swcpDataPromise; // Ensure SWCP GeoJSON is loaded before starting analysis
+    if (!swcpGeoJSON || !analysisWorker) {
+        log('Batch analysis unavailable: SWCP data or analysis worker not ready.', 'error');
+        return 0;
+    }
+
+    log(`Preparing batch analysis of ${activities.length} activities...`, 'info');
+
+    const batch = [];
+    for (const activity of activities) {
+        const button = document.querySelector(`button[data-analyze-btn][data-activity-id='${activity.id}']`);
+        if (button) {
+            button.disabled = true;
+            button.innerHTML = '<span class="loader"></span><span class="button-text">Queued...</span>';
+        }
+
+        const stream = await getActivityStream(activity.id);
+        if (stream === null) {
+            // Strava error or expired sign-in (rate limits are waited out) - analyse what has been fetched so far
+            log(`Stopping batch stream fetch at activity ${activity.id}; ${batch.length} activities will still be analysed.`, 'warn');
+            if (button) {
+                button.disabled = false;
+                button.innerHTML = 'API Error';
             }
-            throw new Error(`API Error (${response.status}): ${errorText}`);
+            break;
         }
-        const data = await response.json();
-        if (data && data.latlng && data.latlng.data) {
-            localStorage.setItem(cacheKey, JSON.stringify(data));
+        if (!stream.latlng || !stream.latlng.data || stream.latlng.data.length === 0) {
+            log(`No GPS data found for activity ${activity.id}, skipping it in the batch.`, 'warn');
+            if (button) {
+                button.disabled = false;
+                button.innerHTML = 'No GPS Data';
+            }
+            continue;
         }
-        return data;
+
+        batch.push({
+            activityId: String(activity.id),
+            activityStream: stream.latlng.data,
+            altitudeStream: stream.altitude?.data || null,
+            timeStream: stream.time?.data || null,
+            activityDate: activity.start_date_local || activity.start_date
+        });
     }
-    catch (e) {
-        log(`Failed to fetch stream for ${activityId}: ${e.message}`, 'error');
-        return null;
+
+    if (batch.length === 0) {
+        log('No activities with GPS data to analyse in this batch.', 'warn');
+        return 0;
+    }
+
+    log(`Sending ${batch.length} activities to worker for batch analysis...`);
+
+    // Prepare worker payload with optimizations
+    let workerPayload = {
+        type: 'process_batch',
+        activityId: 'batch_analysis',
+        activities: batch,
+        ...(fresh ? { existingCoverage: [], existingPoints: [] } : getStoredCoverageForWorker()),
+        stageDates: fresh ? {} : getStoredStageDates(),
+        variantPreferences: getVariantPreferences()
+    };
+
+    // Apply speed optimizations to worker payload
+    workerPayload = applyWorkerOptimizations(workerPayload);
+
+    analysisWorker.postMessage(workerPayload);
+    return batch.length;
+}
+
+/**
+ * Log the stretches of path the worker matched for an activity, with their confidence scores
+ * @param {string} activityName - Activity name (or ID) for the log line
+ * @param {Array<Object>} stretches - Worker matchedStretches of { startKm, endKm, stage, sampleCount, confidence }
+ * @param {number} rejectedSampleCount - Near-path samples rejected as crossings, isolated hits or off-bearing
+ */
+function logMatchedStretches(activityName, stretches = [], rejectedSampleCount = 0) {
+    if (stretches.length > 0) {
+        console.table(stretches.map(stretch => ({
+            stage: stretch.stage,
+            fromKm: stretch.startKm,
+            toKm: stretch.endKm,
+            km: Math.round((stretch.endKm - stretch.startKm) * 100) / 100,
+            confidence: stretch.confidence
+        })));
+        const lowConfidence = stretches.filter(stretch => stretch.confidence < 0.6).length;
+        if (lowConfidence > 0) {
+            log(`⚠️ ${activityName}: ${lowConfidence} of ${stretches.length} matched stretches have low confidence (parallel road or GPS drift?)`, 'warn');
+        }
+    }
+    if (rejectedSampleCount > 0) {
+        log(`🧭 ${activityName}: ignored ${rejectedSampleCount} near-path samples (crossings, isolated hits or not following the path)`, 'info');
     }
 }
-   
-/** Fetch activities from last 30 days only (for refresh) */
-async function fetchRecentActivities() {
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-    const afterTimestamp = Math.floor(thirtyDaysAgo.getTime() / 1000);
-    
-    log('Fetching activities from last 30 days...', 'info');
-    
+
+/**
+ * Whether multi-activity analysis should go through a single process_batch worker call
+ * @returns {boolean}
+ */
+function isBatchProcessingEnabled() {
+    return SPEED_OPTIMIZATIONS.batchProcessing.enabled || SPEED_OPTIMIZATIONS.turboMode.enabled;
+}
+
+/**
+ * IDs of every activity recorded as analysed in the unified progress data or the processed list
+ * @returns {Set<string>}
+ */
+function getAnalyzedActivityIds() {
     try {
-        const baseUrl = 'https://www.strava.com/api/v3/athlete/activities';
-        const params = `?per_page=200&after=${afterTimestamp}`;
-        const url = baseUrl + params;
-        
-        const response = await makeStravaApiCall(url);
-        if (!response || !response.ok) {
-            throw new Error(`Failed to fetch recent activities: ${response?.status}`);
-        }
-        
-        const activities = await response.json();
-        return activities || [];
-        
+        const unifiedData = JSON.parse(localStorage.getItem('swcp_unified_progress') || '{}');
+        const processedIds = JSON.parse(localStorage.getItem(PROCESSED_ACTIVITIES_KEY) || '[]');
+        return new Set([...(unifiedData.analyzedActivityIds || []), ...processedIds].map(id => String(id)));
     } catch (error) {
-        console.error('❌ Error fetching recent activities:', error);
-        throw error;
+        return new Set(); // safety fallback
     }
 }
 
-/** Fetch all activities from Firebase first, then Strava API if needed. */
-async function fetchAllActivities(forceRefresh = false) {
-    
-    const fetchStartTime = Date.now();
-    if (OPTIMIZATION_FEATURES.enhancedLogging) {
-        enhancedLog('Starting to fetch all activities...', 'info');
+/**
+ * Saves a combined batch result from the worker and marks every activity in it as analysed.
+ * @param {Object} payload - The worker's batch_result payload.
+ */
+async function handleBatchResult(payload) {
+    const activityIds = (payload.activityResults || []).map(result => String(result.activityId));
+
+    const saveResult = await saveUnifiedProgress(payload);
+    if (!saveResult.success) {
+        console.error('❌ Failed to save batch progress:', saveResult.error);
+        log('❌ Failed to save batch analysis progress', 'error');
+        if (allFetchedActivities.length > 0) {
+            renderActivityList(allFetchedActivities);
+        }
+        abandonAutoAnalysis();
+        return;
     }
-    
-    // First, try to load from Firebase if available (unless forced refresh)
-    if (!forceRefresh && window.firebaseProgressService && window.firebaseProgressService.isEnabled) {
+
+    // Mark before updating the dashboard so the re-rendered list shows "Reanalyze"
+    allFetchedActivities.forEach(activity => {
+        if (activityIds.includes(String(activity.id))) {
+            activity.analyzed = true;
+        }
+    });
+
+    updateDashboardFromUnified(saveResult.data);
+
+    // Update Firebase activity status for the whole batch in one write
+    if (window.firebaseProgressService && window.firebaseProgressService.isEnabled && activityIds.length > 0) {
         try {
-            const needsRefresh = await window.firebaseProgressService.needsActivityRefresh();
-            
-            if (!needsRefresh) {
-                const firebaseActivities = await window.firebaseProgressService.loadActivitiesFromFirebase();
-                if (firebaseActivities && firebaseActivities.length > 0) {
-                    if (OPTIMIZATION_FEATURES.enhancedLogging) {
-                        enhancedLog(`Using Firebase activities (${firebaseActivities.length} activities)`, 'success', fetchStartTime);
-                    }
-                    log(`Loaded ${firebaseActivities.length} activities from Firebase (fast load)`, 'success');
-                    return firebaseActivities;
-                }
-            }
+            await window.firebaseProgressService.updateActivityAnalysisStatus(activityIds, true);
+            console.log(`🔥 Updated Firebase activity status for ${activityIds.length} activities`);
         } catch (error) {
-            console.error('Error loading from Firebase, falling back to Strava API:', error);
+            console.error('❌ Failed to update Firebase activity status:', error);
+        }
+    }
+
+    const overlapping = (payload.activityResults || []).filter(result => result.activityOverlapsRoute).length;
+    log(`✅ Batch analysis complete: ${overlapping} of ${activityIds.length} activities overlap the route.`, 'success');
+
+    if (autoAnalysisReport && activityIds.some(id => autoAnalysisReport.ids.includes(id))) {
+        reportAutoAnalysis(payload);
+    }
+}
+
+/**
+ * Analyse activities that arrived with a sync, when "Analyse new activities automatically" is on in
+ * Settings. Each activity's summary polyline is checked against the route first (utils/routePrescreen.js),
+ * so streams are only fetched for those that come near the path; the rest are left unanalysed.
+ * Runs in the background; handleBatchResult reports what changed.
+ * @param {Array<Object>} newActivities - Strava activities first seen in this sync, of any type
+ */
+async function autoAnalyzeNewActivities(newActivities) {
+    if (localStorage.getItem('autoRefreshActivities') === 'false' || newActivities.length === 0) return;
+    if (autoAnalysisReport) {
+        log('Automatic analysis is still running; the new activities can be analysed from the list.', 'info');
+        return;
+    }
+
+    const analyzedIds = getAnalyzedActivityIds();
+    const unanalyzed = (await eligibleActivities(newActivities, { withImports: false }))
+        .filter(activity => !activity.analyzed && !analyzedIds.has(String(activity.id)));
+    if (unanalyzed.length === 0) return;
+
+    await swcpDataPromise;
+    if (!swcpGeoJSON) return;
+    const { routeBoxes, isRouteCandidate } = await import('./utils/routePrescreen.js');
+    if (!swcpRouteBoxes) swcpRouteBoxes = routeBoxes(swcpGeoJSON.coordinates);
+
+    const candidates = unanalyzed.filter(activity => {
+        if (!activity.map || !activity.map.summary_polyline) return false; // manual entry, no GPS
+        try {
+            return isRouteCandidate(polyline.decode(activity.map.summary_polyline), swcpRouteBoxes);
+        } catch (error) {
+            return true; // can't tell from the polyline; let the worker decide
+        }
+    });
+    const skipped = unanalyzed.length - candidates.length;
+
+    if (candidates.length === 0) {
+        renderAutoAnalysisStatus(`${describeCount(unanalyzed.length, 'new activity', 'new activities')} – none near the coast path.`);
+        return;
+    }
+
+    autoAnalysisReport = { ids: candidates.map(activity => String(activity.id)), skipped, percentageBefore: currentPercentage };
+    renderAutoAnalysisStatus(`Analysing ${describeCount(candidates.length, 'new activity', 'new activities')} near the coast path in the background...`);
+    log(`🤖 Auto-analysis: ${candidates.length} of ${unanalyzed.length} new activities come near the path${skipped > 0 ? `, skipping ${skipped}` : ''}.`, 'info');
+
+    try {
+        const sent = await analyzeActivitiesInBatch(candidates);
+        if (sent === 0) abandonAutoAnalysis();
+    } catch (error) {
+        console.error('❌ Automatic analysis failed:', error);
+        abandonAutoAnalysis();
+    }
+}
+
+/**
+ * Give up on a pending automatic analysis (nothing sent, or the worker failed) so the next sync can try again
+ */
+function abandonAutoAnalysis() {
+    if (!autoAnalysisReport) return;
+    autoAnalysisReport = null;
+    renderAutoAnalysisStatus('New activities could not be analysed automatically – analyse them from the list.');
+}
+
+/**
+ * Summarise a finished automatic analysis: new route covered, per activity and in total, and the
+ * change in overall progress
+ * @param {Object} payload - The worker's batch_result payload.
+ */
+function reportAutoAnalysis(payload) {
+    const { skipped, percentageBefore } = autoAnalysisReport;
+    autoAnalysisReport = null;
+
+    const results = payload.activityResults || [];
+    const gains = results.filter(result => result.newCoverageKm > 0);
+    const newKm = gains.reduce((sum, result) => sum + result.newCoverageKm, 0);
+    const percentageAfter = parseFloat(payload.percentage);
+
+    const parts = [`Analysed ${describeCount(results.length, 'new activity', 'new activities')}`];
+    if (gains.length > 0) {
+        parts.push(`${newKm.toFixed(1)} km of new coast path, ${Number(percentageBefore || 0).toFixed(1)}% → ${percentageAfter.toFixed(1)}%`);
+    } else {
+        const overlapping = results.filter(result => result.activityOverlapsRoute).length;
+        parts.push(overlapping > 0 ? 'no new coast path (already walked)' : 'none on the coast path');
+    }
+    if (skipped > 0) parts.push(`${skipped} skipped as not near the path`);
+    renderAutoAnalysisStatus(`${parts.join('; ')}.`);
+
+    gains.forEach(result => {
+        const activity = allFetchedActivities.find(act => String(act.id) === String(result.activityId));
+        log(`🥾 ${activity ? activity.name : result.activityId}: +${result.newCoverageKm.toFixed(2)} km of new coast path`, 'success');
+    });
+}
+
+/**
+ * Show a line about automatic analysis above the activity list
+ * @param {string} message - Text to show
+ */
+function renderAutoAnalysisStatus(message) {
+    const container = document.getElementById('auto-analysis-status');
+    if (!container) return;
+    container.textContent = message;
+    container.classList.remove('hidden');
+}
+
+/** e.g. '1 new activity' or '3 new activities' */
+function describeCount(count, singular, plural) {
+    return `${count} ${count === 1 ? singular : plural}`;
+}
+
+/**
+ * Whether an activity was imported from a file rather than fetched from Strava
+ * @param {Object} activity - Activity object (only id is needed)
+ * @returns {boolean}
+ */
+function isImportedActivity(activity) {
+    return String(activity.id).startsWith(IMPORTED_ACTIVITY_ID_PREFIX);
+}
+
+/**
+ * Load the imported activity records
+ * @returns {Array<Object>} Strava-shaped activity objects
+ */
+function getImportedActivities() {
+    try {
+        return JSON.parse(localStorage.getItem(IMPORTED_ACTIVITIES_KEY) || '[]');
+    } catch (error) {
+        console.warn('Failed to read imported activities:', error);
+        return [];
+    }
+}
+
+/**
+ * Append imported activities that aren't already in a list (e.g. via the Firebase activity cache)
+ * @param {Array<Object>} activities - Strava activities
+ * @returns {Array<Object>} The activities plus any imported ones
+ */
+function withImportedActivities(activities) {
+    const existingIds = new Set(activities.map(activity => String(activity.id)));
+    return activities.concat(getImportedActivities().filter(activity => !existingIds.has(String(activity.id))));
+}
+
+/**
+ * The Strava activity types that count towards progress, as chosen on the Settings page
+ * @returns {Promise<Array<string>>} Type ids (see SPORT_TYPES in utils/activityTypes.js)
+ */
+async function getAllowedActivityTypes() {
+    const { normaliseActivityTypes } = await import('./utils/activityTypes.js');
+    try {
+        return normaliseActivityTypes(JSON.parse(localStorage.getItem(ACTIVITY_TYPES_KEY) || 'null'));
+    } catch (error) {
+        return normaliseActivityTypes(null);
+    }
+}
+
+/**
+ * Keep the Strava activities of the allowed types, for the list and for analysis
+ * @param {Array<Object>} activities - Strava activities of any type
+ * @param {Object} options
+ * @param {boolean} options.withImports - Add imported files too (they were picked by hand, so always count)
+ * @returns {Promise<Array<Object>>} The eligible activities
+ */
+async function eligibleActivities(activities, { withImports = true } = {}) {
+    const { isEligibleActivity } = await import('./utils/activityTypes.js');
+    const allowedTypes = await getAllowedActivityTypes();
+    const eligible = activities.filter(activity => isEligibleActivity(activity, allowedTypes));
+    return withImports ? withImportedActivities(eligible) : eligible;
+}
+
+/**
+ * Save the activity types that count towards progress, locally and on the user's profile, and
+ * re-filter the loaded activities without going back to Strava
+ * @param {Array<string>} types - Type ids (see SPORT_TYPES in utils/activityTypes.js)
+ */
+async function setAllowedActivityTypes(types) {
+    const { normaliseActivityTypes } = await import('./utils/activityTypes.js');
+    const allowedTypes = normaliseActivityTypes(types);
+    localStorage.setItem(ACTIVITY_TYPES_KEY, JSON.stringify(allowedTypes));
+    try {
+        if (window.userManager && typeof window.userManager.updatePreferences === 'function') {
+            const result = await window.userManager.updatePreferences({ activityTypes: allowedTypes });
+            if (!result.success) throw new Error(result.error);
+        }
+    } catch (error) {
+        console.warn('Could not save activity types to Firebase:', error);
+    }
+
+    await renderActivityTypeFilters();
+    allFetchedActivities = await eligibleActivities(allStravaActivities);
+    renderActivityList(filterActivities());
+    setTimeout(() => calculateDeferredStats(), 50);
+    log(`Counting ${allowedTypes.join(', ')} activities (${allFetchedActivities.length} loaded).`, 'success');
+}
+
+/**
+ * Rebuild the desktop and mobile type filter buttons from the allowed types, keeping the
+ * current filter if its type is still allowed
+ */
+async function renderActivityTypeFilters() {
+    const { activityTypeLabel } = await import('./utils/activityTypes.js');
+    const allowedTypes = await getAllowedActivityTypes();
+    [UIElements.filterButtons, UIElements.filterButtonsMobile].forEach(container => {
+        if (!container) return;
+        const current = container.querySelector('.filter-btn.active')?.dataset.filter || 'all';
+        const active = allowedTypes.includes(current) ? current : 'all';
+        container.innerHTML = ['all', ...allowedTypes].map(type => `
+            <button data-filter="${type}" class="filter-btn${type === active ? ' active' : ''}">${type === 'all' ? 'All' : activityTypeLabel(type)}</button>
+        `).join('');
+    });
+}
+
+/**
+ * Fill the Settings page's activity type checkboxes from the allowed types
+ */
+async function renderActivityTypeSettings() {
+    const container = document.getElementById('activity-types-settings');
+    if (!container) return;
+    const { SPORT_TYPES } = await import('./utils/activityTypes.js');
+    const allowedTypes = await getAllowedActivityTypes();
+    container.innerHTML = SPORT_TYPES.map(({ id, label }) => `
+        <label class="flex items-center gap-2 text-white">
+            <input type="checkbox" value="${id}" class="rounded" ${allowedTypes.includes(id) ? 'checked' : ''}>
+            ${label}
+        </label>
+    `).join('');
+}
+
+/**
+ * Turn a parsed GPX/TCX/FIT file into an activity shaped like a Strava summary, plus its stream
+ * in the same key_by_type format getActivityStream returns.
+ * @param {Object} parsed - Output of parseActivityFile
+ * @param {string} fileName - Original file name
+ * @returns {Object} { activity, stream }
+ */
+function buildImportedActivity(parsed, fileName) {
+    const latlng = parsed.points.map(point => [point.lat, point.lon]);
+    const startTime = parsed.startTime || Date.now();
+
+    // Same start time means the same recording, so re-importing a file replaces it
+    const id = `${IMPORTED_ACTIVITY_ID_PREFIX}${parsed.startTime ? Math.floor(startTime / 1000) : `${latlng.length}-${Math.round(Math.abs(latlng[0][0] * latlng[0][1]) * 1e6)}`}`;
+    const startDate = new Date(startTime);
+    const startDateLocal = new Date(startTime - startDate.getTimezoneOffset() * 60000);
+
+    // Thin the track for the card thumbnail, like Strava's summary polyline
+    const step = Math.max(1, Math.ceil(latlng.length / 500));
+    const thumbnail = latlng.filter((point, i) => i % step === 0 || i === latlng.length - 1);
+
+    const activity = {
+        id,
+        name: parsed.name,
+        type: parsed.type,
+        sport_type: parsed.type,
+        start_date: startDate.toISOString(),
+        start_date_local: startDateLocal.toISOString(),
+        distance: parsed.stats.distance,
+        moving_time: parsed.stats.movingTime || parsed.stats.elapsedTime,
+        elapsed_time: parsed.stats.elapsedTime,
+        total_elevation_gain: parsed.stats.elevationGain,
+        map: { summary_polyline: polyline.encode(thumbnail) },
+        source: 'import',
+        source_file: fileName,
+        analyzed: false
+    };
+
+    const stream = { latlng: { data: latlng } };
+    if (parsed.points.some(point => Number.isFinite(point.ele))) {
+        stream.altitude = { data: parsed.points.map(point => point.ele) };
+    }
+    // Seconds from the first timed point; points without a time stay null and are skipped by the matching
+    const firstTimed = parsed.points.find(point => point.time);
+    if (firstTimed) {
+        stream.time = { data: parsed.points.map(point => point.time ? Math.round((point.time - firstTimed.time) / 1000) : null) };
+    }
+
+    return { activity, stream };
+}
+
+/**
+ * Import GPX/TCX/FIT files as activities and analyse them with the same worker pipeline as Strava activities.
+ * @param {FileList|Array<File>} files - Files picked by the user
+ */
+async function importActivityFiles(files) {
+    if (!files || files.length === 0) return;
+
+    const { parseActivityFile } = await import('./utils/activityFileParser.js');
+    const imported = getImportedActivities();
+    const newActivities = [];
+
+    for (const file of Array.from(files)) {
+        try {
+            const parsed = await parseActivityFile(file);
+            if (parsed.points.length < 2) {
+                log(`⚠️ ${file.name}: no GPS track found, skipped.`, 'warn');
+                continue;
+            }
+
+            const { activity, stream } = buildImportedActivity(parsed, file.name);
+
+            // A walk already synced to Strava would otherwise be counted twice in the stats
+            const startMs = Date.parse(activity.start_date);
+            const stravaDuplicate = allFetchedActivities.find(existing => !isImportedActivity(existing) &&
+                Math.abs(Date.parse(existing.start_date) - startMs) < 2 * 60 * 1000);
+            if (stravaDuplicate) {
+                log(`⚠️ ${file.name}: already on Strava as "${stravaDuplicate.name}", skipped.`, 'warn');
+                continue;
+            }
+
+            importedActivityStreams.set(activity.id, stream);
+            try {
+                localStorage.setItem(`${ACTIVITY_STREAMS_CACHE_PREFIX}${activity.id}`, JSON.stringify(stream));
+            } catch (storageError) {
+                console.warn(`Could not cache stream for ${activity.id} (storage full?) - it is kept for this session only:`, storageError);
+            }
+
+            const existingIndex = imported.findIndex(existing => existing.id === activity.id);
+            if (existingIndex !== -1) {
+                imported[existingIndex] = activity;
+            } else {
+                imported.push(activity);
+            }
+            newActivities.push(activity);
+            log(`📥 Imported ${file.name}: ${(activity.distance / 1000).toFixed(2)} km, ${Math.round(activity.total_elevation_gain)} m climbing`, 'success');
+        } catch (error) {
+            console.error(`❌ Failed to import ${file.name}:`, error);
+            log(`❌ Failed to import ${file.name}: ${error.message}`, 'error');
+        }
+    }
+
+    if (newActivities.length === 0) return;
+
+    localStorage.setItem(IMPORTED_ACTIVITIES_KEY, JSON.stringify(imported));
+    const importedIds = new Set(newActivities.map(activity => activity.id));
+    allFetchedActivities = allFetchedActivities.filter(activity => !importedIds.has(activity.id)).concat(newActivities);
+    renderActivityList(filterActivities());
+
+    // One worker call for all files, so each file's coverage builds on the others
+    await analyzeActivitiesInBatch(newActivities);
+}
+
+// Make available globally
+window.importActivityFiles = importActivityFiles;
+   
+async function getActivityStream(activityId) {
+    const cacheKey = `${ACTIVITY_STREAMS_CACHE_PREFIX}${activityId}`;
+    const cachedStream = JSON.parse(localStorage.getItem(cacheKey) || 'null');
+    // Streams cached before altitude and time were requested are fetched again (imported files never have more)
+    if (cachedStream && (cachedStream.time || isImportedActivity({ id: activityId }))) { return cachedStream; }
+    if (isImportedActivity({ id: activityId })) {
+        // Imported streams only exist locally - there is nothing to fetch from Strava
+        if (importedActivityStreams.has(String(activityId))) return importedActivityStreams.get(String(activityId));
+        log(`Stream for imported activity ${activityId} is no longer stored. Please import the file again.`, 'error');
+        return null;
+    }
+    log(`Fetching stream for activity ${activityId} from Strava...`);
+    try {
+        const response = await makeStravaApiCall(`https://www.strava.com/api/v3/activities/${activityId}/streams?keys=latlng,altitude,time&key_by_type=true`, {}, 1, { bulk: true });
+        if (!response) {
+            throw new Error('Strava API unavailable (rate limit or sign-in)');
+        }
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`API Error (${response.status}): ${errorText}`);
+        }
+        const data = await response.json();
+        if (data && data.latlng && data.latlng.data) {
+            localStorage.setItem(cacheKey, JSON.stringify(data));
+        }
+        return data;
+    }
+    catch (e) {
+        log(`Failed to fetch stream for ${activityId}: ${e.message}`, 'error');
+        return null;
+    }
+}
+   
+/** Fetch activities from last 30 days only (for refresh) */
+async function fetchRecentActivities() {
+    const thirtyDaysAgo = new Date();
+    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+    const afterTimestamp = Math.floor(thirtyDaysAgo.getTime() / 1000);
+    
+    log('Fetching activities from last 30 days...', 'info');
+    
+    try {
+        const baseUrl = 'https://www.strava.com/api/v3/athlete/activities';
+        const params = `?per_page=200&after=${afterTimestamp}`;
+        const url = baseUrl + params;
+        
+        const response = await makeStravaApiCall(url, {}, 1, { bulk: true });
+        if (!response || !response.ok) {
+            throw new Error(`Failed to fetch recent activities: ${response?.status}`);
+        }
+        
+        const activities = await response.json();
+        return activities || [];
+        
+    } catch (error) {
+        console.error('❌ Error fetching recent activities:', error);
+        throw error;
+    }
+}
+
+/**
+ * Fetch all activities from Firebase first, then Strava API if needed.
+ * Strava imports run as a checkpointed job (see runActivityImport); an unfinished job is carried on
+ * rather than served from Firebase or the cache, unless the user paused it.
+ */
+async function fetchAllActivities(forceRefresh = false) {
+    
+    const fetchStartTime = Date.now();
+    if (OPTIMIZATION_FEATURES.enhancedLogging) {
+        enhancedLog('Starting to fetch all activities...', 'info');
+    }
+
+    const importJob = loadActivityImportJob();
+    const importUnfinished = !!importJob && importJob.status !== 'complete';
+    
+    // First, try to load from Firebase if available (unless forced refresh)
+    if (!forceRefresh && !importUnfinished && window.firebaseProgressService && window.firebaseProgressService.isEnabled) {
+        try {
+            const needsRefresh = await window.firebaseProgressService.needsActivityRefresh();
+            
+            if (!needsRefresh) {
+                const firebaseActivities = await window.firebaseProgressService.loadActivitiesFromFirebase();
+                if (firebaseActivities && firebaseActivities.length > 0) {
+                    if (OPTIMIZATION_FEATURES.enhancedLogging) {
+                        enhancedLog(`Using Firebase activities (${firebaseActivities.length} activities)`, 'success', fetchStartTime);
+                    }
+                    log(`Loaded ${firebaseActivities.length} activities from Firebase (fast load)`, 'success');
+                    return firebaseActivities;
+                }
+            }
+        } catch (error) {
+            console.error('Error loading from Firebase, falling back to Strava API:', error);
         }
     }
     
     // Fallback to localStorage cache (unless forced refresh)
-    if (!forceRefresh) {
+    if (!forceRefresh && !importUnfinished) {
         const cachedData = localStorage.getItem(CACHED_ACTIVITIES_KEY);
         const cachedTimestamp = localStorage.getItem(CACHED_ACTIVITIES_TIMESTAMP_KEY);
         
@@ -2467,62 +3126,103 @@ async function fetchAllActivities(forceRefresh = false) {
             }
         }
     }
+
+    // A paused import stays paused until the user resumes it; show what it has fetched so far
+    if (!forceRefresh && importJob?.status === 'paused') {
+        log(`Activity import paused after page ${importJob.page}. Resume it from the Activities page.`, 'info');
+        renderActivityImportStatus(importJob);
+        return JSON.parse(localStorage.getItem(CACHED_ACTIVITIES_KEY) || '[]');
+    }
     
     // Need to fetch from Strava API
     log('Fetching fresh activities from Strava API...', 'info');
-    
-    // === PHASE 1: OPTIMIZED API DELAY ===
-    // Reduce delay between API calls when parallel loading is enabled
-    const apiDelay = OPTIMIZATION_FEATURES.parallelLoading ? 100 : 200; // 50% faster when optimized
+    const allActivities = await runActivityImport();
     
     if (OPTIMIZATION_FEATURES.enhancedLogging) {
-        enhancedLog(`Fetching from API with ${apiDelay}ms delays between requests...`, 'info');
+        enhancedLog(`Successfully fetched ${allActivities.length} activities`, 'perf', fetchStartTime);
     }
     
-    let allActivities = [];
-    let page = 1;
-    const perPage = 200;
-    
+    return allActivities;
+}
+
+/** The saved activity import job (utils/activityImport.js), or null if there has never been one. */
+function loadActivityImportJob() {
     try {
-        while (page < 10) { // Max 10 pages (2000 activities) to prevent runaway
-            const baseUrl = 'https://www.strava.com/api/v3/athlete/activities';
-            const params = `?per_page=${perPage}&page=${page}`;
-            const url = baseUrl + params;
-            
-            const response = await makeStravaApiCall(url);
-            
-            if (!response || !response.ok) {
-                break;
-            }
-            
-            const activities = await response.json();
-            
-            if (!activities || activities.length === 0) {
-                break;
-            }
-            
-            allActivities = allActivities.concat(activities);
-            
-            if (activities.length < perPage) {
+        return JSON.parse(localStorage.getItem(ACTIVITY_IMPORT_KEY) || 'null');
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Import the activity list from Strava one page at a time, saving the activities and the job's
+ * checkpoint after every page. Resumes an unfinished job; otherwise fetches full history until a
+ * full import has completed, and only activities newer than the last sync after that.
+ * @returns {Promise<Array<Object>>} Every activity stored so far, including those of a job that stopped early.
+ */
+async function runActivityImport() {
+    const { startImport, pageQuery, advanceImport, mergeActivities } = await import('./utils/activityImport.js');
+
+    let activities = JSON.parse(localStorage.getItem(CACHED_ACTIVITIES_KEY) || '[]');
+    if (activities.length === 0 && window.firebaseProgressService?.isEnabled) {
+        activities = await window.firebaseProgressService.loadActivitiesFromFirebase() || [];
+    }
+    if (activityImportRunning) {
+        log('An activity import is already running.', 'info');
+        return activities;
+    }
+
+    let job = loadActivityImportJob();
+    if (!job || job.status === 'complete') {
+        job = startImport(activities.filter(activity => !isImportedActivity(activity)), job);
+        log(job.mode === 'full' ? 'Importing your full Strava history...' : 'Fetching activities since the last sync...', 'info');
+    } else {
+        job = { ...job, status: 'running', error: null };
+        log(`Resuming activity import after page ${job.page} (${job.fetched} activities fetched so far)...`, 'info');
+    }
+
+    activityImportRunning = true;
+    activityImportPauseRequested = false;
+    localStorage.setItem(ACTIVITY_IMPORT_KEY, JSON.stringify(job));
+    renderActivityImportStatus(job);
+
+    try {
+        while (job.status === 'running') {
+            if (activityImportPauseRequested) {
+                job = { ...job, status: 'paused' };
+                log(`Activity import paused after page ${job.page}.`, 'info');
                 break;
             }
-            
-            page++;
-            if (page < 10) { // Only sleep if we're going to fetch another page
-                await sleep(apiDelay);
+
+            const response = await makeStravaApiCall(`https://www.strava.com/api/v3/athlete/activities?${pageQuery(job)}`, {}, 1, { bulk: true });
+            if (!response || !response.ok) {
+                throw new Error(response ? `Strava returned ${response.status}` : 'Strava API unavailable');
             }
+            const page = await response.json();
+
+            const storedCount = activities.length;
+            activities = mergeActivities(activities, page);
+            job = advanceImport(job, page, activities.length - storedCount);
+            localStorage.setItem(CACHED_ACTIVITIES_KEY, JSON.stringify(activities));
+            localStorage.setItem(ACTIVITY_IMPORT_KEY, JSON.stringify(job));
+            renderActivityImportStatus(job);
+            log(`Imported page ${job.page}: ${page.length} activities (${job.fetched} new this import).`, 'info');
         }
     } catch (error) {
         console.error('❌ Error fetching activities:', error);
-        if (OPTIMIZATION_FEATURES.enhancedLogging) {
-            enhancedLog(`Activity fetch failed: ${error.message}`, 'error');
-        }
-        throw error;
+        job = { ...job, status: 'failed', error: error.message };
+        log(`Activity import stopped at page ${job.page + 1}: ${error.message}. It will carry on from there next time.`, 'error');
+    } finally {
+        activityImportRunning = false;
+        activityImportPauseRequested = false;
+        localStorage.setItem(ACTIVITY_IMPORT_KEY, JSON.stringify(job));
+        renderActivityImportStatus(job);
     }
-    
-    // Cache the activities in localStorage
-    localStorage.setItem(CACHED_ACTIVITIES_KEY, JSON.stringify(allActivities));
+
+    if (job.status !== 'complete') return activities;
+
     localStorage.setItem(CACHED_ACTIVITIES_TIMESTAMP_KEY, Date.now().toString());
+    log(`Activity import complete: ${job.fetched} new activities fetched.`, 'success');
     
     // Save to Firebase (with analysis status)
     if (window.firebaseProgressService && window.firebaseProgressService.isEnabled) {
@@ -2532,23 +3232,58 @@ async function fetchAllActivities(forceRefresh = false) {
             const analyzedIds = new Set(unifiedData.analyzedActivityIds || []);
             
             // Mark activities as analyzed if they're in the analyzed list
-            const activitiesWithStatus = allActivities.map(activity => ({
+            const activitiesWithStatus = activities.map(activity => ({
                 ...activity,
                 analyzed: analyzedIds.has(String(activity.id))
             }));
             
             await window.firebaseProgressService.saveActivitiesToFirebase(activitiesWithStatus);
-            log(`Saved ${allActivities.length} activities to Firebase with analysis status`, 'success');
+            log(`Saved ${activities.length} activities to Firebase with analysis status`, 'success');
         } catch (error) {
             console.error('Failed to save activities to Firebase:', error);
         }
     }
-    
-    if (OPTIMIZATION_FEATURES.enhancedLogging) {
-        enhancedLog(`Successfully fetched ${allActivities.length} activities`, 'perf', fetchStartTime);
+
+    return activities;
+}
+
+/**
+ * Show the activity import's progress above the activity list, with a button to pause it
+ * while it runs or resume it once it has stopped.
+ * @param {Object} job - The import job.
+ */
+function renderActivityImportStatus(job) {
+    const container = document.getElementById('activity-import-status');
+    if (!container) return;
+
+    if (!job || job.status === 'complete') {
+        container.classList.add('hidden');
+        container.innerHTML = '';
+        return;
     }
-    
-    return allActivities;
+
+    const what = job.mode === 'full' ? 'full history' : 'new activities';
+    const messages = {
+        running: `Importing ${what}: page ${job.page} done, ${job.fetched} activities so far...`,
+        paused: `Import of ${what} paused after page ${job.page} (${job.fetched} activities).`,
+        failed: `Import of ${what} stopped at page ${job.page + 1}: ${job.error}`
+    };
+    const button = job.status === 'running'
+        ? '<button type="button" data-import-action="pause" class="filter-btn">Pause</button>'
+        : '<button type="button" data-import-action="resume" class="filter-btn">Resume</button>';
+
+    container.classList.remove('hidden');
+    container.innerHTML = `<span>${messages[job.status] || ''}</span>${button}`;
+    container.onclick = (e) => {
+        const action = e.target.closest('[data-import-action]')?.dataset.importAction;
+        if (action === 'pause') {
+            activityImportPauseRequested = true;
+            e.target.disabled = true;
+            e.target.textContent = 'Pausing...';
+        } else if (action === 'resume') {
+            loadAllActivities();
+        }
+    };
 }
 
 async function updateProgressUI(payload) {
@@ -2560,25 +3295,25 @@ async function updateProgressUI(payload) {
     // --- END DEBUGGING LOGS ---
 
     // 🛡️ DATA PROTECTION: Prevent accidental data loss
-    const existingPoints = JSON.parse(localStorage.getItem('swcp_completed_points') || '[]');
-    const newPoints = payload.newCompletedPoints || [];
+    const existingKm = getCoverageKm(JSON.parse(localStorage.getItem(COVERAGE_KEY) || '[]'));
+    const newKm = getCoverageKm(payload.coverage);
     
     // If we have existing data and new data is empty/much smaller, require confirmation
-    if (existingPoints.length > 50 && newPoints.length === 0) {
-        console.error('🚨 DATA PROTECTION: Refusing to overwrite', existingPoints.length, 'points with empty array');
-        log(`🛡️ Data protection: Refusing to overwrite ${existingPoints.length} completed points with empty data`, 'error');
+    if (existingKm > 2 && newKm === 0) {
+        console.error('🚨 DATA PROTECTION: Refusing to overwrite', existingKm.toFixed(2), 'km of coverage with empty coverage');
+        log(`🛡️ Data protection: Refusing to overwrite ${existingKm.toFixed(2)} km of completed coverage with empty data`, 'error');
         return;
     }
     
-    if (existingPoints.length > 100 && newPoints.length < (existingPoints.length * 0.1)) {
-        console.error('🚨 DATA PROTECTION: Refusing to overwrite', existingPoints.length, 'points with only', newPoints.length, 'points');
-        log(`🛡️ Data protection: Refusing to overwrite ${existingPoints.length} points with suspiciously small ${newPoints.length} points`, 'error');
+    if (existingKm > 5 && newKm < (existingKm * 0.1)) {
+        console.error('🚨 DATA PROTECTION: Refusing to overwrite', existingKm.toFixed(2), 'km of coverage with only', newKm.toFixed(2), 'km');
+        log(`🛡️ Data protection: Refusing to overwrite ${existingKm.toFixed(2)} km with suspiciously small ${newKm.toFixed(2)} km`, 'error');
         return;
     }
     
     // Log data protection status
-    if (existingPoints.length > 0) {
-        console.log(`🛡️ Data protection: ${existingPoints.length} existing points → ${newPoints.length} new points (${newPoints.length >= existingPoints.length ? 'SAFE' : 'MONITORED'})`);
+    if (existingKm > 0) {
+        console.log(`🛡️ Data protection: ${existingKm.toFixed(2)} km existing → ${newKm.toFixed(2)} km new (${newKm >= existingKm ? 'SAFE' : 'MONITORED'})`);
     }
 
     // Check critical dashboard elements (always required)
@@ -2593,16 +3328,16 @@ async function updateProgressUI(payload) {
     if (!mapReady) {
         console.log('⏳ Map not ready yet, updating dashboard only (map will render later)');
     }
-    const { segments, totalDistance, percentage, newCompletedPoints } = payload; // Destructure newCompletedPoints
+    const { segments, totalDistance, percentage, coverage } = payload;
 
     // Get processed activity IDs for stats calculations and Firebase save
     const processedIds = new Set(JSON.parse(localStorage.getItem(PROCESSED_ACTIVITIES_KEY) || '[]'));
 
-    // Generate segments from points if not provided
+    // Generate segments from coverage if not provided
     let segmentsToRender = segments;
-    if (!segmentsToRender && newCompletedPoints && newCompletedPoints.length > 0) {
-        segmentsToRender = groupPointsIntoSegments(newCompletedPoints);
-        console.log(`📊 Generated ${segmentsToRender.length} segments from ${newCompletedPoints.length} points`);
+    if (!segmentsToRender && coverage && coverage.length > 0) {
+        segmentsToRender = getCoverageSegments(coverage);
+        console.log(`📊 Generated ${segmentsToRender.length} segments from ${coverage.length} coverage intervals`);
     }
 
     // Only render map if map is ready
@@ -2660,21 +3395,21 @@ async function updateProgressUI(payload) {
     // --- CRITICAL: Update global currentPercentage variable ---
     currentPercentage = parseFloat(percentage); // Update the global variable here
 
-    // --- CRITICAL FIX: Ensure newCompletedPoints are saved for persistence ---
-    // This array holds all the points that define the completed sections of the path.
+    // --- CRITICAL FIX: Ensure coverage is saved for persistence ---
+    // These intervals define the completed sections of the path.
     // If this is not correctly saved, then on next load, `loadProgressFromStorage` will get an empty array,
     // leading to 0% overall progress being calculated by the worker.
-    if (newCompletedPoints) { // Defensive check
+    if (coverage) { // Defensive check
         // Save to localStorage immediately
-        localStorage.setItem(COMPLETED_POINTS_KEY, JSON.stringify(newCompletedPoints));
+        saveCoverageToStorage(coverage);
         
         // Backup to Firebase if available
         if (firebaseProgressService && firebaseProgressService.isEnabled) {
-            firebaseProgressService.saveItem(COMPLETED_POINTS_KEY, newCompletedPoints);
+            firebaseProgressService.saveItem(COVERAGE_KEY, coverage);
         }
 
     } else {
-        console.warn("updateProgressUI: newCompletedPoints was null or undefined in payload. Not saving to localStorage.");
+        console.warn("updateProgressUI: coverage was null or undefined in payload. Not saving to localStorage.");
     }
 
     // --- Time Taken: handled by loading function ---
@@ -2699,7 +3434,7 @@ async function updateProgressUI(payload) {
     if (firebaseProgressService && !payload.isFromCache && !payload.isBackgroundVerification) {
         try {
             await firebaseProgressService.saveProgressToFirebase({
-                completedPoints: newCompletedPoints,  // ✅ FIXED: Use newCompletedPoints from payload
+                coverage: coverage,
                 processedActivities: Array.from(processedIds),
                 totalDistance: totalDistance,
                 completedDistance: totalDistance,
@@ -2784,6 +3519,11 @@ const init = async () => {
     UIElements.mapLoadingOverlay = document.getElementById('map-loading-overlay');
     UIElements.refreshActivitiesBtn = document.getElementById('refresh-activities-btn');
     UIElements.loadAllActivitiesBtn   = document.getElementById('load-all-activities-btn');
+    UIElements.importActivitiesBtn = document.getElementById('import-activities-btn');
+    UIElements.importActivitiesInput = document.getElementById('import-activities-input');
+    UIElements.exportCoverageBtn = document.getElementById('export-coverage-btn');
+    UIElements.exportFormatSelect = document.getElementById('export-format-select');
+    UIElements.exportIncludeGaps = document.getElementById('export-include-gaps');
     UIElements.headerSection = document.getElementById('header-section');
     UIElements.progressSummarySection = document.getElementById('progress-summary-section');
     UIElements.appBackground = document.getElementById('app-background');
@@ -2812,6 +3552,9 @@ const init = async () => {
     // New: Latest activity elements
     UIElements.latestActivitySection = document.getElementById('latest-activity-section');
     UIElements.latestActivityContainer = document.getElementById('latest-activity-container');
+    UIElements.stageProgressContainer = document.getElementById('stage-progress-container');
+    UIElements.gapPlannerContainer = document.getElementById('gap-planner-container');
+    UIElements.elevationProfileContainer = document.getElementById('elevation-profile-container');
 
     log('Application initialization started.');
 
@@ -2908,6 +3651,20 @@ const init = async () => {
                 log(`Analysis complete for activity ${activityId}. Updating UI.`, 'success');
                 console.log("Worker Result Payload (Result):", payload); // Console log final payload from worker
 
+                // The worker measures progress against the stage options that count, so adopt its route length
+                if (payload.routeDistance) {
+                    swcpTotalDistance = payload.routeDistance;
+                }
+
+                if (activityId === 'route_recalculation') {
+                    // Stage option preference changed - save and redraw without touching any activity
+                    const saveResult = await saveUnifiedProgress(payload);
+                    if (saveResult.success) {
+                        updateDashboardFromUnified(saveResult.data);
+                    }
+                    return;
+                }
+
                 if (activityId === 'background_verification' || payload.isBackgroundVerification) {
                     // Handle background verification results
                     const currentPercentageDisplay = document.getElementById('progress-percentage')?.textContent || '0';
@@ -2954,6 +3711,7 @@ const init = async () => {
                         const overlapsRoute = payload.activityOverlapsRoute || false;
                         
                         console.log(`📊 Activity ${activity.name}: ${overlapsRoute ? 'OVERLAPS' : 'DOES NOT OVERLAP'} route (${payload.activityOverlapPointCount || 0} points)`);
+                        logMatchedStretches(activity.name, payload.matchedStretches, payload.rejectedSampleCount);
                         
                         // Save using unified system
                         console.log('🔍 UNIFIED DEBUG: Calling saveUnifiedProgress...');
@@ -3007,10 +3765,58 @@ const init = async () => {
                     if (unifiedData) {
                         log('✅ Initial data loading complete', 'success');
                     }
+                    // The worker has just recalculated the stage table, which is fresher than the saved copy
+                    if (payload.stages && payload.stages.length > 0) {
+                        renderStageProgress(payload.stages);
+                        renderGapPlanner(payload.coverage || [], payload.stages);
+                        renderElevationProfile(payload.coverage || [], payload.stages);
+                    }
                 }
                 
+            } else if (type === 'batch_progress') {
+                // Batch analysis reports once per activity instead of per GPS sample
+                if (analyzeBtn) {
+                    const buttonTextSpan = analyzeBtn.querySelector('.button-text');
+                    const batchText = `Analyzed ${payload.index}/${payload.total}...`;
+                    if (buttonTextSpan) {
+                        buttonTextSpan.textContent = batchText;
+                    } else {
+                        analyzeBtn.textContent = batchText;
+                    }
+                }
+                console.log(`📦 Batch ${payload.index}/${payload.total}: activity ${activityId} ${payload.activityOverlapsRoute ? `OVERLAPS route (${payload.coveredKm} km)` : 'DOES NOT OVERLAP route'}`);
+                logMatchedStretches(activityId, payload.matchedStretches, payload.rejectedSampleCount);
+            } else if (type === 'batch_result') {
+                log(`Batch analysis complete for ${payload.activityResults?.length || 0} activities. Updating UI.`, 'success');
+
+                // The worker measures progress against the stage options that count, so adopt its route length
+                if (payload.routeDistance) {
+                    swcpTotalDistance = payload.routeDistance;
+                }
+
+                await handleBatchResult(payload);
+            } else if (type === 'comparison_result') {
+                // Side-by-side output of compareMatchingParams()
+                console.table(payload.comparisons.map(comparison => ({
+                    settings: comparison.label,
+                    ...comparison.matchingParams,
+                    matchedSamples: comparison.overlapPointCount,
+                    stretches: comparison.stretchCount,
+                    rejectedSamples: comparison.rejectedSampleCount,
+                    intervals: comparison.intervalCount,
+                    coveredKm: comparison.coveredKm,
+                    ms: comparison.durationMs
+                })));
+                payload.comparisons.forEach(comparison => {
+                    log(`⚖️ ${comparison.label}: ${comparison.coveredKm} km in ${comparison.intervalCount} intervals (${comparison.durationMs} ms)`, 'info');
+                });
             } else if (type === 'error') {
                 log(`Worker error for ${activityId}: ${error}`, 'error');
+                if (activityId === 'batch_analysis' && allFetchedActivities.length > 0) {
+                    // Restore the buttons of every queued activity
+                    renderActivityList(allFetchedActivities);
+                }
+                if (activityId === 'batch_analysis') abandonAutoAnalysis();
                 if (analyzeBtn) {
                     analyzeBtn.textContent = 'Analysis Failed';
                     analyzeBtn.disabled = false;
@@ -3060,6 +3866,21 @@ const init = async () => {
     if (UIElements.loadAllActivitiesBtn) {
         UIElements.loadAllActivitiesBtn.addEventListener('click', loadAllActivities);
     }
+    // Bind GPX/TCX/FIT import
+    if (UIElements.importActivitiesBtn && UIElements.importActivitiesInput) {
+        UIElements.importActivitiesBtn.addEventListener('click', () => UIElements.importActivitiesInput.click());
+        UIElements.importActivitiesInput.addEventListener('change', async (e) => {
+            await importActivityFiles(e.target.files);
+            e.target.value = ''; // Allow the same file to be picked again
+        });
+    }
+    // Bind coverage export
+    if (UIElements.exportCoverageBtn) {
+        UIElements.exportCoverageBtn.addEventListener('click', () => exportCoverage(
+            UIElements.exportFormatSelect?.value || 'geojson',
+            UIElements.exportIncludeGaps?.checked || false
+        ));
+    }
     window.addEventListener('resize', updateGridLayout);
 
     // New Event Listeners
@@ -3295,7 +4116,7 @@ async function updateProgressUIWithProgress(payload, analyzeBtn) {
         // 85%: Clear existing map layers
         console.log('🔍 DEBUG: Moving to 85% - clearing map layers');
         updateProgress(85, 'Clearing map');
-        const { segments, totalDistance, percentage, newCompletedPoints } = payload;
+        const { segments, totalDistance, percentage, coverage } = payload;
         console.log('🔍 DEBUG: Payload data:', { segments: segments?.length, totalDistance, percentage });
         completedSegmentsLayer.clearLayers();
         await sleep(5);
@@ -3374,26 +4195,23 @@ async function updateProgressUIWithProgress(payload, analyzeBtn) {
             // Skip stats calculation for faster map rendering - will be done later
         } else {
             updateProgress(97, 'Calculating elevation');
+            // Only the on-path climbing and time saved with each analysed activity count
+            const unifiedStats = Object.values(JSON.parse(localStorage.getItem('swcp_unified_progress') || '{}').activityStats || {})
+                .filter(stats => stats.overlapsRoute);
             if (UIElements.elevationGained) {
                 let elevationSum = 0;
-                // Only calculate elevation if there are completed points (actual progress)
-                if (newCompletedPoints && newCompletedPoints.length > 0) {
-                    const processedIds = new Set(JSON.parse(localStorage.getItem(PROCESSED_ACTIVITIES_KEY) || '[]'));
-                    elevationSum = allFetchedActivities.reduce((sum, act) => {
-                        return processedIds.has(String(act.id)) ? sum + (Number(act.total_elevation_gain) || 0) : sum;
-                    }, 0);
+                // Only calculate elevation if there is completed coverage (actual progress)
+                if (coverage && coverage.length > 0) {
+                    elevationSum = unifiedStats.reduce((sum, stats) => sum + (stats.elevation || 0), 0);
                 }
                 UIElements.elevationGained.textContent = `${Math.round(elevationSum)} m`;
             }
             
             if (UIElements.timeTaken) {
                 let timeSum = 0;
-                // Only calculate time if there are completed points (actual progress)
-                if (newCompletedPoints && newCompletedPoints.length > 0) {
-                    const processedIds = new Set(JSON.parse(localStorage.getItem(PROCESSED_ACTIVITIES_KEY) || '[]'));
-                    timeSum = allFetchedActivities.reduce((sum, act) => {
-                        return processedIds.has(String(act.id)) ? sum + (Number(act.moving_time) || 0) : sum;
-                    }, 0);
+                // Only calculate time if there is completed coverage (actual progress)
+                if (coverage && coverage.length > 0) {
+                    timeSum = unifiedStats.reduce((sum, stats) => sum + (stats.time || 0), 0);
                 }
                 const hours = Math.floor(timeSum / 3600);
                 const minutes = Math.floor((timeSum % 3600) / 60);
@@ -3406,16 +4224,16 @@ async function updateProgressUIWithProgress(payload, analyzeBtn) {
         updateProgress(98, 'Saving progress');
         currentPercentage = parseFloat(percentage);
         
-        if (newCompletedPoints) {
+        if (coverage) {
             // Save to localStorage immediately
-            localStorage.setItem(COMPLETED_POINTS_KEY, JSON.stringify(newCompletedPoints));
+            saveCoverageToStorage(coverage);
             
             // Backup to Firebase if available
             if (firebaseProgressService && firebaseProgressService.isEnabled) {
-                firebaseProgressService.saveItem(COMPLETED_POINTS_KEY, newCompletedPoints);
+                firebaseProgressService.saveItem(COVERAGE_KEY, coverage);
             }
         } else {
-            console.warn("updateProgressUI: newCompletedPoints was null or undefined in payload. Not saving to localStorage.");
+            console.warn("updateProgressUI: coverage was null or undefined in payload. Not saving to localStorage.");
         }
         
         // 99%: Calculate remaining distance
@@ -3462,7 +4280,7 @@ async function updateProgressUIWithProgress(payload, analyzeBtn) {
                 totalDistance: totalDistance,
                 completedDistance: totalDistance,
                 segments: segments,
-                newCompletedPoints: newCompletedPoints
+                coverage: coverage
             });
         }
         
@@ -3502,7 +4320,7 @@ const SPEED_OPTIMIZATIONS = {
     // === WORKER ANALYSIS OPTIMIZATIONS (0-80% phase) ===
     reducedPrecision: {
         enabled: false,
-        description: "Use lower precision for GPS matching (faster but slightly less accurate)",
+        description: "Sample GPS tracks every 100 m instead of 50 m when matching (faster but slightly less accurate)",
         impact: "30-50% faster worker analysis",
         tradeoff: "May miss very short path segments"
     },
@@ -3516,9 +4334,9 @@ const SPEED_OPTIMIZATIONS = {
     
     skipDetailedCalcs: {
         enabled: false,
-        description: "Skip elevation gain and time calculations during analysis",
+        description: "Skip per-sample progress updates and map geometry in the worker",
         impact: "10-20% faster worker analysis", 
-        tradeoff: "Stats calculated separately (minor delay)"
+        tradeoff: "Progress jumps straight to saving; map segments rebuilt on the main thread"
     },
     
     // === UI RENDERING OPTIMIZATIONS (80-100% phase) ===
@@ -3552,27 +4370,85 @@ const SPEED_OPTIMIZATIONS = {
     }
 };
 
+/**
+ * Matching parameters used when reduced precision is enabled. Anything not listed here
+ * falls back to the worker's defaults (25 m threshold, 50 m samples, 200 m merge radius, 0.2 km segment break,
+ * 100 m minimum run, 45° heading tolerance).
+ * The segment break is widened so a single missed 100 m sample doesn't split a stretch.
+ */
+const REDUCED_PRECISION_MATCHING_PARAMS = {
+    sampleIntervalMeters: 100,
+    segmentBreakKm: 0.25
+};
+
+/**
+ * Build the matching parameters object sent with each worker message
+ * @returns {Object} - Partial matching parameters; empty means the worker defaults
+ */
+function getWorkerMatchingParams() {
+    if (SPEED_OPTIMIZATIONS.reducedPrecision.enabled || SPEED_OPTIMIZATIONS.turboMode.enabled) {
+        return { ...REDUCED_PRECISION_MATCHING_PARAMS };
+    }
+    return {};
+}
+
 /**
  * Apply speed optimizations to worker analysis
  * @param {Object} workerPayload - The payload being sent to worker
  * @returns {Object} - Modified payload with optimizations
  */
 function applyWorkerOptimizations(workerPayload) {
-    if (SPEED_OPTIMIZATIONS.reducedPrecision.enabled || SPEED_OPTIMIZATIONS.turboMode.enabled) {
-        // Reduce GPS coordinate precision for faster processing
-        workerPayload.precision = 'reduced';
-        workerPayload.tolerance = 15; // meters instead of default 10
-    }
+    // Coarser sampling for faster matching
+    workerPayload.matchingParams = getWorkerMatchingParams();
     
     if (SPEED_OPTIMIZATIONS.skipDetailedCalcs.enabled || SPEED_OPTIMIZATIONS.turboMode.enabled) {
-        // Skip detailed calculations in worker
-        workerPayload.skipElevation = true;
-        workerPayload.skipTime = true;
+        // Skip per-sample progress messages and segment geometry in the worker
+        workerPayload.skipDetailedCalcs = true;
     }
     
     return workerPayload;
 }
 
+/**
+ * Run one activity through the worker with several matching parameter sets and log the results
+ * side by side. Nothing is saved - this is for tuning the speed settings.
+ * @param {string} activityId - Strava activity ID
+ * @param {Object} customParams - Optional extra matching parameters to compare
+ */
+async function compareMatchingParams(activityId, customParams = null) {
+    await swcpDataPromise;
+    if (!analysisWorker || !swcpGeoJSON) {
+        log('Cannot compare matching parameters: analysis worker not ready.', 'error');
+        return;
+    }
+    
+    const stream = await getActivityStream(activityId);
+    if (!stream || !stream.latlng || !stream.latlng.data || stream.latlng.data.length === 0) {
+        log(`No GPS data found for activity ${activityId}.`, 'warn');
+        return;
+    }
+    
+    const paramSets = [
+        { label: 'Default', matchingParams: {} },
+        { label: 'Reduced precision', matchingParams: REDUCED_PRECISION_MATCHING_PARAMS },
+        { label: 'No direction check', matchingParams: { maxHeadingDeviationDegrees: 90 } }
+    ];
+    if (customParams) {
+        paramSets.push({ label: 'Custom', matchingParams: customParams });
+    }
+    
+    log(`Comparing ${paramSets.length} matching parameter sets on activity ${activityId}...`, 'info');
+    analysisWorker.postMessage({
+        type: 'compare_matching',
+        activityId: String(activityId),
+        activityStream: stream.latlng.data,
+        paramSets
+    });
+}
+
+// Make available globally
+window.compareMatchingParams = compareMatchingParams;
+
 /**
  * Apply UI rendering optimizations
  * @param {Array} segments - Map segments to render
@@ -3651,6 +4527,9 @@ function showSpeedOptimizationSettings() {
                 
                 <h3 class="font-semibold text-gray-900 dark:text-white">Worker Analysis Optimizations (0-80%)</h3>
                 ${generateOptimizationToggles(['reducedPrecision', 'batchProcessing', 'skipDetailedCalcs'])}
+                <p class="text-xs text-gray-500 dark:text-gray-400">
+                    Compare matching settings on one activity from the console with <code>compareMatchingParams(activityId)</code>.
+                </p>
                 
                 <h3 class="font-semibold text-gray-900 dark:text-white">UI Rendering Optimizations (80-100%)</h3>
                 ${generateOptimizationToggles(['simplifiedSegments', 'noGlowEffects', 'deferredStats'])}
@@ -3749,41 +4628,39 @@ function loadOptimizationSettings() {
 
 /**
  * Calculate elevation and time stats (used for deferred optimization)
- * Only counts activities that have been analyzed for GPS progress
+ * Only counts the on-path figures saved with each analysed activity in the unified progress;
+ * activities analysed before those were recorded are left out until they are re-analysed
  */
 function calculateDeferredStats() {
     try {
         // Only calculate stats from processed activities (ones that contributed to progress)
-        const processedIds = new Set(JSON.parse(localStorage.getItem(PROCESSED_ACTIVITIES_KEY) || '[]'));
+        const processedIds = new Set(JSON.parse(localStorage.getItem(PROCESSED_ACTIVITIES_KEY) || '[]').map(String));
         
         if (processedIds.size > 0) {
             let totalElevation = 0;
             let totalTime = 0;
             let foundStats = 0;
+            const needsReanalysis = [];
+            const unifiedActivityStats = JSON.parse(localStorage.getItem('swcp_unified_progress') || '{}').activityStats || {};
             
-            // Use saved activity statistics instead of fetched activities (more reliable)
             processedIds.forEach(activityId => {
-                const activityStatsKey = `swcp_activity_stats_${activityId}`;
-                const cachedActivityStats = JSON.parse(localStorage.getItem(activityStatsKey) || 'null');
-                
-                if (cachedActivityStats) {
-                    totalElevation += cachedActivityStats.elevationGain || 0;
-                    totalTime += cachedActivityStats.movingTime || 0;
-                    foundStats++;
-                } else {
-                    // Fallback: try to get from allFetchedActivities if stats not saved
-                    if (allFetchedActivities && allFetchedActivities.length > 0) {
-                        const activity = allFetchedActivities.find(act => String(act.id) === String(activityId));
-                        if (activity) {
-                            totalElevation += activity.total_elevation_gain || 0;
-                            totalTime += activity.moving_time || 0;
-                            foundStats++;
-                            console.log(`⚠️ Using fallback stats for activity ${activityId} (stats not saved)`);
-                        }
-                    }
+                const stats = unifiedActivityStats[activityId];
+                // Without on-path figures the saved stats are the whole activity's, which would over-credit
+                if (!stats || (stats.overlapsRoute && typeof stats.onPathDistance !== 'number')) {
+                    needsReanalysis.push(activityId);
+                    return;
                 }
+                if (stats.overlapsRoute) {
+                    totalElevation += stats.elevation || 0;
+                    totalTime += stats.time || 0;
+                }
+                foundStats++;
             });
             
+            if (needsReanalysis.length > 0) {
+                log(`${needsReanalysis.length} analysed activities have no on-path stats yet and are left out of elevation and time until they are re-analysed.`, 'warn');
+            }
+            
             // Update UI elements
             if (UIElements.elevationGained) {
                 UIElements.elevationGained.textContent = `${Math.round(totalElevation)} m`;
@@ -3825,7 +4702,8 @@ async function cleanStart() {
             log('🧹 Starting clean data reset...', 'warn');
             
             // Clear only progress-related data
-            localStorage.removeItem('swcp_completed_points');
+            localStorage.removeItem(COMPLETED_POINTS_KEY);
+            localStorage.removeItem(COVERAGE_KEY);
             localStorage.removeItem('swcp_processed_activities');
             localStorage.removeItem('swcp_cached_results');
             
@@ -3834,7 +4712,7 @@ async function cleanStart() {
                 log('🔥 Clearing Firebase progress data...', 'warn');
                 try {
                     await firebaseProgressService.saveProgressToFirebase({
-                        completedPoints: [],
+                        coverage: [],
                         processedActivities: [],
                         totalDistance: 0,
                         completedDistance: 0,
@@ -3886,7 +4764,7 @@ async function saveUnifiedProgress(progressData, activityData = null, overlapsRo
         progressData: {
             totalDistance: progressData?.totalDistance,
             percentage: progressData?.percentage,
-            newCompletedPoints: progressData?.newCompletedPoints?.length
+            coverageIntervals: progressData?.coverage?.length
         },
         activityData: activityData ? {
             id: activityData.id,
@@ -3932,11 +4810,16 @@ async function saveUnifiedProgress(progressData, activityData = null, overlapsRo
                 // Route info (calculated once)
                 totalRouteDistance: swcpTotalDistance || 0,
                 
-                // User progress
-                completedPoints: [],
+                // User progress (merged chainage intervals of the route)
+                coverage: [],
                 completedDistance: 0,
                 percentage: 0,
                 
+                // Per-stage breakdown from the worker, and which option of each stage counts
+                stageProgress: [],
+                stageDates: {},
+                variantPreferences: getVariantPreferences(),
+                
                 // Activity tracking
                 analyzedActivityIds: [],
                 activityStats: {},
@@ -3951,29 +4834,23 @@ async function saveUnifiedProgress(progressData, activityData = null, overlapsRo
             };
         }
         
-        // Update progress data
-        unifiedData.completedPoints = progressData.newCompletedPoints || [];
+        // Update progress data (coverage replaces the legacy completedPoints cloud)
+        unifiedData.coverage = progressData.coverage || [];
+        delete unifiedData.completedPoints;
         unifiedData.completedDistance = progressData.totalDistance || 0;
         unifiedData.percentage = parseFloat(progressData.percentage) || 0;
-        unifiedData.totalRouteDistance = swcpTotalDistance || unifiedData.totalRouteDistance;
-        
-        // Update activity data (only if provided and overlaps route)
-        if (activityData && overlapsRoute) {
-            const activityId = String(activityData.id);
-            
-            // Add to analyzed activities if not already there
-            if (!unifiedData.analyzedActivityIds.includes(activityId)) {
-                unifiedData.analyzedActivityIds.push(activityId);
-            }
-            
-            // Save activity stats
-            unifiedData.activityStats[activityId] = {
-                name: activityData.name,
-                elevation: activityData.total_elevation_gain || 0,
-                time: activityData.moving_time || 0,
-                date: activityData.start_date,
-                overlapsRoute: true
-            };
+        unifiedData.totalRouteDistance = progressData.routeDistance || swcpTotalDistance || unifiedData.totalRouteDistance;
+        unifiedData.stageProgress = progressData.stages || unifiedData.stageProgress || [];
+        unifiedData.stageDates = progressData.stageDates || unifiedData.stageDates || {};
+        unifiedData.variantPreferences = unifiedData.variantPreferences || getVariantPreferences();
+        
+        // Update activity data - a single analysed activity, or every activity in a batch result
+        const analyzedActivities = activityData
+            ? [{ activity: activityData, overlapsRoute, onPathStats: progressData.onPathStats, newCoverageKm: progressData.newCoverageKm, coverage: progressData.activityCoverage }]
+            : getBatchResultActivities(progressData);
+        
+        if (analyzedActivities.length > 0) {
+            analyzedActivities.forEach(entry => recordActivityStats(unifiedData, entry.activity, entry.overlapsRoute, entry.onPathStats, entry.newCoverageKm, entry.coverage));
             
             // Recalculate totals from all overlapping activities
             unifiedData.totalElevation = 0;
@@ -3985,20 +4862,6 @@ async function saveUnifiedProgress(progressData, activityData = null, overlapsRo
                     unifiedData.totalTime += stats.time || 0;
                 }
             });
-        } else if (activityData && !overlapsRoute) {
-            // Activity doesn't overlap - still track it but don't include in stats
-            const activityId = String(activityData.id);
-            if (!unifiedData.analyzedActivityIds.includes(activityId)) {
-                unifiedData.analyzedActivityIds.push(activityId);
-            }
-            
-            unifiedData.activityStats[activityId] = {
-                name: activityData.name,
-                elevation: activityData.total_elevation_gain || 0,
-                time: activityData.moving_time || 0,
-                date: activityData.start_date,
-                overlapsRoute: false
-            };
         }
         
         unifiedData.lastUpdated = new Date().toISOString();
@@ -4015,6 +4878,13 @@ async function saveUnifiedProgress(progressData, activityData = null, overlapsRo
             });
             console.log('🔍 SAVE DEBUG: Firebase save result:', firebaseResult);
             console.log('✅ Unified progress saved to Firebase');
+            
+            // Activities the webhook or another device saved meanwhile were merged in; their coverage
+            // is in, but the totals and stage table need working out again
+            if (firebaseResult.success && firebaseResult.addedActivityIds?.length > 0) {
+                unifiedData = firebaseResult.data;
+                recalculateRouteProgress(unifiedData);
+            }
         } else {
             console.log('⚠️ Firebase not enabled, skipping Firebase save');
         }
@@ -4024,10 +4894,12 @@ async function saveUnifiedProgress(progressData, activityData = null, overlapsRo
         console.log('✅ Unified progress saved to localStorage');
         
         // Persist daily totals for heatmap (distance per day)
-        if (activityData) {
+        if (analyzedActivities.length > 0) {
             try {
                 const { writeDailyTotals } = await import('./utils/dailyTotalsWriter.js');
-                await writeDailyTotals(userManager.currentUser?.uid, activityData);
+                for (const entry of analyzedActivities) {
+                    await writeDailyTotals(userManager.currentUser?.uid, entry.activity, entry.overlapsRoute, entry.onPathStats);
+                }
             } catch (err) {
                 console.warn('Failed to write daily totals:', err);
             }
@@ -4041,6 +4913,64 @@ async function saveUnifiedProgress(progressData, activityData = null, overlapsRo
     }
 }
 
+/**
+ * Record an analysed activity in the unified progress structure
+ * @param {Object} unifiedData - Unified progress data being saved
+ * @param {Object} activityData - Activity metadata (name, elevation, time, etc.)
+ * @param {boolean} overlapsRoute - Whether this activity overlaps the main route
+ * @param {Object} onPathStats - Worker totals for the matched stretches only ({ distanceMeters, elevationGain, movingTime, paceSecondsPerKm })
+ * @param {number} newCoverageKm - Route km the activity completed for the first time
+ * @param {Array<Object>} activityCoverage - Coverage intervals the activity matched on its own, so it can be taken out again
+ */
+function recordActivityStats(unifiedData, activityData, overlapsRoute, onPathStats = null, newCoverageKm = null, activityCoverage = null) {
+    const activityId = String(activityData.id);
+    const previousStats = unifiedData.activityStats[activityId];
+    
+    // Add to analyzed activities if not already there
+    if (!unifiedData.analyzedActivityIds.includes(activityId)) {
+        unifiedData.analyzedActivityIds.push(activityId);
+    }
+    
+    // Streams without altitude or time (e.g. files recorded without them) fall back to the activity
+    // totals, scaled down to the share of the activity's distance that was on the path
+    const onPathShare = onPathStats && activityData.distance > 0
+        ? Math.min(onPathStats.distanceMeters / activityData.distance, 1)
+        : 1;
+    
+    // Activities that don't overlap are still tracked but excluded from the totals
+    unifiedData.activityStats[activityId] = {
+        name: activityData.name,
+        elevation: onPathStats?.elevationGain ?? (activityData.total_elevation_gain || 0) * onPathShare,
+        time: onPathStats?.movingTime ?? (activityData.moving_time || 0) * onPathShare,
+        onPathDistance: onPathStats ? onPathStats.distanceMeters : null,
+        pace: onPathStats?.paceSecondsPerKm ?? null,
+        // Re-analysing finds nothing new, so the first analysis keeps the credit
+        newCoverageKm: previousStats?.newCoverageKm ?? newCoverageKm ?? null,
+        date: activityData.start_date,
+        overlapsRoute: !!overlapsRoute,
+        coverage: activityCoverage || previousStats?.coverage || null
+    };
+}
+
+/**
+ * Pair each per-activity outcome of a worker batch result with its activity metadata
+ * @param {Object} progressData - Progress data from worker
+ * @returns {Array<Object>} Entries of { activity, overlapsRoute, onPathStats, newCoverageKm, coverage } (empty for non-batch results)
+ */
+function getBatchResultActivities(progressData) {
+    if (!progressData || !Array.isArray(progressData.activityResults)) return [];
+    
+    return progressData.activityResults
+        .map(result => ({
+            activity: allFetchedActivities.find(act => String(act.id) === String(result.activityId)),
+            overlapsRoute: !!result.activityOverlapsRoute,
+            onPathStats: result.onPathStats || null,
+            newCoverageKm: result.newCoverageKm ?? null,
+            coverage: result.coverage || null
+        }))
+        .filter(entry => entry.activity);
+}
+
 /**
  * Load all progress data from Firebase unified structure
  * @param {boolean} updateUI - Whether to update the UI (default: true)
@@ -4119,17 +5049,26 @@ function updateDashboardFromUnified(unifiedData) {
         currentPercentage = unifiedData.percentage;
         
         // Update localStorage keys for compatibility
-        localStorage.setItem(COMPLETED_POINTS_KEY, JSON.stringify(unifiedData.completedPoints));
         localStorage.setItem(PROCESSED_ACTIVITIES_KEY, JSON.stringify(unifiedData.analyzedActivityIds));
         
         // Render map
-        if (unifiedData.completedPoints && unifiedData.completedPoints.length > 0) {
-            renderMapSegmentsFromPoints(unifiedData.completedPoints);
+        if (unifiedData.coverage) {
+            saveCoverageToStorage(unifiedData.coverage);
+            renderMapSegmentsFromCoverage(unifiedData.coverage);
+        } else if (unifiedData.completedPoints && unifiedData.completedPoints.length > 0) {
+            // Saved before coverage intervals existed: have the worker convert the point cloud once
+            log('🔄 Converting stored progress points to route coverage...', 'info');
+            recalculateRouteProgress(unifiedData);
         }
         
         const overlappingActivities = Object.values(unifiedData.activityStats).filter(stats => stats.overlapsRoute);
         log(`✅ Progress loaded: ${unifiedData.completedDistance.toFixed(2)}km (${unifiedData.percentage.toFixed(2)}%), ${overlappingActivities.length} overlapping activities`, 'success');
         
+        // Per-stage breakdown tile
+        renderStageProgress(unifiedData.stageProgress || []);
+        renderGapPlanner(unifiedData.coverage || [], unifiedData.stageProgress || []);
+        renderElevationProfile(unifiedData.coverage || [], unifiedData.stageProgress || []);
+
         // NEW: Update latest activity tile
         renderLatestProcessedActivity();
 
@@ -4143,6 +5082,522 @@ function updateDashboardFromUnified(unifiedData) {
     }
 }
 
+/**
+ * Get the per-stage first/last completion dates saved with the unified progress
+ * @returns {Object} Map of stage name to { first, last } ISO dates
+ */
+function getStoredStageDates() {
+    try {
+        const unifiedData = JSON.parse(localStorage.getItem('swcp_unified_progress') || '{}');
+        return unifiedData.stageDates || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Get the user's choice of which option counts for each stage with alternatives. The choices are kept
+ * in the unified progress, so they sync with Firebase and the Strava webhook counts the same options;
+ * choices made before that live under VARIANT_PREFERENCES_KEY until the next save moves them across.
+ * @returns {Object} Map of stage name to 'walked' or the name of the section to count
+ */
+function getVariantPreferences() {
+    try {
+        const unifiedData = JSON.parse(localStorage.getItem('swcp_unified_progress') || '{}');
+        return unifiedData.variantPreferences || JSON.parse(localStorage.getItem(VARIANT_PREFERENCES_KEY) || '{}');
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Save which option counts for a stage and recalculate progress against the new canonical route
+ * (the recalculation saves the unified progress, choices included, to Firebase)
+ * @param {string} stageName - Stage name as shown in the Stage Progress tile
+ * @param {string} preference - 'walked' or the name of the section to count
+ */
+function setVariantPreference(stageName, preference) {
+    const preferences = getVariantPreferences();
+    if (preference === 'walked') {
+        delete preferences[stageName];
+    } else {
+        preferences[stageName] = preference;
+    }
+    const unifiedData = JSON.parse(localStorage.getItem('swcp_unified_progress') || 'null');
+    if (unifiedData) {
+        unifiedData.variantPreferences = preferences;
+        localStorage.setItem('swcp_unified_progress', JSON.stringify(unifiedData));
+        localStorage.removeItem(VARIANT_PREFERENCES_KEY);
+    } else {
+        localStorage.setItem(VARIANT_PREFERENCES_KEY, JSON.stringify(preferences));
+    }
+    log(`Stage option updated for ${stageName}. Recalculating progress...`, 'info');
+    recalculateRouteProgress();
+}
+
+/**
+ * Re-run the progress calculation over the stored coverage (no new activity)
+ * @param {Object} unifiedData - Unified progress to recalculate (defaults to the localStorage copy)
+ */
+async function recalculateRouteProgress(unifiedData = null) {
+    await swcpDataPromise;
+    if (!analysisWorker || !swcpGeoJSON) return;
+
+    analysisWorker.postMessage({
+        type: 'process_activity',
+        activityId: 'route_recalculation',
+        activityStream: null,
+        ...getStoredCoverageForWorker(unifiedData),
+        stageDates: getStoredStageDates(),
+        variantPreferences: getVariantPreferences()
+    });
+}
+
+/**
+ * Format an ISO date as DD/MM/YY for the stage table (matches the activity cards)
+ */
+function formatStageDate(isoDate) {
+    if (!isoDate) return '—';
+    const dateObj = new Date(isoDate);
+    if (isNaN(dateObj)) return '—';
+    const day = String(dateObj.getDate()).padStart(2, '0');
+    const month = String(dateObj.getMonth() + 1).padStart(2, '0');
+    const year = String(dateObj.getFullYear()).slice(-2);
+    return `${day}/${month}/${year}`;
+}
+
+/**
+ * Render the Stage Progress tile from the worker's per-stage table
+ * @param {Array<Object>} stages - Rows of { name, lengthKm, completedKm, remainingKm, percentage, firstCompleted, lastCompleted, countedVariant, variantPreference, variants }
+ */
+function renderStageProgress(stages) {
+    const container = UIElements.stageProgressContainer || document.getElementById('stage-progress-container');
+    if (!container) return;
+
+    if (!Array.isArray(stages) || stages.length === 0) {
+        container.innerHTML = '<p class="text-gray-500 text-center text-sm">Stage breakdown will appear once the route has loaded and an activity has been analysed.</p>';
+        return;
+    }
+
+    const stagesStarted = stages.filter(stage => stage.completedKm > 0).length;
+    const stagesComplete = stages.filter(stage => stage.percentage >= 99.5).length;
+
+    container.innerHTML = `
+        <p class="text-xs opacity-80 mb-3">${stagesComplete} of ${stages.length} stages complete · ${stagesStarted} started</p>
+        <div class="stage-progress-list space-y-2">
+            ${stages.map(stage => `
+                <div class="stage-progress-row">
+                    <div class="flex justify-between items-baseline gap-2">
+                        <span class="text-sm font-semibold truncate" title="${stage.name}">${stage.name}</span>
+                        <span class="text-xs whitespace-nowrap">${stage.percentage.toFixed(0)}%</span>
+                    </div>
+                    <div class="stage-progress-bar">
+                        <div class="stage-progress-bar-fill" style="width: ${Math.min(stage.percentage, 100).toFixed(1)}%"></div>
+                    </div>
+                    <div class="flex justify-between text-xs opacity-80">
+                        <span>${stage.completedKm.toFixed(1)} km done · ${stage.remainingKm.toFixed(1)} km left</span>
+                        <span>${stage.firstCompleted ? `${formatStageDate(stage.firstCompleted)} – ${formatStageDate(stage.lastCompleted)}` : 'Not started'}</span>
+                    </div>
+                    ${stage.variants && stage.variants.length > 1 ? `
+                        <label class="flex items-center gap-2 text-xs mt-1">
+                            <span class="opacity-80 whitespace-nowrap">Counts:</span>
+                            <select data-stage-variant="${stage.name}" class="stage-variant-select flex-1 min-w-0">
+                                <option value="walked" ${stage.variantPreference === 'walked' ? 'selected' : ''}>Whichever I walked (${stage.variants.find(v => v.name === stage.countedVariant)?.label || 'Main route'})</option>
+                                ${stage.variants.map(variant => `
+                                    <option value="${variant.name}" ${stage.variantPreference === variant.name ? 'selected' : ''}>${variant.label} · ${variant.lengthKm.toFixed(1)} km</option>
+                                `).join('')}
+                            </select>
+                        </label>
+                    ` : ''}
+                </div>
+            `).join('')}
+        </div>
+    `;
+
+    // Choosing which option counts for a stage recalculates the totals
+    container.onchange = (e) => {
+        const select = e.target.closest('select[data-stage-variant]');
+        if (select) setVariantPreference(select.dataset.stageVariant, select.value);
+    };
+}
+
+/**
+ * Split a stage name such as "Stage 07 Instow to Westward Ho via Bideford" into its named endpoints
+ * @param {string} stageName - Stage name from the route GeoJSON
+ * @returns {Object} { from, to } place names, both null for names that don't follow the pattern
+ */
+function getStageEndpoints(stageName) {
+    const match = stageName.match(/^Stage\s+\d+\s+(.+?)\s+to\s+(.+?)(?:\s+via\s+.+)?$/i);
+    return match ? { from: match[1], to: match[2] } : { from: null, to: null };
+}
+
+/**
+ * Render the Remaining Gaps tile: every uncovered stretch of the counted route with the
+ * stage endpoints to reach it from
+ * @param {Array<Object>} coverage - Merged coverage intervals
+ * @param {Array<Object>} stageRows - Per-stage table from the worker
+ */
+function renderGapPlanner(coverage, stageRows) {
+    const container = UIElements.gapPlannerContainer || document.getElementById('gap-planner-container');
+    if (!container) return;
+
+    if (swcpRouteStages.length === 0) {
+        container.innerHTML = '<p class="text-gray-500 text-center text-sm">Remaining gaps will appear once the route has loaded.</p>';
+        return;
+    }
+
+    remainingGaps = getCoverageGaps(coverage, stageRows);
+    if (remainingGaps.length === 0) {
+        container.innerHTML = '<p class="text-center text-sm">No gaps left - the whole route is complete! 🎉</p>';
+        return;
+    }
+
+    const sorters = {
+        route: () => 0,
+        longest: (a, b) => b.lengthKm - a.lengthKm,
+        shortest: (a, b) => a.lengthKm - b.lengthKm
+    };
+    // Route order is the order getCoverageGaps returns, so keep each gap's index for zooming
+    const rows = remainingGaps.map((gap, index) => ({ gap, index })).sort((a, b) => sorters[gapSortOrder](a.gap, b.gap));
+    const totalKm = remainingGaps.reduce((sum, gap) => sum + gap.lengthKm, 0);
+
+    container.innerHTML = `
+        <div class="flex justify-between items-center gap-2 mb-3">
+            <p class="text-xs opacity-80">${remainingGaps.length} gaps · ${totalKm.toFixed(1)} km left</p>
+            <select id="gap-sort-select" class="stage-variant-select text-xs">
+                <option value="route" ${gapSortOrder === 'route' ? 'selected' : ''}>Route order</option>
+                <option value="longest" ${gapSortOrder === 'longest' ? 'selected' : ''}>Longest first</option>
+                <option value="shortest" ${gapSortOrder === 'shortest' ? 'selected' : ''}>Shortest first</option>
+            </select>
+        </div>
+        <div class="stage-progress-list space-y-2">
+            ${rows.map(({ gap, index }) => {
+                const { from, to } = getStageEndpoints(gap.stage);
+                const toStartKm = gap.stageOffsetKm;
+                const toEndKm = Math.max(gap.stageLengthKm - gap.stageOffsetKm - gap.lengthKm, 0);
+                return `
+                <button type="button" class="gap-planner-row stage-progress-row w-full text-left" data-gap-index="${index}">
+                    <div class="flex justify-between items-baseline gap-2">
+                        <span class="text-sm font-semibold truncate" title="${gap.stage}">${gap.stage}</span>
+                        <span class="text-xs font-semibold whitespace-nowrap">${gap.lengthKm.toFixed(1)} km</span>
+                    </div>
+                    <div class="flex justify-between text-xs opacity-80 gap-2">
+                        <span>km ${gap.startKm.toFixed(1)} – ${gap.endKm.toFixed(1)}${gap.section !== gap.stage ? ' · option' : ''}</span>
+                        <span class="text-right">${from ? `${toStartKm.toFixed(1)} km from ${from}` : ''}${from && to ? ' · ' : ''}${to ? `${toEndKm.toFixed(1)} km to ${to}` : ''}</span>
+                    </div>
+                </button>
+                `;
+            }).join('')}
+        </div>
+    `;
+
+    container.onchange = (e) => {
+        if (e.target.id !== 'gap-sort-select') return;
+        gapSortOrder = e.target.value;
+        renderGapPlanner(coverage, stageRows);
+    };
+    container.onclick = (e) => {
+        const row = e.target.closest('[data-gap-index]');
+        if (row) zoomToGap(remainingGaps[Number(row.dataset.gapIndex)]);
+    };
+}
+
+/**
+ * Highlight a gap on the main map and zoom to it
+ * @param {Object} gap - Entry of remainingGaps
+ */
+function zoomToGap(gap) {
+    if (!mainMap || !gap || !swcpRoute) return;
+
+    const leafletCoords = sliceRoute(swcpRoute, gap.startKm, gap.endKm).map(point => [point[1], point[0]]);
+    if (gapHighlightLayer) gapHighlightLayer.remove();
+    gapHighlightLayer = L.polyline(leafletCoords, {
+        color: '#2563eb',
+        weight: 6,
+        opacity: 0.9,
+        dashArray: '8 6',
+        lineCap: 'round'
+    }).bindTooltip(`${gap.stage}: ${gap.lengthKm.toFixed(1)} km to walk`).addTo(mainMap);
+
+    mainMap.fitBounds(gapHighlightLayer.getBounds(), { padding: [30, 30], maxZoom: 14 });
+    UIElements.mapSection?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+/**
+ * Draw an activity's route on the main map and zoom to it, switching to the dashboard
+ * @param {string|number} activityId - Activity ID
+ */
+function showActivityOnMap(activityId) {
+    const activity = allFetchedActivities.find(act => String(act.id) === String(activityId));
+    if (!mainMap || !activity?.map?.summary_polyline) {
+        log(`No route to show on the map for activity ${activityId}.`, 'warn');
+        return;
+    }
+
+    Navigation.goTo('dashboard');
+    if (activityHighlightLayer) activityHighlightLayer.remove();
+    activityHighlightLayer = L.polyline(polyline.decode(activity.map.summary_polyline), {
+        color: '#fd8640',
+        weight: 5,
+        opacity: 0.9,
+        dashArray: '8 6',
+        lineCap: 'round'
+    }).bindTooltip(activity.name || 'Activity').addTo(mainMap);
+
+    // The dashboard recentres its maps shortly after it is shown, so zoom once that has run
+    setTimeout(() => {
+        mainMap.fitBounds(activityHighlightLayer.getBounds(), { padding: [30, 30], maxZoom: 14 });
+        UIElements.mapSection?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }, 200);
+}
+
+/**
+ * Open the Activities page scrolled to one activity's card, briefly highlighted
+ * @param {string|number} activityId - Activity ID
+ */
+function showActivityInList(activityId) {
+    // A leftover search could hide the card; the type filter is left as the user set it
+    [UIElements.activitySearchBox, UIElements.activitySearchBoxMobile].forEach(box => {
+        if (box) box.value = '';
+    });
+    Navigation.goTo('activities');
+
+    // The page renders its list on a short delay after it is shown
+    setTimeout(() => {
+        renderActivityList(filterActivities());
+        const card = document.querySelector(`button[data-analyze-btn][data-activity-id='${activityId}']`)?.closest('.activity-card');
+        if (!card) {
+            log(`Activity ${activityId} isn't in the activity list (check the type filters).`, 'warn');
+            return;
+        }
+        card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        card.classList.add('activity-card-highlight');
+        setTimeout(() => card.classList.remove('activity-card-highlight'), 2500);
+    }, 150);
+}
+
+window.showActivityOnMap = showActivityOnMap;
+window.showActivityInList = showActivityInList;
+
+/**
+ * Render the Elevation Profile tile for the whole route or one stage, with walked stretches
+ * shaded and per-stage climbing totals
+ * @param {Array<Object>} coverage - Merged coverage intervals
+ * @param {Array<Object>} stageRows - Per-stage table from the worker
+ */
+async function renderElevationProfile(coverage, stageRows) {
+    const container = UIElements.elevationProfileContainer || document.getElementById('elevation-profile-container');
+    if (!container) return;
+
+    if (swcpRouteStages.length === 0 || swcpElevations.length === 0) {
+        container.innerHTML = '<p class="text-gray-500 text-center text-sm">The elevation profile will appear once the route has loaded.</p>';
+        return;
+    }
+
+    const { buildProfile, renderProfileSvg, profilePointAt, profileX } = await import('./utils/elevationProfile.js');
+    const route = { coordinates: swcpRoute.coordinates, chainage: swcpRoute.chainage, elevations: swcpElevations };
+
+    // Climbing per stage along its counted option, with running totals from the start of the path
+    let cumulativeAscent = 0;
+    const stageProfiles = swcpRouteStages.map(stage => {
+        const profile = buildProfile(getCountedRanges(stage, stageRows), route);
+        cumulativeAscent += profile.ascent;
+        return { name: stage.name, profile, cumulativeAscent };
+    });
+
+    const selected = stageProfiles.find(stage => stage.name === elevationProfileStage);
+    const profile = selected
+        ? selected.profile
+        : buildProfile(swcpRouteStages.flatMap(stage => getCountedRanges(stage, stageRows)), route);
+    const totalAscent = stageProfiles.reduce((sum, stage) => sum + stage.profile.ascent, 0);
+    const totalDescent = stageProfiles.reduce((sum, stage) => sum + stage.profile.descent, 0);
+
+    const summary = selected
+        ? `↑ ${Math.round(profile.ascent)} m · ↓ ${Math.round(profile.descent)} m over ${profile.lengthKm.toFixed(1)} km · ${Math.round(selected.cumulativeAscent)} m climbed from the start of the path`
+        : `↑ ${Math.round(totalAscent)} m · ↓ ${Math.round(totalDescent)} m over ${profile.lengthKm.toFixed(1)} km`;
+
+    container.innerHTML = `
+        <select id="elevation-stage-select" class="stage-variant-select text-xs w-full mb-3">
+            <option value="">Whole route</option>
+            ${stageProfiles.map(stage => `
+                <option value="${stage.name}" ${stage.name === elevationProfileStage ? 'selected' : ''}>${stage.name}</option>
+            `).join('')}
+        </select>
+        <div class="elevation-profile-chart">
+            ${renderProfileSvg(profile, coverage)}
+            <div class="elevation-profile-readout hidden"></div>
+        </div>
+        <div class="flex justify-between text-xs opacity-80 mt-1">
+            <span>0 km</span>
+            <span>${Math.round(profile.minElevation)}–${Math.round(profile.maxElevation)} m</span>
+            <span>${profile.lengthKm.toFixed(1)} km</span>
+        </div>
+        <p class="text-xs mt-2">${summary}</p>
+        <div class="flex gap-3 text-xs opacity-80 mt-1">
+            <span><span class="elevation-legend-swatch walked"></span>Walked</span>
+            <span><span class="elevation-legend-swatch"></span>Still to walk</span>
+        </div>
+        ${selected ? '' : `
+            <div class="stage-progress-list elevation-stage-list mt-3">
+                ${stageProfiles.map(stage => `
+                    <div class="flex justify-between gap-2 text-xs py-1">
+                        <span class="truncate" title="${stage.name}">${stage.name}</span>
+                        <span class="whitespace-nowrap">↑ ${Math.round(stage.profile.ascent)} m · ↓ ${Math.round(stage.profile.descent)} m · Σ ↑ ${Math.round(stage.cumulativeAscent)} m</span>
+                    </div>
+                `).join('')}
+            </div>
+        `}
+    `;
+
+    container.onchange = (e) => {
+        if (e.target.id !== 'elevation-stage-select') return;
+        elevationProfileStage = e.target.value;
+        renderElevationProfile(coverage, stageRows);
+    };
+
+    // Hovering the chart moves a cursor line and a marker on the main map to the same spot
+    const chart = container.querySelector('.elevation-profile-chart');
+    const cursor = chart.querySelector('.elevation-profile-cursor');
+    const readout = chart.querySelector('.elevation-profile-readout');
+    if (!cursor) return;
+
+    chart.onpointermove = (e) => {
+        const rect = chart.getBoundingClientRect();
+        const fraction = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+        const point = profilePointAt(profile, fraction * profile.lengthKm);
+        if (!point) return;
+
+        const x = profileX(profile, point.distanceKm);
+        cursor.setAttribute('x1', x);
+        cursor.setAttribute('x2', x);
+        cursor.setAttribute('visibility', 'visible');
+        readout.textContent = `${point.distanceKm.toFixed(1)} km · ${Math.round(point.elevation)} m`;
+        readout.style.left = `${fraction * 100}%`;
+        readout.classList.remove('hidden');
+        showElevationHoverMarker(point.coordinates);
+    };
+    chart.onpointerleave = () => {
+        cursor.setAttribute('visibility', 'hidden');
+        readout.classList.add('hidden');
+        if (elevationHoverMarker) elevationHoverMarker.remove();
+    };
+}
+
+/**
+ * Move the elevation profile's marker on the main map, panning if it has left the view
+ * @param {Array<number>} coordinates - [lng, lat] route vertex
+ */
+function showElevationHoverMarker(coordinates) {
+    if (!mainMap) return;
+    const latLng = [coordinates[1], coordinates[0]];
+
+    if (!elevationHoverMarker) {
+        elevationHoverMarker = L.circleMarker(latLng, {
+            radius: 6,
+            color: '#ffffff',
+            weight: 2,
+            fillColor: '#2563eb',
+            fillOpacity: 1
+        });
+    }
+    elevationHoverMarker.setLatLng(latLng);
+    if (!mainMap.hasLayer(elevationHoverMarker)) elevationHoverMarker.addTo(mainMap);
+    if (!mainMap.getBounds().contains(latLng)) mainMap.panTo(latLng);
+}
+
+/**
+ * Load the user's week, month and year totals and draw the Stats page
+ */
+async function renderStatsPage() {
+    const container = document.getElementById('stats-container');
+    if (!container) return;
+
+    if (!firebaseProgressService?.isEnabled) {
+        container.innerHTML = '<p class="text-gray-500 text-center text-sm">Sign in to see weekly, monthly and yearly stats.</p>';
+        return;
+    }
+
+    if (statsPeriodTotals.length === 0) {
+        container.innerHTML = '<p class="text-gray-500 text-center text-sm">Loading stats...</p>';
+    }
+    const result = await firebaseProgressService.loadPeriodTotals();
+    if (!result.success) {
+        container.innerHTML = `<p class="text-red-600 text-center text-sm">Could not load stats: ${result.error}</p>`;
+        return;
+    }
+    statsPeriodTotals = result.periods;
+
+    const section = document.getElementById('stats-section');
+    if (section) {
+        section.onchange = (e) => {
+            if (e.target.id === 'stats-metric-select') statsMetric = e.target.value;
+            else if (e.target.id === 'stats-period-select') statsPeriodType = e.target.value;
+            else return;
+            drawStatsCharts();
+        };
+    }
+    drawStatsCharts();
+}
+
+/**
+ * Draw the selected metric per period and the year-over-year running totals from the
+ * period totals already loaded
+ */
+async function drawStatsCharts() {
+    const container = document.getElementById('stats-container');
+    if (!container) return;
+
+    if (statsPeriodTotals.length === 0) {
+        container.innerHTML = '<p class="text-gray-500 text-center text-sm">No totals yet. They appear here once analysed activities have been recorded.</p>';
+        return;
+    }
+
+    const { periodSeries, yearOverYear, renderBarChartSvg, renderYearOverYearSvg, yearColour, formatStat, STAT_METRICS } = await import('./utils/periodStats.js');
+    const metric = statsMetric;
+    const periodType = statsPeriodType;
+
+    // Weeks and months cover the last two years or so; years go back to the first recorded one
+    const firstYear = Math.min(...statsPeriodTotals.filter(p => p.period === 'year').map(p => Number(p.id)), new Date().getFullYear());
+    const count = { week: 26, month: 24, year: new Date().getFullYear() - firstYear + 1 }[periodType];
+    const series = periodSeries(statsPeriodTotals, periodType, count);
+    const current = series[series.length - 1];
+    const average = series.slice(0, -1).reduce((sum, entry) => sum + (entry.totals[metric] || 0), 0) / Math.max(series.length - 1, 1);
+
+    // Years are compared week by week in the weekly view and month by month otherwise
+    const comparisonType = periodType === 'week' ? 'week' : 'month';
+    const comparison = yearOverYear(statsPeriodTotals, comparisonType, metric);
+
+    container.innerHTML = `
+        <div class="stats-chart">
+            ${renderBarChartSvg(series, metric)}
+        </div>
+        <div class="flex justify-between text-xs opacity-80 mt-1">
+            <span>${series[0].label}</span>
+            <span>${current.label}</span>
+        </div>
+        <p class="text-xs mt-2">
+            This ${periodType}: ${formatStat(current.totals[metric], metric)}
+            ${series.length > 1 ? ` · average over the previous ${series.length - 1}: ${formatStat(average, metric)}` : ''}
+        </p>
+        <h3 class="text-sm font-semibold mt-5 mb-2">${STAT_METRICS[metric].label}, year over year</h3>
+        <div class="stats-chart">
+            ${renderYearOverYearSvg(comparison)}
+        </div>
+        <div class="flex justify-between text-xs opacity-80 mt-1">
+            <span>${comparisonType === 'week' ? 'Week 1' : 'Jan'}</span>
+            <span>${comparisonType === 'week' ? 'Week 53' : 'Dec'}</span>
+        </div>
+        <div class="flex flex-wrap gap-x-4 gap-y-1 text-xs mt-2">
+            ${comparison.years.map((entry, i) => `
+                <span>
+                    <span class="stats-legend-swatch" style="background: ${yearColour(i)}"></span>
+                    ${entry.year}: ${formatStat(entry.toDate, metric)} by this ${comparisonType}${i === 0 ? '' : ` (${formatStat(entry.total, metric)} in the year)`}
+                </span>
+            `).join('')}
+        </div>
+    `;
+}
+
 /**
  * Debug function to check activity statistics
  */
@@ -4231,7 +5686,7 @@ async function testUnifiedSystem() {
     const testProgressData = {
         totalDistance: 5.5,
         percentage: 0.5,
-        newCompletedPoints: [[1, 2], [3, 4], [5, 6]]
+        coverage: [{ startKm: 1, endKm: 3.5, stage: 'Test stage', activityIds: ['test123'] }]
     };
     
     const testActivityData = {
@@ -4277,24 +5732,20 @@ function debugActivityStatistics() {
     let totalTime = 0;
     let foundStats = 0;
     
+    const unifiedActivityStats = JSON.parse(localStorage.getItem('swcp_unified_progress') || '{}').activityStats || {};
     processedIds.forEach(activityId => {
-        const activityStatsKey = `swcp_activity_stats_${activityId}`;
-        const statsData = localStorage.getItem(activityStatsKey);
-        
-        if (statsData) {
-            try {
-                const stats = JSON.parse(statsData);
-                console.log(`✅ Activity ${activityId} (${stats.name}):`);
-                console.log(`   Elevation: ${stats.elevationGain}m`);
-                console.log(`   Time: ${Math.floor(stats.movingTime/60)}min`);
-                console.log(`   Analyzed: ${stats.analyzedDate}`);
-                
-                totalElevation += stats.elevationGain || 0;
-                totalTime += stats.movingTime || 0;
-                foundStats++;
-            } catch (error) {
-                console.error(`❌ Error parsing stats for ${activityId}:`, error);
+        const stats = unifiedActivityStats[String(activityId)];
+        if (stats) {
+            console.log(`✅ Activity ${activityId} (${stats.name}):`);
+            console.log(`   On path: ${stats.overlapsRoute ? 'yes' : 'no'}, ${typeof stats.onPathDistance === 'number' ? `${(stats.onPathDistance / 1000).toFixed(2)}km` : 'no on-path stats'}`);
+            console.log(`   Elevation: ${stats.elevation}m`);
+            console.log(`   Time: ${Math.floor((stats.time || 0) / 60)}min`);
+            
+            if (stats.overlapsRoute) {
+                totalElevation += stats.elevation || 0;
+                totalTime += stats.time || 0;
             }
+            foundStats++;
         } else {
             console.log(`❌ No stats found for activity ${activityId}`);
         }
@@ -4325,11 +5776,17 @@ window.debugActivityStatistics = debugActivityStatistics;
 
 /**
  * TEMPORARY DEBUG FUNCTION: Reset all activities to "Analyze" status
- * This is a one-off function to test if the fresh start fix works properly
+ * This is a one-off function to test if the fresh start fix works properly.
+ * With batch processing enabled, the previously analysed activities are then
+ * re-analysed from scratch in a single worker call.
  */
 function resetAllActivitiesToAnalyze() {
     console.log('🔄 Resetting all activities to "Analyze" status...');
     
+    // Remember what had been analysed before the reset clears it
+    const analyzedIds = getAnalyzedActivityIds();
+    const previouslyAnalyzed = (allFetchedActivities || []).filter(activity => activity.analyzed || analyzedIds.has(String(activity.id)));
+    
     // Reset in-memory activities
     if (allFetchedActivities && allFetchedActivities.length > 0) {
         allFetchedActivities.forEach(activity => {
@@ -4353,6 +5810,11 @@ function resetAllActivitiesToAnalyze() {
     }
     
     console.log('🎯 All activities reset to "Analyze" status - you can now test the fresh start button');
+    
+    if (isBatchProcessingEnabled() && previouslyAnalyzed.length > 0) {
+        console.log(`📦 Batch processing enabled - re-analysing ${previouslyAnalyzed.length} activities in one worker call`);
+        analyzeActivitiesInBatch(previouslyAnalyzed, { fresh: true });
+    }
 }
 
 // Make the function globally available for console access
@@ -4554,6 +6016,13 @@ const Navigation = {
         }
     },
     
+    // Switch page from code (rather than a tab click), keeping both navs' active tab in step
+    goTo(pageId) {
+        this.showPage(pageId);
+        document.querySelectorAll(`.mobile-nav-tab[data-page="${pageId}"]`).forEach(tab => this.setActiveTab(tab, 'mobile'));
+        document.querySelectorAll(`.desktop-nav-tab[data-page="${pageId}"]`).forEach(tab => this.setActiveTab(tab, 'desktop'));
+    },
+    
     // Set active tab styling
     setActiveTab(activeTab, navType) {
         // Remove active class from all tabs of this type
@@ -4622,8 +6091,14 @@ const Navigation = {
                 }
                 break;
                 
+            case 'stats':
+                // Totals change whenever activities are analysed, so reload them on every visit
+                renderStatsPage();
+                break;
+                
             case 'status':
-                // Status log is already loaded, no special action needed
+                // Status log is already loaded; refresh the quota in case a window has reset since
+                if (stravaScheduler) renderRateLimitStatus(stravaScheduler.status());
                 break;
                 
             case 'settings':
@@ -4683,21 +6158,49 @@ const Navigation = {
             });
         }
         
+        // Settings rebuild of the activity calendar's daily totals
+        const rebuildTotalsBtn = document.getElementById('rebuild-daily-totals-btn');
+        if (rebuildTotalsBtn) {
+            rebuildTotalsBtn.addEventListener('click', () => rebuildDailyTotals(rebuildTotalsBtn));
+        }
+        
         // Settings toggles for preferences
         this.setupSettingsToggles();
+        
+        // Settings activity types that count towards progress
+        const activityTypesSettings = document.getElementById('activity-types-settings');
+        if (activityTypesSettings) {
+            activityTypesSettings.addEventListener('change', () => {
+                const checked = [...activityTypesSettings.querySelectorAll('input:checked')].map(input => input.value);
+                if (checked.length === 0) {
+                    // At least one type has to count; put the last one back
+                    renderActivityTypeSettings();
+                    return;
+                }
+                setAllowedActivityTypes(checked);
+            });
+        }
     },
     
     // Setup settings toggle switches
     setupSettingsToggles() {
-        // Auto-refresh toggle
+        // Automatic analysis of new activities on sync (autoAnalyzeNewActivities)
         const autoRefreshToggle = document.getElementById('auto-refresh-toggle');
         if (autoRefreshToggle) {
-            // Load saved state
-            const autoRefresh = localStorage.getItem('autoRefreshActivities') !== 'false';
-            autoRefreshToggle.checked = autoRefresh;
+            // Same switch as the dark mode toggle; on unless it has been turned off
+            const showAutoRefresh = (enabled) => {
+                const knob = autoRefreshToggle.querySelector('div');
+                autoRefreshToggle.classList.toggle('bg-green-600', enabled);
+                autoRefreshToggle.classList.toggle('bg-gray-300', !enabled);
+                if (knob) knob.classList.toggle('translate-x-6', enabled);
+            };
+            showAutoRefresh(localStorage.getItem('autoRefreshActivities') !== 'false');
             
-            autoRefreshToggle.addEventListener('change', () => {
-                localStorage.setItem('autoRefreshActivities', autoRefreshToggle.checked.toString());
+            autoRefreshToggle.addEventListener('click', () => {
+                const enabled = localStorage.getItem('autoRefreshActivities') === 'false';
+                localStorage.setItem('autoRefreshActivities', enabled.toString());
+                showAutoRefresh(enabled);
+                autoRefreshToggle.blur();
             });
         }
         
@@ -4788,6 +6291,8 @@ const Navigation = {
             darkModeToggle.classList.toggle('bg-gray-300', !active);
             if (knob) knob.classList.toggle('translate-x-6', active);
         }
+        
+        await renderActivityTypeSettings();
     }
 };
 
@@ -4894,7 +6399,7 @@ window.debugNavigation = function() {
 // Test function to cycle through pages
 window.testNavigation = function() {
     console.log('🧪 Testing navigation by cycling through pages...');
-    const pages = ['dashboard', 'activities', 'status', 'settings'];
+    const pages = ['dashboard', 'activities', 'stats', 'status', 'settings'];
     let currentIndex = 0;
     
     const testInterval = setInterval(() => {
@@ -5021,7 +6526,13 @@ async function renderLatestProcessedActivity(attempt = 0) {
 
             // Strava link
             const stravaLink = cardDiv.querySelector('[data-strava-link]');
-            if (stravaLink) stravaLink.href = `https://www.strava.com/activities/${act.id}`;
+            if (stravaLink && isImportedActivity(act)) {
+                stravaLink.removeAttribute('href');
+                stravaLink.className = 'text-gray-500 text-sm';
+                stravaLink.textContent = `Imported from ${act.source_file || 'file'}`;
+            } else if (stravaLink) {
+                stravaLink.href = `https://www.strava.com/activities/${act.id}`;
+            }
 
             // Map
             const mapEl = cardDiv.querySelector('[data-map-id]');
@@ -5091,39 +6602,34 @@ async function unprocessActivity(activity, button) {
         const processedIds = JSON.parse(localStorage.getItem(PROCESSED_ACTIVITIES_KEY) || '[]').filter(id => String(id) !== String(activity.id));
         localStorage.setItem(PROCESSED_ACTIVITIES_KEY, JSON.stringify(processedIds));
 
-        // Update unified progress data – remove activity and clear points so we can rebuild from scratch
-        const unifiedRaw = localStorage.getItem('swcp_unified_progress');
-        if (unifiedRaw) {
-            const unified = JSON.parse(unifiedRaw);
-            unified.analyzedActivityIds = unified.analyzedActivityIds.filter(id => String(id) !== String(activity.id));
-            delete unified.activityStats[String(activity.id)];
-            unified.completedPoints       = [];
-            unified.completedDistance     = 0;
-            unified.percentage            = 0;
-            unified.totalElevation        = 0;
-            unified.totalTime             = 0;
+        // Take the activity out of the unified progress: its stats go, and the coverage is rebuilt from
+        // the intervals the remaining activities matched on their own (removeActivityCoverage, swcp_matching.js)
+        const activityId = String(activity.id);
+        const unified = JSON.parse(localStorage.getItem('swcp_unified_progress') || 'null');
+        if (unified) {
+            unified.coverage = removeActivityCoverage(unified.coverage, unified.activityStats, activityId);
+            unified.analyzedActivityIds = (unified.analyzedActivityIds || []).filter(id => String(id) !== activityId);
+            delete unified.activityStats[activityId];
+            const routeStats = Object.values(unified.activityStats).filter(stats => stats.overlapsRoute);
+            unified.totalElevation = routeStats.reduce((sum, stats) => sum + (stats.elevation || 0), 0);
+            unified.totalTime = routeStats.reduce((sum, stats) => sum + (stats.time || 0), 0);
             localStorage.setItem('swcp_unified_progress', JSON.stringify(unified));
+            saveCoverageToStorage(unified.coverage);
         }
 
-        // Remove unified blob entirely so rebuild starts clean
-        localStorage.removeItem('swcp_unified_progress');
- 
-        // Remove cached stats for activity
-        localStorage.removeItem(`swcp_activity_stats_${activity.id}`);
-
-        // Optionally sync Firebase
+        // Take it out of the stored copy too, so the save after the recalculation doesn't merge it back in
         if (firebaseProgressService && firebaseProgressService.isEnabled) {
             try {
-                await firebaseProgressService.saveProgressToFirebase({ removeActivityId: activity.id });
+                await firebaseProgressService.saveProgressToFirebase({ removeActivityId: activityId });
+                const { removeDailyTotals } = await import('./utils/dailyTotalsWriter.js');
+                await removeDailyTotals(userManager.currentUser?.uid, activity.id);
             } catch (err) {
                 console.warn('Firebase sync failed', err);
             }
         }
 
-        // Refresh UI elements (latest tile will update after rebuild)
- 
         // Mark this activity as not analysed in the in-memory list and refresh the card
-        const idx = Array.isArray(allFetchedActivities) ? allFetchedActivities.findIndex(a => String(a.id) === String(activity.id)) : -1;
+        const idx = Array.isArray(allFetchedActivities) ? allFetchedActivities.findIndex(a => String(a.id) === activityId) : -1;
         if (idx > -1) {
             allFetchedActivities[idx].analyzed = false;
         }
@@ -5133,15 +6639,9 @@ async function unprocessActivity(activity, button) {
             renderActivityList(allFetchedActivities);
         }
 
-        // --------------------------------------------
-        // Re-analyse every remaining processed activity
-        // --------------------------------------------
-        for (const id of processedIds) {
-            const act = allFetchedActivities?.find(a => String(a.id) === String(id));
-            const analyzeBtn = document.querySelector(`button[data-analyze-btn][data-activity-id='${id}']`);
-            if (act && analyzeBtn && !analyzeBtn.disabled) {
-                analyzeSingleActivity(act, analyzeBtn);
-            }
+        // Work out the totals and stage table for the remaining coverage; the result is saved like any other
+        if (unified) {
+            recalculateRouteProgress(unified);
         }
 
         button.textContent = 'Removed';
@@ -5154,6 +6654,57 @@ async function unprocessActivity(activity, button) {
     }
 }
 
+/**
+ * Check the activity calendar's daily totals against the analysed activities on the server,
+ * and rebuild them if they differ and the user agrees
+ * @param {HTMLButtonElement} button - The settings button, disabled while the check runs
+ */
+async function rebuildDailyTotals(button) {
+    const status = document.getElementById('rebuild-daily-totals-status');
+    const showStatus = message => {
+        if (!status) return;
+        status.textContent = message;
+        status.classList.remove('hidden');
+    };
+
+    if (!firebaseProgressService || !firebaseProgressService.isEnabled) {
+        showStatus('Sign in to rebuild your daily totals.');
+        return;
+    }
+
+    button.disabled = true;
+    try {
+        showStatus('Checking daily totals...');
+        const check = await firebaseProgressService.rebuildDailyTotals(true);
+        if (!check.success) throw new Error(check.error);
+        const { differenceCount, differences, periodDifferenceCount = 0 } = check.report;
+        if (differenceCount === 0 && periodDifferenceCount === 0) {
+            showStatus(`✅ All ${check.report.dayCount} days match your ${check.report.activityCount} analysed activities.`);
+            return;
+        }
+
+        const sample = differences.slice(0, 5).map(d => `${d.date}: ${d.storedKm.toFixed(1)} km → ${d.rebuiltKm.toFixed(1)} km`).join('\n');
+        const summary = differenceCount > 0
+            ? `${differenceCount} day(s) in your activity calendar don't match your analysed activities:\n\n${sample}${differenceCount > 5 ? '\n...' : ''}`
+            : `${periodDifferenceCount} weekly, monthly or yearly total(s) don't match your analysed activities.`;
+        if (!confirm(`${summary}\n\nRebuild them now?`)) {
+            showStatus(`${differenceCount} day(s) and ${periodDifferenceCount} period total(s) differ; nothing was changed.`);
+            return;
+        }
+
+        showStatus('Rebuilding daily totals...');
+        const rebuild = await firebaseProgressService.rebuildDailyTotals(false);
+        if (!rebuild.success) throw new Error(rebuild.error);
+        showStatus(`✅ Rebuilt ${rebuild.report.differenceCount} day(s) and ${rebuild.report.periodDifferenceCount} period total(s).`);
+        log(`📅 Rebuilt ${rebuild.report.differenceCount} day(s) and ${rebuild.report.periodDifferenceCount} period total(s) of daily totals`, 'success');
+    } catch (error) {
+        showStatus(`⚠️ Daily totals rebuild failed: ${error.message}`);
+        log('⚠️ Daily totals rebuild failed: ' + error.message, 'error');
+    } finally {
+        button.disabled = false;
+    }
+}
+
 // Load All Activities button (full sync)
 async function loadAllActivities() {
     const loadBtn = UIElements.loadAllActivitiesBtn;
@@ -5165,8 +6716,20 @@ async function loadAllActivities() {
     loadBtn.disabled = true;
 
     try {
-        await fetchAndRenderActivities(true); // forceRefresh = true fetches full history
-        loadBtn.innerHTML = 'All activities loaded';
+        const activities = await fetchAndRenderActivities(true); // forceRefresh = true runs (or resumes) the Strava import
+        const importJob = loadActivityImportJob();
+        loadBtn.innerHTML = importJob && importJob.status !== 'complete' ? 'Import not finished – resume to continue' : 'All activities loaded';
+
+        // Analyse everything not yet analysed in one worker call instead of one round-trip per activity
+        if (isBatchProcessingEnabled() && activities && activities.length > 0) {
+            const analyzedIds = getAnalyzedActivityIds();
+            const unanalyzed = activities.filter(activity => !activity.analyzed && !analyzedIds.has(String(activity.id)));
+            if (unanalyzed.length > 0) {
+                loadBtn.innerHTML = `Analysing ${unanalyzed.length} activities...`;
+                const sent = await analyzeActivitiesInBatch(unanalyzed);
+                loadBtn.innerHTML = `All activities loaded (${sent} sent for analysis)`;
+            }
+        }
     } catch (error) {
         console.error('❌ Error loading all activities:', error);
         loadBtn.innerHTML = 'Load failed – try again';
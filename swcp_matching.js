@@ -0,0 +1,1155 @@
+// swcp_matching.js
+// Route matching for the SWCP: turns GPS streams into coverage intervals along the route
+// and works out per-stage progress. It has no DOM or worker dependencies, so the same code
+// runs in swcp_analysis_worker.js (loaded with importScripts), in the page (a plain script tag,
+// for the route loadSwcpData builds and the map and exports slice coverage from), in the Cloud
+// Functions and in the Node regression tests (loaded with require).
+
+// The worker and the page load Turf as a global before this script. In Node it comes from npm, unless
+// the caller has already set globalThis.turf (this file may sit outside the caller's node_modules).
+// var, not const, so in the worker and the page the declaration reuses that global instead of clashing with it.
+var turf = globalThis.turf || require('@turf/turf');
+
+// Where log output goes; the Cloud Functions swap in their own logger (see setLogger)
+let logger = console;
+
+// Thresholds for determining overlap and sampling
+const DISTANCE_THRESHOLD_METERS = 25; // How close an activity point must be to the SWCP to be considered "on path"
+const ACTIVITY_SAMPLE_INTERVAL_METERS = 50; // How frequently to sample points along the activity line (increased precision from 100 to 50 for more accuracy)
+const SEGMENT_BREAK_THRESHOLD_KM = 0.2; // How far apart matched chainages can be along the SWCP before a coverage interval is considered broken
+const COVERAGE_MERGE_RADIUS_METERS = 200; // How close two coverage intervals in the same section must be to be merged into one
+const INDEX_CELL_SIZE_METERS = 250; // Grid cell size for the route segment index
+const ROUTE_LOCATION_TOLERANCE_METERS = 50; // How far a legacy stored completed point may sit from the route and still be located on it
+const MIN_MATCHED_RUN_METERS = 100; // Shortest contiguous stretch along the SWCP that counts as walked (rejects road crossings and isolated hits)
+const MAX_HEADING_DEVIATION_DEGREES = 45; // How far the activity heading may differ from the path bearing, in either direction of travel
+const MIN_HEADING_AGREEMENT = 0.5; // Share of a stretch's samples that must follow the path bearing for the stretch to count
+const ELEVATION_GAIN_THRESHOLD_METERS = 2; // Climbs smaller than this are ignored when totalling on-path elevation gain
+const MOVING_SPEED_THRESHOLD_MS = 0.3; // Slower than this between stream points counts as stopped
+const MAX_MOVING_GAP_SECONDS = 300; // Longer gaps between stream points (pauses, lost signal) never count as moving
+const LEGACY_COVERAGE_ID = 'legacy-points'; // Stands in for the unrecorded activities behind coverage converted from legacy points
+
+// Defaults for the matching parameters a caller can override (see resolveMatchingParams)
+const DEFAULT_MATCHING_PARAMS = {
+    distanceThresholdMeters: DISTANCE_THRESHOLD_METERS,
+    sampleIntervalMeters: ACTIVITY_SAMPLE_INTERVAL_METERS,
+    mergeRadiusMeters: COVERAGE_MERGE_RADIUS_METERS,
+    segmentBreakKm: SEGMENT_BREAK_THRESHOLD_KM,
+    minRunMeters: MIN_MATCHED_RUN_METERS,
+    maxHeadingDeviationDegrees: MAX_HEADING_DEVIATION_DEGREES,
+    minHeadingAgreement: MIN_HEADING_AGREEMENT
+};
+
+/**
+ * Fills in a caller's matching parameters, falling back to the defaults for anything
+ * missing or not a positive number.
+ * @param {Object} matchingParams - Partial { distanceThresholdMeters, sampleIntervalMeters, mergeRadiusMeters, segmentBreakKm,
+ *   minRunMeters, maxHeadingDeviationDegrees, minHeadingAgreement }.
+ * @returns {Object} Complete matching parameters.
+ */
+function resolveMatchingParams(matchingParams) {
+    const resolved = { ...DEFAULT_MATCHING_PARAMS };
+    if (!matchingParams) return resolved;
+
+    Object.keys(DEFAULT_MATCHING_PARAMS).forEach(key => {
+        const value = Number(matchingParams[key]);
+        if (matchingParams[key] !== undefined && Number.isFinite(value) && value > 0) {
+            resolved[key] = value;
+        }
+    });
+    return resolved;
+}
+
+/**
+ * Calculates the cumulative distance along a line at every vertex.
+ * @param {Array<Array<number>>} coordinates - [longitude, latitude] line coordinates.
+ * @returns {Array<number>} Chainage in kilometers, one entry per vertex.
+ */
+function buildChainage(coordinates) {
+    const chainage = [0];
+    for (let i = 1; i < coordinates.length; i++) {
+        chainage.push(chainage[i - 1] + turf.distance(coordinates[i - 1], coordinates[i], { units: 'kilometers' }));
+    }
+    return chainage;
+}
+
+/**
+ * Builds a uniform grid over the route segments. Coordinates are projected to local metres
+ * (equirectangular around the route's mean latitude), which is accurate to well under a metre
+ * at the distances the matching works with. Only segments inside named sections are indexed,
+ * so the straight jumps between features in the flattened line can never be matched.
+ * @param {Array<Array<number>>} coordinates - Flattened [longitude, latitude] SWCP coordinates.
+ * @param {Array<Object>} sections - Route sections from buildRouteModel ({ startIndex, endIndex } are used).
+ * @returns {Object} Index of { cellSize, metersPerDegreeLon, metersPerDegreeLat, projected, cells }.
+ */
+function buildSpatialIndex(coordinates, sections = []) {
+    const meanLat = coordinates.reduce((sum, c) => sum + c[1], 0) / coordinates.length;
+    const metersPerDegreeLat = 110574;
+    const metersPerDegreeLon = 111320 * Math.cos(meanLat * Math.PI / 180);
+    const projected = coordinates.map(c => [c[0] * metersPerDegreeLon, c[1] * metersPerDegreeLat]);
+    const cells = new Map();
+
+    // Without a route model, fall back to indexing the whole line
+    const ranges = sections.length > 0
+        ? sections.map(section => [section.startIndex, section.endIndex])
+        : [[0, coordinates.length - 1]];
+
+    ranges.forEach(([startIndex, endIndex]) => {
+        for (let i = startIndex; i < endIndex; i++) {
+            const [ax, ay] = projected[i];
+            const [bx, by] = projected[i + 1];
+            const minX = Math.floor(Math.min(ax, bx) / INDEX_CELL_SIZE_METERS);
+            const maxX = Math.floor(Math.max(ax, bx) / INDEX_CELL_SIZE_METERS);
+            const minY = Math.floor(Math.min(ay, by) / INDEX_CELL_SIZE_METERS);
+            const maxY = Math.floor(Math.max(ay, by) / INDEX_CELL_SIZE_METERS);
+            for (let cx = minX; cx <= maxX; cx++) {
+                for (let cy = minY; cy <= maxY; cy++) {
+                    const key = `${cx},${cy}`;
+                    if (!cells.has(key)) cells.set(key, []);
+                    cells.get(key).push(i);
+                }
+            }
+        }
+    });
+
+    logger.log(`Matching: Spatial index built with ${cells.size} cells.`);
+    return { cellSize: INDEX_CELL_SIZE_METERS, metersPerDegreeLon, metersPerDegreeLat, projected, cells };
+}
+
+/**
+ * Finds the nearest point on the route to a coordinate using the spatial index.
+ * @param {Object} route - Route from createRoute.
+ * @param {Array<number>} lonLat - [longitude, latitude] point.
+ * @param {number} maxDistanceMeters - Search radius; points further from the route return null.
+ * @returns {Object|null} { coordinates: [lon, lat] on the route, distanceMeters, locationKm (chainage), index (segment start vertex) }.
+ */
+function nearestOnRoute(route, lonLat, maxDistanceMeters) {
+    const { cellSize, metersPerDegreeLon, metersPerDegreeLat, projected, cells } = route.index;
+    const x = lonLat[0] * metersPerDegreeLon;
+    const y = lonLat[1] * metersPerDegreeLat;
+    const cellX = Math.floor(x / cellSize);
+    const cellY = Math.floor(y / cellSize);
+    const reach = Math.ceil(maxDistanceMeters / cellSize);
+
+    let best = null;
+    const checked = new Set();
+    for (let cx = cellX - reach; cx <= cellX + reach; cx++) {
+        for (let cy = cellY - reach; cy <= cellY + reach; cy++) {
+            const bucket = cells.get(`${cx},${cy}`);
+            if (!bucket) continue;
+            for (const i of bucket) {
+                if (checked.has(i)) continue;
+                checked.add(i);
+
+                // Project the point onto segment i -> i+1
+                const [ax, ay] = projected[i];
+                const [bx, by] = projected[i + 1];
+                const dx = bx - ax;
+                const dy = by - ay;
+                const lengthSq = dx * dx + dy * dy;
+                const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((x - ax) * dx + (y - ay) * dy) / lengthSq)) : 0;
+                const distance = Math.hypot(x - (ax + t * dx), y - (ay + t * dy));
+
+                if (distance <= maxDistanceMeters && (!best || distance < best.distanceMeters)) {
+                    best = { index: i, t, distanceMeters: distance };
+                }
+            }
+        }
+    }
+    if (!best) return null;
+
+    const a = route.coordinates[best.index];
+    const b = route.coordinates[best.index + 1];
+    return {
+        coordinates: [a[0] + best.t * (b[0] - a[0]), a[1] + best.t * (b[1] - a[1])],
+        distanceMeters: best.distanceMeters,
+        locationKm: route.chainage[best.index] + best.t * (route.chainage[best.index + 1] - route.chainage[best.index]),
+        index: best.index
+    };
+}
+
+/**
+ * Samples points at a fixed spacing along a line in a single pass (turf.along restarts from
+ * the beginning of the line on every call).
+ * @param {Array<Array<number>>} coordinates - [longitude, latitude] line coordinates.
+ * @param {number} intervalMeters - Spacing between samples.
+ * @param {Array<number>} streamIndices - Optional array that receives each sample's fractional vertex index
+ *   (e.g. 4.5 is halfway between vertices 4 and 5), for mapping samples back to the original streams.
+ * @returns {Array<Array<number>>} Sampled [longitude, latitude] points, starting with the first vertex.
+ */
+function sampleAlongLine(coordinates, intervalMeters, streamIndices = null) {
+    const samples = [coordinates[0]];
+    if (streamIndices) streamIndices.push(0);
+    let distanceToNextSample = intervalMeters;
+
+    for (let i = 1; i < coordinates.length; i++) {
+        const a = coordinates[i - 1];
+        const b = coordinates[i];
+        const segmentLength = turf.distance(a, b, { units: 'meters' });
+        let position = distanceToNextSample;
+        while (position <= segmentLength) {
+            const t = position / segmentLength;
+            samples.push([a[0] + t * (b[0] - a[0]), a[1] + t * (b[1] - a[1])]);
+            if (streamIndices) streamIndices.push(i - 1 + t);
+            position += intervalMeters;
+        }
+        distanceToNextSample = position - segmentLength;
+    }
+    return samples;
+}
+
+/**
+ * Finds the route vertex at or before a chainage (binary search over route.chainage).
+ * @param {Object} route - Route from createRoute.
+ * @param {number} locationKm - Distance along the SWCP line in kilometers.
+ * @returns {number} Index of the start vertex of the route segment containing the chainage.
+ */
+function chainageIndex(route, locationKm) {
+    let low = 0;
+    let high = route.chainage.length - 2;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (route.chainage[mid] <= locationKm) low = mid;
+        else high = mid - 1;
+    }
+    return low;
+}
+
+/**
+ * Cuts the stretch of route between two chainages, interpolating the end points.
+ * @param {Object} route - Route from createRoute.
+ * @param {number} startKm - Chainage where the stretch starts.
+ * @param {number} endKm - Chainage where the stretch ends.
+ * @returns {Array<Array<number>>} [longitude, latitude] coordinates along the route.
+ */
+function sliceRoute(route, startKm, endKm) {
+    const coordinates = route.coordinates;
+    const pointAt = (locationKm, i) => {
+        const span = route.chainage[i + 1] - route.chainage[i];
+        const t = span > 0 ? Math.max(0, Math.min(1, (locationKm - route.chainage[i]) / span)) : 0;
+        const a = coordinates[i];
+        const b = coordinates[i + 1];
+        return [a[0] + t * (b[0] - a[0]), a[1] + t * (b[1] - a[1])];
+    };
+
+    const startIndex = chainageIndex(route, startKm);
+    const endIndex = chainageIndex(route, endKm);
+    const line = [pointAt(startKm, startIndex)];
+    for (let i = startIndex + 1; i <= endIndex; i++) {
+        line.push([coordinates[i][0], coordinates[i][1]]);
+    }
+    line.push(pointAt(endKm, endIndex));
+    return line;
+}
+
+/**
+ * Builds the route model: every named section (a stage's main route or one of its
+ * alternative options) gets a chainage range along the flattened SWCP line, and each
+ * option records the stretch of its main route that it replaces.
+ * @param {Array<Array<number>>} coordinates - Flattened [longitude, latitude] SWCP coordinates.
+ * @param {Array<number>} chainage - Chainage of every vertex, from buildChainage.
+ * @param {Array<Object>} stages - Array of { name, sections: [{ name, label, startIndex, endIndex }] }, main route first.
+ * @returns {Object} { sections: every section in route order, stages: [{ name, sections }] in stage order }.
+ */
+function buildRouteModel(coordinates, chainage, stages) {
+    const isValidRange = section => section.endIndex > section.startIndex && section.endIndex < chainage.length;
+
+    const routeSections = [];
+    const routeStages = stages
+        .map(stage => ({ name: stage.name, sections: (stage.sections || []).filter(isValidRange) }))
+        .filter(stage => stage.sections.length > 0)
+        .map((stage, stageIndex) => {
+            const sections = stage.sections.map(section => {
+                const routeSection = {
+                    index: routeSections.length,
+                    stageIndex,
+                    name: section.name,
+                    label: section.label,
+                    startIndex: section.startIndex,
+                    endIndex: section.endIndex,
+                    startKm: chainage[section.startIndex],
+                    endKm: chainage[section.endIndex],
+                    lengthKm: chainage[section.endIndex] - chainage[section.startIndex]
+                };
+                routeSections.push(routeSection);
+                return routeSection;
+            });
+
+            // Options rejoin the main route, so find the stretch of main route each one bypasses
+            const main = sections[0];
+            const mainLine = turf.lineString(coordinates.slice(main.startIndex, main.endIndex + 1));
+            sections.slice(1).forEach(option => {
+                const from = turf.nearestPointOnLine(mainLine, turf.point(coordinates[option.startIndex])).properties.location;
+                const to = turf.nearestPointOnLine(mainLine, turf.point(coordinates[option.endIndex])).properties.location;
+                option.replacesFromKm = main.startKm + Math.min(from, to);
+                option.replacesToKm = main.startKm + Math.max(from, to);
+            });
+
+            return { name: stage.name, sections };
+        });
+
+    // Sections are looked up by chainage, so keep them in route order
+    routeSections.sort((a, b) => a.startKm - b.startKm);
+    return { sections: routeSections, stages: routeStages };
+}
+
+/**
+ * Builds everything the matching needs to know about the route. Every other function that
+ * takes a route expects the object returned here.
+ * @param {Array<Array<number>>} coordinates - Flattened [longitude, latitude] SWCP coordinates.
+ * @param {Array<Object>} stages - Array of { name, sections: [{ name, label, startIndex, endIndex }] }, main route first.
+ * @param {number} totalDistance - Length of the SWCP in kilometers, used when no stages are given.
+ * @returns {Object} { coordinates, chainage, sections, stages, index, totalDistance }.
+ */
+function createRoute(coordinates, stages, totalDistance) {
+    const chainage = buildChainage(coordinates);
+    const model = buildRouteModel(coordinates, chainage, stages || []);
+    return {
+        coordinates,
+        chainage,
+        sections: model.sections,
+        stages: model.stages,
+        index: buildSpatialIndex(coordinates, model.sections),
+        totalDistance
+    };
+}
+
+/**
+ * Finds the route section containing a given chainage. Chainage on the joins between
+ * sections (where the flattened line jumps from one feature to the next) belongs to none.
+ * @param {Object} route - Route from createRoute.
+ * @param {number} locationKm - Distance along the SWCP line in kilometers.
+ * @returns {Object|null} The matching entry of route.sections, or null.
+ */
+function findSection(route, locationKm) {
+    for (const section of route.sections) {
+        if (section.startKm > locationKm) break;
+        if (locationKm <= section.endKm) return section;
+    }
+    return null;
+}
+
+/**
+ * Turns matched chainages into coverage intervals. Sorted chainages no further apart than
+ * the segment break distance join the same interval, and an interval never spans two sections.
+ * @param {Object} route - Route from createRoute.
+ * @param {Array<number>} locationsKm - Chainages (km along the SWCP line) of matched points.
+ * @param {Array<string>} activityIds - Activities credited with this coverage.
+ * @param {Object} params - Matching parameters (segmentBreakKm is used).
+ * @returns {Array<Object>} Intervals of { startKm, endKm, stage (section name), activityIds }.
+ */
+function buildCoverage(route, locationsKm, activityIds, params = DEFAULT_MATCHING_PARAMS) {
+    const sorted = locationsKm.slice().sort((a, b) => a - b);
+    const coverage = [];
+    let current = null;
+
+    sorted.forEach(locationKm => {
+        const section = findSection(route, locationKm);
+        const stage = section ? section.name : null;
+        if (current && current.stage === stage && locationKm - current.endKm <= params.segmentBreakKm) {
+            current.endKm = locationKm;
+            return;
+        }
+        // A single isolated point covers no distance, so it is dropped
+        if (current && current.endKm > current.startKm) coverage.push(current);
+        current = { startKm: locationKm, endKm: locationKm, stage, activityIds: activityIds.slice() };
+    });
+    if (current && current.endKm > current.startKm) coverage.push(current);
+
+    return coverage;
+}
+
+/**
+ * Converts a legacy completedPoints cloud into coverage intervals. The activities that
+ * produced those points were never recorded, so the intervals are credited to LEGACY_COVERAGE_ID;
+ * that keeps the legacy progress when an activity merged into the same stretch is removed later.
+ * @param {Object} route - Route from createRoute.
+ * @param {Array<Array<number>>} points - [longitude, latitude] points on the SWCP.
+ * @returns {Array<Object>} Coverage intervals.
+ */
+function coverageFromPoints(route, points) {
+    const locations = [];
+    points.forEach(point => {
+        // Points no longer near an indexed section (e.g. matched on a join between features by older versions) are skipped
+        const nearest = Array.isArray(point) ? nearestOnRoute(route, point, ROUTE_LOCATION_TOLERANCE_METERS) : null;
+        if (nearest) locations.push(nearest.locationKm);
+    });
+    logger.log(`Matching: Converted ${points.length} legacy completed points (${locations.length} located on the route) to coverage.`);
+    return buildCoverage(route, locations, [LEGACY_COVERAGE_ID]);
+}
+
+/**
+ * Merges coverage intervals into a sorted, non-overlapping list. Intervals in the same
+ * section that overlap or sit within the merge radius of each other are joined
+ * and their activity IDs combined.
+ * @param {Array<Object>} intervals - Coverage intervals in any order.
+ * @param {Object} params - Matching parameters (mergeRadiusMeters is used).
+ * @returns {Array<Object>} Merged intervals with chainages rounded to the metre.
+ */
+function mergeCoverage(intervals, params = DEFAULT_MATCHING_PARAMS) {
+    const mergeRadiusKm = params.mergeRadiusMeters / 1000;
+    const sorted = intervals
+        .filter(interval => interval && Number.isFinite(interval.startKm) && Number.isFinite(interval.endKm) && interval.endKm > interval.startKm)
+        .sort((a, b) => a.startKm - b.startKm);
+
+    const merged = [];
+    sorted.forEach(interval => {
+        const last = merged[merged.length - 1];
+        if (last && last.stage === interval.stage && interval.startKm - last.endKm <= mergeRadiusKm) {
+            last.endKm = Math.max(last.endKm, interval.endKm);
+            (interval.activityIds || []).forEach(id => {
+                if (!last.activityIds.includes(id)) last.activityIds.push(id);
+            });
+        } else {
+            merged.push({
+                startKm: interval.startKm,
+                endKm: interval.endKm,
+                stage: interval.stage || null,
+                activityIds: (interval.activityIds || []).slice()
+            });
+        }
+    });
+
+    return merged.map(interval => ({
+        ...interval,
+        startKm: Math.round(interval.startKm * 1000) / 1000,
+        endKm: Math.round(interval.endKm * 1000) / 1000
+    }));
+}
+
+/**
+ * Total length of a list of coverage intervals.
+ * @param {Array<Object>} coverage - Merged coverage intervals.
+ * @returns {number} Kilometres, rounded to the metre.
+ */
+function coverageLengthKm(coverage) {
+    return Math.round(coverage.reduce((sum, interval) => sum + (interval.endKm - interval.startKm), 0) * 1000) / 1000;
+}
+
+/**
+ * How much of the route an activity walked for the first time.
+ * @param {Array<Object>} completedCoverage - Merged coverage completed before the activity.
+ * @param {Array<Object>} activityCoverage - Coverage intervals matched for the activity.
+ * @param {Object} params - Matching parameters, as passed to mergeCoverage.
+ * @returns {Object} { coverage, gainedKm } with the merged coverage after the activity.
+ */
+function addCoverage(completedCoverage, activityCoverage, params) {
+    const coverage = mergeCoverage(completedCoverage.concat(activityCoverage), params);
+    const gainedKm = Math.max(Math.round((coverageLengthKm(coverage) - coverageLengthKm(completedCoverage)) * 1000) / 1000, 0);
+    return { coverage, gainedKm };
+}
+
+/**
+ * Takes one activity back out of merged coverage by rebuilding it from the intervals every
+ * remaining activity matched on its own (kept in activityStats[id].coverage). Intervals credited
+ * to LEGACY_COVERAGE_ID, to nobody, or to an activity analysed before its own intervals were kept
+ * can't be rebuilt, so they are kept as they are.
+ * @param {Array<Object>} coverage - Merged coverage including the activity.
+ * @param {Object} activityStats - Map of activity ID to stats, including the activity's own coverage.
+ * @param {string} activityId - ID of the activity to take out.
+ * @param {Object} params - Matching parameters, as passed to mergeCoverage.
+ * @returns {Array<Object>} Merged coverage without the activity.
+ */
+function removeActivityCoverage(coverage, activityStats, activityId, params = DEFAULT_MATCHING_PARAMS) {
+    const removedId = String(activityId);
+    const hasOwnCoverage = id => Array.isArray((activityStats[id] || {}).coverage);
+
+    const kept = [];
+    (coverage || []).forEach(interval => {
+        const ids = (interval.activityIds || []).map(String);
+        const others = ids.filter(id => id !== removedId);
+        if (ids.length === 0 || ids.includes(LEGACY_COVERAGE_ID) || others.some(id => !hasOwnCoverage(id))) {
+            kept.push({ ...interval, activityIds: others });
+        }
+    });
+    Object.entries(activityStats).forEach(([id, stats]) => {
+        if (id !== removedId && hasOwnCoverage(id)) kept.push(...stats.coverage);
+    });
+    return mergeCoverage(kept, params);
+}
+
+/**
+ * Extends the first/last completion dates of every section touched by an activity.
+ * @param {Object} route - Route from createRoute.
+ * @param {Object} stageDates - Existing map of section name to { first, last } ISO dates.
+ * @param {Array<Object>} activityCoverage - Coverage intervals matched for the activity.
+ * @param {string} activityDate - ISO start date of the activity.
+ * @returns {Object} Updated map of section name to { first, last }.
+ */
+function updateStageDates(route, stageDates, activityCoverage, activityDate) {
+    const updated = { ...stageDates };
+    if (!activityDate || activityCoverage.length === 0 || route.sections.length === 0) {
+        return updated;
+    }
+
+    const touchedSections = new Set(activityCoverage.map(interval => interval.stage).filter(Boolean));
+
+    touchedSections.forEach(name => {
+        const existing = updated[name];
+        updated[name] = {
+            first: existing && existing.first < activityDate ? existing.first : activityDate,
+            last: existing && existing.last > activityDate ? existing.last : activityDate
+        };
+    });
+    return updated;
+}
+
+/**
+ * Works out which option of a stage counts towards progress.
+ * @param {Array<Object>} options - Candidate { name, lengthKm, completedKm } options, main route first.
+ * @param {string} preference - 'walked' to count whichever option has the most completed distance,
+ *   otherwise the name of the section to always count.
+ * @returns {Object} The counted option.
+ */
+function chooseCountedOption(options, preference) {
+    if (preference && preference !== 'walked') {
+        const chosen = options.find(option => option.name === preference);
+        if (chosen) return chosen;
+    }
+    // Ties (including nothing walked yet) fall back to the main route
+    return options.reduce((best, option) => option.completedKm > best.completedKm ? option : best, options[0]);
+}
+
+/**
+ * Builds the per-stage progress table. Each stage counts either its main route or the main
+ * route with one alternative option swapped in for the stretch it bypasses.
+ * @param {Object} route - Route from createRoute.
+ * @param {Array<number>} completedKmBySection - Completed kilometers indexed by section index.
+ * @param {Array<number>} bypassedKmBySection - For each option, completed kilometers of main route inside the stretch it bypasses.
+ * @param {Object} stageDates - Map of section name to { first, last } ISO dates.
+ * @param {Object} variantPreferences - Map of stage name to 'walked' or a section name.
+ * @returns {Array<Object>} One row per stage in route order.
+ */
+function buildStageTable(route, completedKmBySection, bypassedKmBySection, stageDates, variantPreferences) {
+    return route.stages.map(stage => {
+        const main = stage.sections[0];
+        // Intervals are clipped to their section, but rounding can push them a metre over
+        const completedOf = section => Math.min(completedKmBySection[section.index] || 0, section.lengthKm);
+
+        const options = stage.sections.map(section => {
+            if (section === main) {
+                return {
+                    name: main.name,
+                    label: 'Main route',
+                    lengthKm: main.lengthKm,
+                    completedKm: completedOf(main),
+                    ranges: [{ startKm: main.startKm, endKm: main.endKm }]
+                };
+            }
+            const bypassedLength = section.replacesToKm - section.replacesFromKm;
+            const bypassedCompleted = Math.min(bypassedKmBySection[section.index] || 0, bypassedLength);
+            return {
+                name: section.name,
+                label: section.label,
+                lengthKm: main.lengthKm - bypassedLength + section.lengthKm,
+                completedKm: Math.max(completedOf(main) - bypassedCompleted, 0) + completedOf(section),
+                // Walked in order: main route up to the turn-off, the option, then main route again
+                ranges: [
+                    { startKm: main.startKm, endKm: section.replacesFromKm },
+                    { startKm: section.startKm, endKm: section.endKm },
+                    { startKm: section.replacesToKm, endKm: main.endKm }
+                ].filter(range => range.endKm > range.startKm)
+            };
+        });
+
+        const preference = variantPreferences[stage.name] || 'walked';
+        const counted = chooseCountedOption(options, preference);
+
+        // A stage's dates span every option walked within it
+        const dates = stage.sections.map(section => stageDates[section.name]).filter(Boolean);
+        const firstDates = dates.map(d => d.first).sort();
+        const lastDates = dates.map(d => d.last).sort();
+
+        return {
+            name: stage.name,
+            lengthKm: counted.lengthKm,
+            completedKm: counted.completedKm,
+            remainingKm: Math.max(counted.lengthKm - counted.completedKm, 0),
+            percentage: counted.lengthKm > 0 ? (counted.completedKm / counted.lengthKm) * 100 : 0,
+            firstCompleted: firstDates[0] || null,
+            lastCompleted: lastDates[lastDates.length - 1] || null,
+            countedVariant: counted.name,
+            countedRanges: counted.ranges, // Chainage ranges of the counted option, for gap analysis and export
+            variantPreference: preference,
+            variants: options
+        };
+    });
+}
+
+/**
+ * Length of the canonical route: the counted option of every stage, or the whole line if no stages are loaded.
+ * @param {Object} route - Route from createRoute.
+ * @param {Array<Object>} stages - Per-stage table from buildStageTable.
+ * @returns {number} Route length in kilometers.
+ */
+function getRouteDistance(route, stages) {
+    return stages.length > 0 ? stages.reduce((sum, stage) => sum + stage.lengthKm, 0) : route.totalDistance;
+}
+
+/**
+ * Matches an activity against the SWCP: samples within the distance threshold are found,
+ * then only contiguous stretches that follow the path are kept.
+ * @param {Object} route - Route from createRoute.
+ * @param {Array<Array<number>>} activityStream - Array of [latitude, longitude] pairs from Strava (may be empty).
+ * @param {string} activityId - The ID of the activity.
+ * @param {Function|null} onProgress - Called with the percentage of samples checked, or null for no progress reports.
+ * @param {Object} params - Matching parameters.
+ * @param {Object} streams - Optional { altitude, time } Strava streams aligned with activityStream.
+ * @returns {Object} { points, stretches, rejectedSampleCount, coverage, onPathStats } where coverage holds this
+ *   activity's intervals and onPathStats its climbing and timing on the matched stretches only.
+ */
+function matchActivity(route, activityStream, activityId, onProgress, params, streams = {}) {
+    const candidates = activityStream && activityStream.length > 0
+        ? findOverlappingPoints(route, activityStream, activityId, onProgress, params)
+        : [];
+    const match = findMatchedStretches(route, candidates, params);
+    match.coverage = buildCoverage(route, match.points.map(p => p.locationKm), [String(activityId)], params);
+    match.onPathStats = activityStream && activityStream.length > 0
+        ? computeOnPathStats(activityStream, match.streamRanges, streams)
+        : null;
+
+    if (match.rejectedSampleCount > 0) {
+        logger.log(`Matching: Rejected ${match.rejectedSampleCount} near-path samples for activity ${activityId} (crossings, isolated hits or off-bearing).`);
+    }
+    return match;
+}
+
+/**
+ * Totals distance, elevation gain and moving time over the parts of an activity that matched
+ * the path, so a short coastal stretch of a long inland walk isn't credited with the whole climb.
+ * @param {Array<Array<number>>} activityStream - Array of [latitude, longitude] pairs from Strava.
+ * @param {Array<Object>} streamRanges - { from, to } fractional stream indices of the matched stretches.
+ * @param {Object} streams - { altitude, time } Strava stream data (metres, seconds from start); either may be missing.
+ * @returns {Object} { distanceMeters, elevationGain, movingTime, elapsedTime, paceSecondsPerKm }, where values that
+ *   need a missing stream are null.
+ */
+function computeOnPathStats(activityStream, streamRanges, streams = {}) {
+    const aligned = data => Array.isArray(data) && data.length === activityStream.length ? data : null;
+    const altitude = aligned(streams.altitude);
+    const time = aligned(streams.time);
+
+    let distanceMeters = 0;
+    let elevationGain = 0;
+    let movingTime = 0;
+    let elapsedTime = 0;
+
+    streamRanges.forEach(range => {
+        const first = Math.floor(range.from);
+        const last = Math.min(Math.ceil(range.to), activityStream.length - 1);
+        let elevationReference = null;
+
+        for (let i = first; i <= last; i++) {
+            // Count a climb only once it exceeds the threshold above the lowest point since the last climb
+            if (altitude && Number.isFinite(altitude[i])) {
+                if (elevationReference === null || altitude[i] < elevationReference) {
+                    elevationReference = altitude[i];
+                } else if (altitude[i] - elevationReference >= ELEVATION_GAIN_THRESHOLD_METERS) {
+                    elevationGain += altitude[i] - elevationReference;
+                    elevationReference = altitude[i];
+                }
+            }
+            if (i === first) continue;
+
+            const previous = activityStream[i - 1];
+            const current = activityStream[i];
+            const step = turf.distance([previous[1], previous[0]], [current[1], current[0]], { units: 'meters' });
+            distanceMeters += step;
+
+            if (time && Number.isFinite(time[i]) && Number.isFinite(time[i - 1])) {
+                const seconds = time[i] - time[i - 1];
+                if (seconds > 0) {
+                    elapsedTime += seconds;
+                    if (seconds <= MAX_MOVING_GAP_SECONDS && step / seconds >= MOVING_SPEED_THRESHOLD_MS) movingTime += seconds;
+                }
+            }
+        }
+    });
+
+    return {
+        distanceMeters: Math.round(distanceMeters),
+        elevationGain: altitude ? Math.round(elevationGain * 10) / 10 : null,
+        movingTime: time ? Math.round(movingTime) : null,
+        elapsedTime: time ? Math.round(elapsedTime) : null,
+        paceSecondsPerKm: time && distanceMeters > 0 ? Math.round(movingTime / (distanceMeters / 1000)) : null
+    };
+}
+
+/**
+ * Groups candidate matches into contiguous runs along the path and keeps only the runs that
+ * are long enough and mostly follow the path bearing. Each kept run is reported as a stretch
+ * with a confidence score between 0 and 1, weighted 50% on heading agreement, 30% on how
+ * close the samples sit to the path and 20% on the stretch length.
+ * @param {Object} route - Route from createRoute.
+ * @param {Array<Object>} candidates - Output of findOverlappingPoints, in sample order.
+ * @param {Object} params - Matching parameters (segmentBreakKm, minRunMeters, maxHeadingDeviationDegrees,
+ *   minHeadingAgreement and distanceThresholdMeters are used).
+ * @returns {Object} { points: accepted { coordinates, locationKm }, stretches: [{ startKm, endKm, stage, sampleCount, confidence }],
+ *   streamRanges: [{ from, to }] fractional stream indices of each stretch, rejectedSampleCount }.
+ */
+function findMatchedStretches(route, candidates, params) {
+    // A run continues while samples are consecutive (one missed sample is tolerated) and stay close in chainage
+    const runs = [];
+    let run = null;
+    candidates.forEach(candidate => {
+        const previous = run && run[run.length - 1];
+        if (previous && candidate.sampleIndex - previous.sampleIndex <= 2 && Math.abs(candidate.locationKm - previous.locationKm) <= params.segmentBreakKm) {
+            run.push(candidate);
+        } else {
+            run = [candidate];
+            runs.push(run);
+        }
+    });
+
+    const points = [];
+    const stretches = [];
+    const streamRanges = [];
+    let rejectedSampleCount = 0;
+
+    runs.forEach(samples => {
+        const locations = samples.map(sample => sample.locationKm);
+        const startKm = Math.min(...locations);
+        const endKm = Math.max(...locations);
+        const lengthMeters = (endKm - startKm) * 1000;
+
+        // Samples with no usable heading (e.g. turning back on the spot) neither help nor hurt
+        const headed = samples.filter(sample => sample.headingDeviation !== null);
+        const headingAgreement = headed.length > 0
+            ? headed.filter(sample => sample.headingDeviation <= params.maxHeadingDeviationDegrees).length / headed.length
+            : 1;
+
+        if (lengthMeters < params.minRunMeters || headingAgreement < params.minHeadingAgreement) {
+            rejectedSampleCount += samples.length;
+            return;
+        }
+
+        const meanDistance = samples.reduce((sum, sample) => sum + sample.distanceMeters, 0) / samples.length;
+        const confidence = 0.5 * headingAgreement
+            + 0.3 * Math.max(0, 1 - meanDistance / params.distanceThresholdMeters)
+            + 0.2 * Math.min(1, lengthMeters / (params.minRunMeters * 5));
+        const section = findSection(route, (startKm + endKm) / 2);
+
+        stretches.push({
+            startKm: Math.round(startKm * 1000) / 1000,
+            endKm: Math.round(endKm * 1000) / 1000,
+            stage: section ? section.name : null,
+            sampleCount: samples.length,
+            confidence: Math.round(confidence * 100) / 100
+        });
+        samples.forEach(sample => points.push({ coordinates: sample.coordinates, locationKm: sample.locationKm }));
+        // Samples are in stream order, so the run spans its first to its last sample
+        streamRanges.push({ from: samples[0].streamIndex, to: samples[samples.length - 1].streamIndex });
+    });
+
+    return { points, stretches, streamRanges, rejectedSampleCount };
+}
+
+/**
+ * Measures how far the activity's direction of travel at a sample differs from the path bearing
+ * at its matched chainage. Both are measured over the same window, and the direction of travel
+ * along the path doesn't matter.
+ * @param {Object} route - Route from createRoute.
+ * @param {Array<Array<number>>} samples - Sampled [longitude, latitude] activity points.
+ * @param {number} s - Index of the sample.
+ * @param {number} locationKm - Matched chainage of the sample.
+ * @param {number} windowKm - Distance either side of the chainage to measure the path bearing over.
+ * @returns {number|null} Deviation in degrees (0-90), or null when either direction can't be measured.
+ */
+function headingDeviation(route, samples, s, locationKm, windowKm) {
+    const { metersPerDegreeLon, metersPerDegreeLat, projected } = route.index;
+    const from = samples[Math.max(s - 1, 0)];
+    const to = samples[Math.min(s + 1, samples.length - 1)];
+    const ax = (to[0] - from[0]) * metersPerDegreeLon;
+    const ay = (to[1] - from[1]) * metersPerDegreeLat;
+
+    // Keep the path window inside the section so the jumps between features are never measured
+    const section = findSection(route, locationKm);
+    const startKm = section ? Math.max(section.startKm, locationKm - windowKm) : locationKm - windowKm;
+    const endKm = section ? Math.min(section.endKm, locationKm + windowKm) : locationKm + windowKm;
+    const startVertex = projected[chainageIndex(route, startKm)];
+    const endVertex = projected[Math.min(chainageIndex(route, endKm) + 1, projected.length - 1)];
+    const bx = endVertex[0] - startVertex[0];
+    const by = endVertex[1] - startVertex[1];
+
+    const activityLength = Math.hypot(ax, ay);
+    const routeLength = Math.hypot(bx, by);
+    if (activityLength < 1 || routeLength < 1) return null;
+
+    const cosine = Math.abs(ax * bx + ay * by) / (activityLength * routeLength);
+    return Math.acos(Math.min(1, cosine)) * 180 / Math.PI;
+}
+
+/**
+ * Finds samples of an activity stream that lie within the distance threshold of the SWCP.
+ * @param {Object} route - Route from createRoute.
+ * @param {Array<Array<number>>} activityStream - Array of [latitude, longitude] pairs from Strava.
+ * @param {string} activityId - The ID of the activity.
+ * @param {Function|null} onProgress - Called with each new whole percentage of samples checked (null for batch analysis).
+ * @param {Object} params - Matching parameters (distanceThresholdMeters and sampleIntervalMeters are used).
+ * @returns {Array<Object>} Candidate matches of { sampleIndex, streamIndex, coordinates: [longitude, latitude] on the SWCP,
+ *   locationKm, distanceMeters, headingDeviation }, in sample order.
+ */
+function findOverlappingPoints(route, activityStream, activityId, onProgress = null, params = DEFAULT_MATCHING_PARAMS) {
+    logger.log(`Matching: Starting overlap analysis for activity ${activityId} with ${activityStream.length} GPS points`);
+    
+    // IMPORTANT FIX: Convert Strava's [lat, lon] to Turf.js's [lon, lat] for activity points
+    const turfActivityCoords = activityStream.map(p => [p[1], p[0]]);
+
+    // Defensive check: ensure turfActivityCoords has at least 2 points to form a line
+    if (turfActivityCoords.length < 2) {
+        logger.warn(`Matching: Activity ${activityId} has insufficient coordinates (${turfActivityCoords.length}) to form a line. Skipping overlap calculation.`);
+        return [];
+    }
+    // Sample points along the activity line in a single pass
+    const streamIndices = [];
+    const samples = sampleAlongLine(turfActivityCoords, params.sampleIntervalMeters, streamIndices);
+
+    const overlappingPoints = [];
+    let lastReportedProgress = -1;
+
+    for (let s = 0; s < samples.length; s++) {
+        // Find the nearest point on the SWCP to this activity sample point (null if beyond the threshold)
+        const nearestOnSWCP = nearestOnRoute(route, samples[s], params.distanceThresholdMeters);
+
+        if (nearestOnSWCP) {
+            // BOUNDS CHECK: Verify SWCP coordinates are within expected Cornwall/Devon coastal area
+            const [swcpLon, swcpLat] = nearestOnSWCP.coordinates;
+            if (swcpLon < -6 || swcpLon > -2 || swcpLat < 49.5 || swcpLat > 51.5) {
+                logger.warn(`Matching WARNING: Suspicious SWCP coordinates outside Cornwall/Devon area: [${swcpLat}, ${swcpLon}]`);
+            }
+            
+            // Keep the point *on the SWCP* and its chainage for building coverage intervals
+            overlappingPoints.push({
+                sampleIndex: s,
+                streamIndex: streamIndices[s],
+                coordinates: nearestOnSWCP.coordinates,
+                locationKm: nearestOnSWCP.locationKm,
+                distanceMeters: nearestOnSWCP.distanceMeters,
+                headingDeviation: headingDeviation(route, samples, s, nearestOnSWCP.locationKm, params.sampleIntervalMeters / 1000)
+            });
+        }
+
+        if (!onProgress) {
+            continue;
+        }
+
+        // Report progress for the UI
+        const progress = Math.round((s / Math.max(samples.length - 1, 1)) * 100);
+        if (progress > lastReportedProgress) {
+            onProgress(progress);
+            lastReportedProgress = progress;
+        }
+    }
+    // Ensure a final 100% is sent, as loop might stop just before
+    if (onProgress && lastReportedProgress < 100) {
+        onProgress(100);
+    }
+
+    logger.log(`Matching: Found ${overlappingPoints.length} near-path samples for activity ${activityId}.`);
+    return overlappingPoints;
+}
+
+/**
+ * Calculates the overall progress along the SWCP from merged coverage intervals.
+ * @param {Object} route - Route from createRoute.
+ * @param {Array<Object>} coverage - Merged { startKm, endKm, stage, activityIds } intervals.
+ * @param {Object} stageDates - Map of section name to { first, last } completion dates.
+ * @param {Object} variantPreferences - Map of stage name to the option that counts ('walked' or a section name).
+ * @param {boolean} includeSegments - Whether to slice map geometry for each interval; when false, segments is null
+ *   and the main thread rebuilds it from the coverage.
+ * @returns {Object} Progress details including segments, total distance, percentage, per-stage table and coverage.
+ */
+function calculateOverallProgress(route, coverage, stageDates = {}, variantPreferences = {}, includeSegments = true) {
+    if (coverage.length === 0) {
+        logger.log("Matching: No coverage to calculate progress. Returning 0.");
+        const stages = buildStageTable(route, [], [], stageDates, variantPreferences);
+        return { segments: [], totalDistance: 0, percentage: "0.00", coverage: [], stages, stageDates, routeDistance: getRouteDistance(route, stages) };
+    }
+
+    // Step 1: Cut the covered stretches out of the route for the map
+    const segments = includeSegments ? coverage.map(interval => sliceRoute(route, interval.startKm, interval.endKm)) : null;
+
+    // Step 2: Attribute each interval to its section
+    let totalCompletedDistance = 0;
+    const completedKmBySection = route.sections.map(() => 0);
+    const bypassedKmBySection = route.sections.map(() => 0);
+
+    coverage.forEach(interval => {
+        const lengthKm = interval.endKm - interval.startKm;
+        totalCompletedDistance += lengthKm;
+
+        const section = findSection(route, (interval.startKm + interval.endKm) / 2);
+        if (!section) return;
+        completedKmBySection[section.index] += lengthKm;
+
+        // Also track main route progress inside the stretches that options bypass
+        const [main, ...options] = route.stages[section.stageIndex].sections;
+        if (section === main) options.forEach(option => {
+            const overlapKm = Math.min(interval.endKm, option.replacesToKm) - Math.max(interval.startKm, option.replacesFromKm);
+            if (overlapKm > 0) bypassedKmBySection[option.index] += overlapKm;
+        });
+    });
+
+    // Step 3: Calculate the percentage completion against the counted option of every stage
+    const stages = buildStageTable(route, completedKmBySection, bypassedKmBySection, stageDates, variantPreferences);
+    const routeDistance = getRouteDistance(route, stages);
+    if (stages.length > 0) {
+        totalCompletedDistance = stages.reduce((sum, stage) => sum + stage.completedKm, 0);
+    }
+    const percentage = routeDistance > 0 ? ((totalCompletedDistance / routeDistance) * 100).toFixed(2) : "0.00";
+   
+    const result = {
+        segments: segments, // Array of [lon, lat] coordinate arrays
+        totalDistance: totalCompletedDistance,
+        percentage: percentage,
+        coverage: coverage, // Merged chainage intervals, for saving to storage
+        stages: stages, // Per-stage breakdown in route order
+        stageDates: stageDates,
+        routeDistance: routeDistance // Length of the canonical route the percentage is measured against
+    };
+
+    logger.log("Matching: Calculated overall progress:", result);
+    return result;
+}
+
+/**
+ * Matches one activity and merges it into the coverage saved so far. This is everything a
+ * 'process_activity' message does; with no activity stream it just recalculates the
+ * progress of the existing coverage.
+ * @param {Object} route - Route from createRoute.
+ * @param {Object} options - { activityId, activityStream, altitudeStream, timeStream, existingCoverage, existingPoints,
+ *   activityDate, stageDates, variantPreferences, matchingParams, skipDetailedCalcs, onProgress }.
+ * @returns {Object} Progress from calculateOverallProgress plus this activity's activityOverlapsRoute,
+ *   activityOverlapPointCount, matchedStretches, rejectedSampleCount, onPathStats, activityCoverage
+ *   (the intervals it matched on its own) and newCoverageKm (route km it walked that were not already completed).
+ */
+function analyzeActivity(route, options) {
+    const { activityId, activityStream, altitudeStream, timeStream, existingCoverage, existingPoints, activityDate, stageDates, variantPreferences, matchingParams, skipDetailedCalcs, onProgress } = options;
+
+    const params = resolveMatchingParams(matchingParams);
+    // Only match if an actual activity stream is provided (not null/empty for initial_load)
+    const match = matchActivity(route, activityStream, activityId, skipDetailedCalcs ? null : onProgress || null, params, { altitude: altitudeStream, time: timeStream });
+    const activityCoverage = match.coverage;
+    if (!activityStream || activityStream.length === 0) {
+        // If activityStream is null/empty (e.g., initial_load), simply log and proceed with existing coverage
+        logger.log(`Matching: activityStream is empty or null for activityId: ${activityId}. Processing existing coverage only.`);
+    }
+
+    // Progress saved before coverage intervals existed arrives as a point cloud and is converted here
+    const legacyCoverage = existingPoints && existingPoints.length > 0 ? coverageFromPoints(route, existingPoints) : [];
+
+    // Merge this activity's coverage into the previously completed coverage
+    const coverage = mergeCoverage((existingCoverage || []).concat(legacyCoverage, activityCoverage), params);
+    const { gainedKm } = addCoverage(mergeCoverage((existingCoverage || []).concat(legacyCoverage), params), activityCoverage, params);
+
+    // Record this activity's date against every stage it touched
+    const updatedStageDates = updateStageDates(route, stageDates || {}, activityCoverage, activityDate);
+
+    // Calculate overall progress from the merged coverage
+    const result = calculateOverallProgress(route, coverage, updatedStageDates, variantPreferences || {}, !skipDetailedCalcs);
+    result.activityId = activityId; // Attach activityId back to the result
+    result.matchingParams = params;
+
+    // CRITICAL: Report if this specific activity overlaps the route
+    result.activityOverlapsRoute = match.points.length > 0;
+    result.activityOverlapPointCount = match.points.length;
+    result.matchedStretches = match.stretches;
+    result.rejectedSampleCount = match.rejectedSampleCount;
+    result.onPathStats = match.onPathStats;
+    result.activityCoverage = activityCoverage;
+    result.newCoverageKm = gainedKm;
+    return result;
+}
+
+/**
+ * Matches a list of activities and merges them all into the saved coverage in one pass,
+ * so progress is only recalculated once.
+ * @param {Object} route - Route from createRoute.
+ * @param {Object} options - { activityId, activities: [{ activityId, activityStream, altitudeStream, timeStream, activityDate }],
+ *   existingCoverage, existingPoints, stageDates, variantPreferences, matchingParams, skipDetailedCalcs, onActivity }
+ *   where onActivity(activityResult, index, total) is called as each activity is matched.
+ * @returns {Object} Progress from calculateOverallProgress plus activityResults, one outcome per activity.
+ */
+function analyzeBatch(route, options) {
+    const { activityId, activities, existingCoverage, existingPoints, stageDates, variantPreferences, matchingParams, skipDetailedCalcs, onActivity } = options;
+
+    const params = resolveMatchingParams(matchingParams);
+    const batch = activities || [];
+    const activityResults = [];
+    let batchCoverage = [];
+    let updatedStageDates = stageDates || {};
+
+    // Each activity is credited only with route not already covered before it in the batch
+    const legacyCoverage = existingPoints && existingPoints.length > 0 ? coverageFromPoints(route, existingPoints) : [];
+    let completedCoverage = mergeCoverage((existingCoverage || []).concat(legacyCoverage), params);
+
+    logger.log(`Matching: Starting batch analysis of ${batch.length} activities.`);
+
+    batch.forEach((activity, index) => {
+        const activityKey = String(activity.activityId);
+        // Per-sample progress is suppressed; the batch reports once per activity instead
+        const match = matchActivity(route, activity.activityStream, activityKey, null, params, { altitude: activity.altitudeStream, time: activity.timeStream });
+        const activityCoverage = match.coverage;
+
+        updatedStageDates = updateStageDates(route, updatedStageDates, activityCoverage, activity.activityDate);
+        batchCoverage = batchCoverage.concat(activityCoverage);
+        const added = addCoverage(completedCoverage, activityCoverage, params);
+        completedCoverage = added.coverage;
+
+        const activityResult = {
+            activityId: activityKey,
+            activityOverlapsRoute: match.points.length > 0,
+            activityOverlapPointCount: match.points.length,
+            matchedStretches: match.stretches,
+            rejectedSampleCount: match.rejectedSampleCount,
+            onPathStats: match.onPathStats,
+            coverage: activityCoverage,
+            coveredKm: coverageLengthKm(activityCoverage),
+            newCoverageKm: added.gainedKm
+        };
+        activityResults.push(activityResult);
+
+        if (onActivity) onActivity(activityResult, index + 1, batch.length);
+    });
+
+    const coverage = mergeCoverage((existingCoverage || []).concat(legacyCoverage, batchCoverage), params);
+
+    // One combined result for the whole batch, shaped like a single activity's plus the per-activity outcomes
+    const result = calculateOverallProgress(route, coverage, updatedStageDates, variantPreferences || {}, !skipDetailedCalcs);
+    result.activityId = activityId || 'batch_analysis';
+    result.activityResults = activityResults;
+    result.matchingParams = params;
+
+    logger.log(`Matching: Batch analysis complete. ${activityResults.filter(r => r.activityOverlapsRoute).length} of ${batch.length} activities overlap the SWCP.`);
+    return result;
+}
+
+/**
+ * Runs the same activity stream once per parameter set, without touching any stored progress.
+ * @param {Object} route - Route from createRoute.
+ * @param {Array<Array<number>>} activityStream - Array of [latitude, longitude] pairs from Strava.
+ * @param {string} activityId - The ID of the activity.
+ * @param {Array<Object>} paramSets - [{ label, matchingParams }] to compare.
+ * @returns {Array<Object>} One summary per parameter set.
+ */
+function compareMatching(route, activityStream, activityId, paramSets) {
+    return (paramSets || [{ label: 'Default', matchingParams: {} }]).map(set => {
+        const params = resolveMatchingParams(set.matchingParams);
+        const startTime = Date.now();
+        const match = matchActivity(route, activityStream, activityId, null, params);
+        const coverage = mergeCoverage(match.coverage, params);
+        return {
+            label: set.label,
+            matchingParams: params,
+            overlapPointCount: match.points.length,
+            stretchCount: match.stretches.length,
+            rejectedSampleCount: match.rejectedSampleCount,
+            intervalCount: coverage.length,
+            coveredKm: coverageLengthKm(coverage),
+            durationMs: Date.now() - startTime
+        };
+    });
+}
+
+/**
+ * Builds a route straight from routes.geojson, flattening its features into one line and
+ * grouping them into stages the same way loadSwcpData does in script.js. The browser sends
+ * the worker its already-flattened line instead; this is for Node callers.
+ * @param {Object} geojson - Parsed routes.geojson FeatureCollection.
+ * @returns {Object} Route from createRoute.
+ */
+function routeFromGeoJSON(geojson) {
+    const coordinates = [];
+    const sections = [];
+
+    geojson.features.forEach((feature, featureIndex) => {
+        const startIndex = coordinates.length;
+        const geometry = feature.geometry || {};
+        const lines = geometry.type === 'LineString' ? [geometry.coordinates]
+            : geometry.type === 'MultiLineString' ? geometry.coordinates
+                : [];
+        lines.forEach(line => line.forEach(c => coordinates.push([c[0], c[1]])));
+
+        if (coordinates.length - startIndex > 1) {
+            sections.push({
+                name: (feature.properties && feature.properties.name) || `Section ${featureIndex + 1}`,
+                startIndex,
+                endIndex: coordinates.length - 1
+            });
+        }
+    });
+
+    const stages = groupRouteStages(sections);
+    return createRoute(coordinates, stages, routeLengthKm(coordinates, stages));
+}
+
+/**
+ * Groups route sections into stages. GeoJSON features such as "Stage 01 Minehead to Porlock Weir
+ * Strenuous option" are alternative options of the stage whose main route is the first feature
+ * with the same stage number.
+ * @param {Array<Object>} sections - { name, startIndex, endIndex } in file order.
+ * @returns {Array<Object>} Array of { name, sections: [{ name, label, startIndex, endIndex }] }, main route first.
+ */
+function groupRouteStages(sections) {
+    const stages = [];
+    const stagesByNumber = new Map();
+
+    sections.forEach(section => {
+        const stageNumber = (section.name.match(/^Stage\s+(\d+)/i) || [])[1];
+        const stage = stageNumber ? stagesByNumber.get(Number(stageNumber)) : null;
+
+        if (stage) {
+            const mainName = stage.sections[0].name;
+            const label = section.name.startsWith(mainName) ? section.name.slice(mainName.length).trim() : section.name;
+            stage.sections.push({ ...section, label: label || section.name });
+        } else {
+            const newStage = { name: section.name, sections: [{ ...section, label: 'Main route' }] };
+            stages.push(newStage);
+            if (stageNumber) stagesByNumber.set(Number(stageNumber), newStage);
+        }
+    });
+
+    return stages;
+}
+
+/**
+ * Length of the route before the worker has reported which option of each stage counts: the sum
+ * of the stages' main routes. The flattened line also contains the jumps between features, so its
+ * own length would overstate the path.
+ * @param {Array<Array<number>>} coordinates - Flattened route as [lng, lat] pairs.
+ * @param {Array<Object>} stages - Result of groupRouteStages.
+ * @returns {number} Length in kilometers.
+ */
+function routeLengthKm(coordinates, stages) {
+    return stages.reduce((sum, stage) => {
+        const main = stage.sections[0];
+        return sum + turf.length(turf.lineString(coordinates.slice(main.startIndex, main.endIndex + 1)), { units: 'kilometers' });
+    }, 0);
+}
+
+/**
+ * Redirects log output, e.g. to a Cloud Functions logger or a silent one in tests.
+ * @param {Object} next - Object with log, warn and error methods.
+ */
+function setLogger(next) {
+    logger = next;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_MATCHING_PARAMS,
+        LEGACY_COVERAGE_ID,
+        resolveMatchingParams,
+        createRoute,
+        routeFromGeoJSON,
+        groupRouteStages,
+        routeLengthKm,
+        analyzeActivity,
+        analyzeBatch,
+        compareMatching,
+        matchActivity,
+        mergeCoverage,
+        removeActivityCoverage,
+        calculateOverallProgress,
+        sliceRoute,
+        setLogger
+    };
+}
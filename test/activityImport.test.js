@@ -0,0 +1,151 @@
+// test/activityImport.test.js
+// Tests for the paged Strava activity import in utils/activityImport.js:
+//
+//   npm test
+//
+// The module is an ES module for the browser, so it is loaded with import().
+
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const NOW = Date.UTC(2024, 5, 1);
+
+let activityImport = null;
+
+before(async () => {
+  activityImport = await import(pathToFileURL(path.join(__dirname, '..', 'utils', 'activityImport.js')).href);
+});
+
+// Activity n started n hours after midnight UTC on 1 January 2024
+function activity(n) {
+  return { id: n, start_date: new Date(Date.UTC(2024, 0, 1, n)).toISOString() };
+}
+
+function startOf(n) {
+  return Date.UTC(2024, 0, 1, n) / 1000;
+}
+
+// Activities from..to (inclusive), newest first, as Strava returns a page without `after`
+function newestFirst(from, to) {
+  const activities = [];
+  for (let n = to; n >= from; n--) activities.push(activity(n));
+  return activities;
+}
+
+// A stand-in for /athlete/activities over activities 1..total, honouring per_page, before, after and page
+function fakeStrava(total) {
+  const all = newestFirst(1, total);
+  return query => {
+    const params = new URLSearchParams(query);
+    const perPage = Number(params.get('per_page'));
+    if (params.has('after')) {
+      const after = Number(params.get('after'));
+      const page = Number(params.get('page'));
+      return all.filter(a => startOf(a.id) > after).reverse().slice((page - 1) * perPage, page * perPage);
+    }
+    const before = params.has('before') ? Number(params.get('before')) : Infinity;
+    return all.filter(a => startOf(a.id) < before).slice(0, perPage);
+  };
+}
+
+// Runs a job to completion the way runActivityImport does, returning the job and the stored activities
+function runImport(job, stored, fetchPage) {
+  let activities = stored;
+  let pages = 0;
+  while (job.status === 'running') {
+    assert.ok(++pages < 100, 'the import should finish');
+    const page = fetchPage(activityImport.pageQuery(job));
+    const storedCount = activities.length;
+    activities = activityImport.mergeActivities(activities, page);
+    job = activityImport.advanceImport(job, page, activities.length - storedCount, NOW);
+  }
+  return { job, activities };
+}
+
+describe('startImport', () => {
+  test('starts a full import when nothing has been imported before', () => {
+    const job = activityImport.startImport([], null, NOW);
+    assert.equal(job.mode, 'full');
+    assert.equal(job.status, 'running');
+    assert.equal(job.before, null);
+    assert.equal(job.after, null);
+    assert.equal(job.historyComplete, false);
+    assert.equal(job.startedAt, NOW);
+  });
+
+  test('activities cached without a completed full import are not treated as history', () => {
+    const job = activityImport.startImport(newestFirst(1, 5), null, NOW);
+    assert.equal(job.mode, 'full');
+
+    const stopped = { ...activityImport.startImport([], null, NOW), status: 'failed' };
+    assert.equal(activityImport.startImport(newestFirst(1, 5), stopped, NOW).mode, 'full');
+  });
+
+  test('goes incremental from the newest synced activity once a full import has completed', () => {
+    const lastJob = { mode: 'full', status: 'complete', syncedTo: startOf(4), historyComplete: true };
+    const job = activityImport.startImport(newestFirst(1, 5), lastJob, NOW);
+    assert.equal(job.mode, 'incremental');
+    assert.equal(job.after, startOf(5));
+    assert.equal(job.syncedTo, startOf(5));
+    assert.equal(job.historyComplete, true);
+  });
+});
+
+describe('pageQuery', () => {
+  test('a full import pages back with before, an incremental one forward with after and page', () => {
+    assert.equal(activityImport.pageQuery({ mode: 'full', before: null, page: 0 }), `per_page=${activityImport.IMPORT_PAGE_SIZE}`);
+    assert.equal(activityImport.pageQuery({ mode: 'full', before: 123, page: 3 }), `per_page=${activityImport.IMPORT_PAGE_SIZE}&before=123`);
+    assert.equal(activityImport.pageQuery({ mode: 'incremental', after: 456, page: 2 }), `per_page=${activityImport.IMPORT_PAGE_SIZE}&after=456&page=3`);
+  });
+});
+
+describe('advanceImport', () => {
+  test('moves before to just after the oldest activity of a full page', () => {
+    const page = newestFirst(1, activityImport.IMPORT_PAGE_SIZE);
+    const job = activityImport.advanceImport(activityImport.startImport([], null, NOW), page, page.length, NOW);
+    assert.equal(job.status, 'running');
+    assert.equal(job.page, 1);
+    assert.equal(job.before, startOf(1) + 1);
+    assert.equal(job.syncedTo, startOf(activityImport.IMPORT_PAGE_SIZE));
+    assert.equal(job.fetched, activityImport.IMPORT_PAGE_SIZE);
+  });
+
+  test('a short page completes the job and its history', () => {
+    const job = activityImport.advanceImport(activityImport.startImport([], null, NOW), newestFirst(1, 3), 3, NOW);
+    assert.equal(job.status, 'complete');
+    assert.equal(job.historyComplete, true);
+  });
+
+  test('counts only the activities a page added', () => {
+    const job = activityImport.advanceImport({ ...activityImport.startImport([], null, NOW), fetched: 200 }, newestFirst(1, 3), 2, NOW);
+    assert.equal(job.fetched, 202);
+  });
+});
+
+describe('full and incremental imports', () => {
+  test('a full import fetches every activity once and counts each once', () => {
+    const total = activityImport.IMPORT_PAGE_SIZE * 2 + 50;
+    const { job, activities } = runImport(activityImport.startImport([], null, NOW), [], fakeStrava(total));
+
+    assert.equal(job.status, 'complete');
+    assert.equal(job.mode, 'full');
+    assert.equal(activities.length, total);
+    assert.equal(job.fetched, total);
+    assert.equal(job.syncedTo, startOf(total));
+  });
+
+  test('the next import after a completed full one fetches only newer activities', () => {
+    const full = runImport(activityImport.startImport([], null, NOW), [], fakeStrava(300));
+
+    const next = activityImport.startImport(full.activities, full.job, NOW);
+    assert.equal(next.mode, 'incremental');
+    const { job, activities } = runImport(next, full.activities, fakeStrava(310));
+
+    assert.equal(job.status, 'complete');
+    assert.equal(job.fetched, 10);
+    assert.equal(activities.length, 310);
+    assert.equal(job.syncedTo, startOf(310));
+  });
+});
@@ -0,0 +1,240 @@
+// test/fixtures/generate.js
+// Writes the fixture tracks used by test/matching.test.js:
+//
+//   node test/fixtures/generate.js
+//
+// Each track is built from routes.geojson with seeded noise, so it is reproducible and its
+// true position on the path is known. The expected values are worked out from that truth
+// (how far along the path the track really goes), never from the matcher's own output.
+// Only rerun this when the route file changes; the committed JSON is what the tests read.
+
+const fs = require('fs');
+const path = require('path');
+
+globalThis.turf = require('../../turf.min.js');
+const matching = require('../../swcp_matching.js');
+
+matching.setLogger({ log() {}, warn() {}, error: console.error });
+
+const ROOT = path.join(__dirname, '..', '..');
+const geojson = JSON.parse(fs.readFileSync(path.join(ROOT, 'routes.geojson'), 'utf8'));
+const route = matching.routeFromGeoJSON(geojson);
+
+// Elevations line up with route.coordinates, which flattens the features in file order
+const elevations = [];
+geojson.features.forEach(feature => feature.geometry.coordinates.forEach(c => elevations.push(c[2])));
+
+const METERS_PER_DEGREE_LAT = 110574;
+const metersPerDegreeLon = lat => 111320 * Math.cos(lat * Math.PI / 180);
+
+// Small deterministic PRNG (mulberry32) so every run writes the same tracks
+function seededRandom(seed) {
+  let a = seed;
+  return () => {
+    a |= 0; a = a + 0x6D2B79F5 | 0;
+    let t = Math.imul(a ^ a >>> 15, 1 | a);
+    t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  };
+}
+
+function gaussian(random) {
+  return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+}
+
+// GPS error wanders rather than jumping fix to fix, so noise is correlated between points
+function wanderingNoise(random, sigma, correlation = 0.9) {
+  let value = gaussian(random) * sigma;
+  return () => {
+    value = correlation * value + Math.sqrt(1 - correlation * correlation) * sigma * gaussian(random);
+    return value;
+  };
+}
+
+function stageMain(stageNumber) {
+  const stage = route.stages.find(s => new RegExp(`^Stage 0?${stageNumber}\\b`).test(s.name));
+  return { name: stage.name, main: stage.sections[0] };
+}
+
+function elevationAt(locationKm) {
+  let i = 0;
+  while (i < route.chainage.length - 2 && route.chainage[i + 1] <= locationKm) i++;
+  const span = route.chainage[i + 1] - route.chainage[i];
+  const t = span > 0 ? (locationKm - route.chainage[i]) / span : 0;
+  return elevations[i] + t * (elevations[i + 1] - elevations[i]);
+}
+
+/**
+ * Points every stepMeters along a [lng, lat] line, each with the unit normal of its
+ * segment (in metres east/north) so tracks can be pushed off the line.
+ */
+function walkLine(line, stepMeters) {
+  const points = [];
+  let carried = 0;
+  for (let i = 1; i < line.length; i++) {
+    const [ax, ay] = line[i - 1];
+    const [bx, by] = line[i];
+    const kx = metersPerDegreeLon(ay);
+    const dx = (bx - ax) * kx;
+    const dy = (by - ay) * METERS_PER_DEGREE_LAT;
+    const length = Math.hypot(dx, dy);
+    if (length === 0) continue;
+    let d = carried;
+    for (; d < length; d += stepMeters) {
+      const t = d / length;
+      points.push({ lng: ax + t * (bx - ax), lat: ay + t * (by - ay), normal: [-dy / length, dx / length] });
+    }
+    carried = d - length;
+  }
+  return points;
+}
+
+function offset(point, east, north) {
+  return [point.lat + north / METERS_PER_DEGREE_LAT, point.lng + east / metersPerDegreeLon(point.lat)];
+}
+
+function round(value, places) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function fixture(name, description, expected, latlng, altitude, secondsPerPoint) {
+  return {
+    name,
+    description,
+    activity: { id: name, start_date_local: '2024-06-01T09:00:00Z', sport_type: 'Hike' },
+    streams: {
+      latlng: latlng.map(([lat, lng]) => [round(lat, 6), round(lng, 6)]),
+      altitude: altitude.map(a => round(a, 1)),
+      time: latlng.map((p, i) => i * secondsPerPoint),
+    },
+    expected,
+  };
+}
+
+// A hike along the main route of Stage 9 with ordinary phone GPS scatter (about 4 m)
+function onPathHike() {
+  const random = seededRandom(9);
+  const { name, main } = stageMain(9);
+  const startKm = main.startKm + 1;
+  const endKm = main.startKm + 7;
+  const points = walkLine(matching.sliceRoute(route, startKm, endKm), 6.5);
+  const east = wanderingNoise(random, 4);
+  const north = wanderingNoise(random, 4);
+  const height = wanderingNoise(random, 2);
+  const latlng = points.map(p => offset(p, east(), north()));
+  const altitude = points.map((p, i) => elevationAt(startKm + (i / (points.length - 1)) * (endKm - startKm)) + height());
+
+  return fixture('on-path-hike', `Six kilometres of ${name} walked on the path`, {
+    overlapsRoute: true,
+    stage: name,
+    coveredKm: [round((endKm - startKm) * 0.95, 2), round((endKm - startKm) * 1.01, 2)],
+    onPathDistanceKm: [round((endKm - startKm) * 0.95, 2), round((endKm - startKm) * 1.15, 2)],
+  }, latlng, altitude, 5);
+}
+
+// A drive along a road that shadows Stage 5 about 60 m inland, with two short stretches
+// where the road swings within 15 m of the path (junctions, car parks)
+function parallelRoadDrive() {
+  const random = seededRandom(5);
+  const { name, main } = stageMain(5);
+  const startKm = main.startKm + 2;
+  const endKm = main.startKm + 6;
+  const points = walkLine(matching.sliceRoute(route, startKm, endKm), 25);
+  const approaches = [Math.floor(points.length * 0.3), Math.floor(points.length * 0.7)];
+  const latlng = points.map((p, i) => {
+    const near = approaches.some(a => Math.abs(i - a) <= 1);
+    const distance = (near ? 15 : 60) + gaussian(random) * 3;
+    return offset(p, p.normal[0] * distance, p.normal[1] * distance);
+  });
+
+  return fixture('parallel-road-drive', `A drive on a road running beside ${name}`, {
+    overlapsRoute: false,
+    coveredKm: [0, 0],
+  }, latlng, points.map(() => 40), 2);
+}
+
+// Three kilometres out along Stage 13 and back the same way
+function outAndBack() {
+  const random = seededRandom(13);
+  const { name, main } = stageMain(13);
+  const startKm = main.startKm + 2;
+  const endKm = main.startKm + 5;
+  const out = walkLine(matching.sliceRoute(route, startKm, endKm), 6.5);
+  const points = out.concat(out.slice(0, -1).reverse());
+  const east = wanderingNoise(random, 4);
+  const north = wanderingNoise(random, 4);
+  const latlng = points.map(p => offset(p, east(), north()));
+  const heights = out.map((p, i) => elevationAt(startKm + (i / (out.length - 1)) * (endKm - startKm)));
+  const altitude = heights.concat(heights.slice(0, -1).reverse());
+
+  return fixture('out-and-back', `Out and back along ${name}; the path is only walked once`, {
+    overlapsRoute: true,
+    stage: name,
+    coveredKm: [round((endKm - startKm) * 0.95, 2), round((endKm - startKm) * 1.01, 2)],
+    // Both legs are on the path, so the on-path distance is twice the coverage
+    onPathDistanceKm: [round((endKm - startKm) * 2 * 0.95, 2), round((endKm - startKm) * 2 * 1.15, 2)],
+  }, latlng, altitude, 5);
+}
+
+// A walk inland that crosses Stage 15 at right angles and carries on down to the beach
+function crossing() {
+  const random = seededRandom(15);
+  const { name, main } = stageMain(15);
+  const crossingKm = main.startKm + 4;
+  const [centre, next] = matching.sliceRoute(route, crossingKm, crossingKm + 0.05);
+  const kx = metersPerDegreeLon(centre[1]);
+  const dx = (next[0] - centre[0]) * kx;
+  const dy = (next[1] - centre[1]) * METERS_PER_DEGREE_LAT;
+  const length = Math.hypot(dx, dy);
+  const normal = [-dy / length, dx / length];
+  const latlng = [];
+  for (let d = -600; d <= 600; d += 6.5) {
+    latlng.push(offset({ lng: centre[0], lat: centre[1] }, normal[0] * d + gaussian(random) * 3, normal[1] * d + gaussian(random) * 3));
+  }
+
+  return fixture('crossing', `A walk crossing ${name} without following it`, {
+    overlapsRoute: false,
+    coveredKm: [0, 0],
+    rejectsSamples: true,
+  }, latlng, latlng.map(() => 60), 5);
+}
+
+// Stage 12 along the high cliffs: the signal bounces off the rock, so the track wanders
+// up to 18 m off the path and now and then jumps 40-80 m out to sea for a few fixes
+function gpsDriftNearCliffs() {
+  const random = seededRandom(12);
+  const { name, main } = stageMain(12);
+  const startKm = main.startKm + 0.5;
+  const endKm = main.startKm + 5.5;
+  const points = walkLine(matching.sliceRoute(route, startKm, endKm), 6.5);
+  const east = wanderingNoise(random, 3);
+  const north = wanderingNoise(random, 3);
+  const height = wanderingNoise(random, 4);
+  let drift = 0;
+  let spike = 0;
+  let spikeSize = 0;
+  const latlng = points.map(p => {
+    drift = Math.max(-18, Math.min(18, drift + gaussian(random) * 1.5));
+    if (spike === 0 && random() < 0.01) {
+      spike = 3 + Math.floor(random() * 3);
+      spikeSize = 40 + random() * 40;
+    }
+    const sideways = drift + (spike > 0 ? spikeSize : 0);
+    if (spike > 0) spike--;
+    return offset(p, p.normal[0] * sideways + east(), p.normal[1] * sideways + north());
+  });
+  const altitude = points.map((p, i) => elevationAt(startKm + (i / (points.length - 1)) * (endKm - startKm)) + height());
+
+  return fixture('gps-drift-near-cliffs', `Five kilometres of ${name} with cliff multipath drift`, {
+    overlapsRoute: true,
+    stage: name,
+    coveredKm: [round((endKm - startKm) * 0.9, 2), round((endKm - startKm) * 1.01, 2)],
+  }, latlng, altitude, 5);
+}
+
+[onPathHike(), parallelRoadDrive(), outAndBack(), crossing(), gpsDriftNearCliffs()].forEach(track => {
+  const file = path.join(__dirname, `${track.name}.json`);
+  fs.writeFileSync(file, `${JSON.stringify(track)}\n`);
+  console.log(`Wrote ${path.relative(ROOT, file)} (${track.streams.latlng.length} points)`);
+});
@@ -0,0 +1,188 @@
+// test/matching.test.js
+// Regression tests for the route matching in swcp_matching.js, run against the real
+// routes.geojson and the fixture tracks in test/fixtures (see generate.js there):
+//
+//   npm test
+//
+// Turf comes from the repo's own turf.min.js, so nothing needs installing and the
+// suite runs offline.
+
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+globalThis.turf = require('../turf.min.js');
+const matching = require('../swcp_matching.js');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const FIXTURE_NAMES = ['on-path-hike', 'parallel-road-drive', 'out-and-back', 'crossing', 'gps-drift-near-cliffs'];
+
+let route = null;
+
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+}
+
+function analyze(fixture, options = {}) {
+  return matching.analyzeActivity(route, {
+    activityId: fixture.activity.id,
+    activityStream: fixture.streams.latlng,
+    altitudeStream: fixture.streams.altitude,
+    timeStream: fixture.streams.time,
+    activityDate: fixture.activity.start_date_local,
+    skipDetailedCalcs: true,
+    ...options,
+  });
+}
+
+function coveredKm(coverage) {
+  return coverage.reduce((sum, interval) => sum + (interval.endKm - interval.startKm), 0);
+}
+
+function assertBetween(value, [min, max], label) {
+  assert.ok(value >= min && value <= max, `${label}: expected ${min}-${max}, got ${value}`);
+}
+
+before(() => {
+  matching.setLogger({ log() {}, warn() {}, error: console.error });
+  route = matching.routeFromGeoJSON(JSON.parse(fs.readFileSync(path.join(ROOT, 'routes.geojson'), 'utf8')));
+});
+
+describe('fixture tracks', () => {
+  FIXTURE_NAMES.forEach(name => {
+    test(name, () => {
+      const fixture = loadFixture(name);
+      const { expected } = fixture;
+      const result = analyze(fixture);
+
+      assert.equal(result.activityOverlapsRoute, expected.overlapsRoute, 'activityOverlapsRoute');
+      assertBetween(coveredKm(result.coverage), expected.coveredKm, 'covered km');
+      if (expected.stage) {
+        result.coverage.forEach(interval => assert.equal(interval.stage, expected.stage));
+        result.matchedStretches.forEach(stretch => assert.equal(stretch.stage, expected.stage));
+      }
+      if (expected.onPathDistanceKm) {
+        assertBetween(result.onPathStats.distanceMeters / 1000, expected.onPathDistanceKm, 'on-path km');
+      }
+      if (expected.rejectsSamples) {
+        assert.ok(result.rejectedSampleCount > 0, 'near-path samples should have been seen and rejected');
+      }
+    });
+  });
+});
+
+describe('coordinate order and units', () => {
+  test('Strava streams are [lat, lng]; a [lng, lat] stream matches nothing', () => {
+    const fixture = loadFixture('on-path-hike');
+    const swapped = { ...fixture, streams: { ...fixture.streams, latlng: fixture.streams.latlng.map(([lat, lng]) => [lng, lat]) } };
+    const result = analyze(swapped);
+
+    assert.equal(result.activityOverlapsRoute, false);
+    assert.equal(result.coverage.length, 0);
+  });
+
+  test('coverage is in kilometres and on-path distance in metres', () => {
+    const result = analyze(loadFixture('on-path-hike'));
+    const km = coveredKm(result.coverage);
+
+    assert.ok(km > 1 && km < 50, `covered distance ${km} should be kilometres`);
+    assert.ok(result.onPathStats.distanceMeters > 1000, 'on-path distance should be metres');
+    assertBetween(result.onPathStats.distanceMeters / 1000 / km, [0.9, 1.2], 'on-path distance / coverage');
+  });
+
+  test('matched coverage lies on the route geometry', () => {
+    const result = analyze(loadFixture('gps-drift-near-cliffs'));
+    const [interval] = result.coverage;
+    const line = matching.sliceRoute(route, interval.startKm, interval.endKm);
+    const lengthKm = turf.length(turf.lineString(line), { units: 'kilometers' });
+
+    assertBetween(lengthKm, [(interval.endKm - interval.startKm) * 0.999, (interval.endKm - interval.startKm) * 1.001], 'sliced length');
+  });
+});
+
+describe('merging', () => {
+  test('analysing the same activity twice adds no coverage', () => {
+    const fixture = loadFixture('on-path-hike');
+    const first = analyze(fixture);
+    const second = analyze(fixture, { existingCoverage: first.coverage, stageDates: first.stageDates });
+
+    assert.deepEqual(second.coverage.map(({ startKm, endKm }) => [startKm, endKm]), first.coverage.map(({ startKm, endKm }) => [startKm, endKm]));
+    assert.equal(second.percentage, first.percentage);
+  });
+
+  test('a batch gives the same progress as analysing each activity in turn', () => {
+    const fixtures = FIXTURE_NAMES.map(loadFixture);
+    const batch = matching.analyzeBatch(route, {
+      activities: fixtures.map(fixture => ({
+        activityId: fixture.activity.id,
+        activityStream: fixture.streams.latlng,
+        altitudeStream: fixture.streams.altitude,
+        timeStream: fixture.streams.time,
+        activityDate: fixture.activity.start_date_local,
+      })),
+      skipDetailedCalcs: true,
+    });
+
+    let sequential = { coverage: [], stageDates: {} };
+    fixtures.forEach(fixture => {
+      sequential = analyze(fixture, { existingCoverage: sequential.coverage, stageDates: sequential.stageDates });
+    });
+
+    assert.deepEqual(batch.coverage, sequential.coverage);
+    assert.equal(batch.percentage, sequential.percentage);
+    assert.equal(batch.activityResults.length, fixtures.length);
+  });
+
+  test('each activity is credited only with route not already covered', () => {
+    const fixture = loadFixture('out-and-back');
+    const first = analyze(fixture);
+    const again = analyze(fixture, { existingCoverage: first.coverage });
+
+    assertBetween(first.newCoverageKm, [coveredKm(first.coverage) - 0.001, coveredKm(first.coverage) + 0.001], 'first walk');
+    assert.equal(again.newCoverageKm, 0);
+
+    const batch = matching.analyzeBatch(route, {
+      activities: [fixture, loadFixture('on-path-hike'), fixture].map(track => ({
+        activityId: track.activity.id,
+        activityStream: track.streams.latlng,
+        activityDate: track.activity.start_date_local,
+      })),
+      skipDetailedCalcs: true,
+    });
+    const gained = batch.activityResults.map(result => result.newCoverageKm);
+
+    assert.equal(gained[2], 0, 'repeating a walk in the same batch adds nothing');
+    assertBetween(gained[0] + gained[1], [coveredKm(batch.coverage) - 0.001, coveredKm(batch.coverage) + 0.001], 'gains add up to the coverage');
+  });
+
+  test('taking an activity back out leaves only the other activities\' own coverage', () => {
+    const hike = loadFixture('on-path-hike');
+    const half = Math.floor(hike.streams.latlng.length / 2);
+    const firstHalf = { activity: { ...hike.activity, id: 'first-half' }, streams: { latlng: hike.streams.latlng.slice(0, half) } };
+    const partial = analyze(firstHalf);
+    const whole = analyze(hike, { existingCoverage: partial.coverage });
+    assert.ok(whole.coverage.some(interval => interval.activityIds.length === 2), 'the two walks share an interval');
+
+    const activityStats = {
+      'first-half': { coverage: partial.activityCoverage },
+      [hike.activity.id]: { coverage: whole.activityCoverage },
+    };
+    const withoutWhole = matching.removeActivityCoverage(whole.coverage, activityStats, String(hike.activity.id));
+    assert.deepEqual(withoutWhole, partial.coverage);
+
+    const legacy = { startKm: 0, endKm: 1, stage: null, activityIds: [matching.LEGACY_COVERAGE_ID] };
+    const withLegacy = matching.removeActivityCoverage([legacy, ...whole.coverage], activityStats, String(hike.activity.id));
+    assert.deepEqual(withLegacy[0], legacy);
+  });
+
+  test('progress only counts the walked stretches against the whole route', () => {
+    const result = analyze(loadFixture('on-path-hike'));
+
+    assertBetween(result.routeDistance, [900, 1100], 'route km');
+    assertBetween(Number(result.percentage), [0.5, 0.7], 'percentage');
+    const stage = result.stages.find(row => row.name === loadFixture('on-path-hike').expected.stage);
+    assertBetween(stage.completedKm, [5.7, 6.06], 'stage completed km');
+  });
+});
@@ -0,0 +1,141 @@
+// test/stravaRateLimit.test.js
+// Tests for the Strava rate-limit scheduler in utils/stravaRateLimit.js, run on a fake clock:
+//
+//   npm test
+//
+// The module is an ES module for the browser, so it is loaded with import().
+
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const QUARTER_HOUR_MS = 15 * 60 * 1000;
+const START = Date.UTC(2024, 5, 1, 10, 1); // 10:01 UTC, so the 15-minute window resets at 10:15
+
+let rateLimit = null;
+
+before(async () => {
+  rateLimit = await import(pathToFileURL(path.join(__dirname, '..', 'utils', 'stravaRateLimit.js')).href);
+});
+
+function response(status, { limit = '100,1000', usage = '0,0' } = {}) {
+  return { status, headers: new Headers({ 'X-RateLimit-Limit': limit, 'X-RateLimit-Usage': usage }) };
+}
+
+// A scheduler whose waits move the clock on instead of sleeping
+function fakeScheduler() {
+  const clock = { time: START };
+  const pauses = [];
+  const scheduler = rateLimit.createRateLimitScheduler({
+    now: () => clock.time,
+    wait: async ms => { clock.time += ms; },
+    onPause: (resumeAt, window) => pauses.push({ resumeAt, window }),
+  });
+  return { clock, pauses, ...scheduler };
+}
+
+describe('parseRateLimit', () => {
+  test('takes the tighter of the overall and read limits for each window', () => {
+    const limits = rateLimit.parseRateLimit(new Headers({
+      'X-RateLimit-Limit': '200,2000',
+      'X-RateLimit-Usage': '150,100',
+      'X-ReadRateLimit-Limit': '100,1000',
+      'X-ReadRateLimit-Usage': '20,950',
+    }));
+    assert.deepEqual(limits, { shortLimit: 200, shortUsage: 150, dailyLimit: 1000, dailyUsage: 950 });
+  });
+
+  test('returns null without rate-limit headers or with malformed ones', () => {
+    assert.equal(rateLimit.parseRateLimit(new Headers()), null);
+    assert.equal(rateLimit.parseRateLimit(new Headers({ 'X-RateLimit-Limit': '100', 'X-RateLimit-Usage': '1,2' })), null);
+  });
+});
+
+test('windowResets gives the next quarter hour and the next midnight UTC', () => {
+  assert.deepEqual(rateLimit.windowResets(START), {
+    shortResetAt: Date.UTC(2024, 5, 1, 10, 15),
+    dailyResetAt: Date.UTC(2024, 5, 2),
+  });
+});
+
+describe('createRateLimitScheduler', () => {
+  test('runs calls one at a time, one-off calls ahead of queued bulk calls', async () => {
+    const { schedule } = fakeScheduler();
+    const order = [];
+    let inFlight = 0;
+    const call = name => async () => {
+      inFlight++;
+      assert.equal(inFlight, 1);
+      await Promise.resolve();
+      order.push(name);
+      inFlight--;
+      return response(200);
+    };
+
+    await Promise.all([
+      schedule(call('bulk 1'), { bulk: true }),
+      schedule(call('bulk 2'), { bulk: true }),
+      schedule(call('bulk 3'), { bulk: true }),
+      schedule(call('one-off')),
+    ]);
+    // bulk 1 had already started when the one-off call was queued
+    assert.deepEqual(order, ['bulk 1', 'one-off', 'bulk 2', 'bulk 3']);
+  });
+
+  test('holds bulk calls short of the limit until the 15-minute window resets', async () => {
+    const { schedule, pauses, clock } = fakeScheduler();
+    const limit = `${rateLimit.BULK_RESERVE + 2},1000`;
+    await schedule(async () => response(200, { limit, usage: '2,2' }), { bulk: true });
+
+    const sentAt = [];
+    await schedule(async () => { sentAt.push(clock.time); return response(200, { limit, usage: '1,3' }); }, { bulk: true });
+    assert.deepEqual(pauses, [{ resumeAt: Date.UTC(2024, 5, 1, 10, 15), window: 'short' }]);
+    assert.ok(sentAt[0] >= Date.UTC(2024, 5, 1, 10, 15));
+  });
+
+  test('one-off calls may use the reserve that bulk calls leave', async () => {
+    const { schedule, pauses } = fakeScheduler();
+    const limit = `${rateLimit.BULK_RESERVE + 2},1000`;
+    await schedule(async () => response(200, { limit, usage: '2,2' }));
+    const result = await schedule(async () => response(200, { limit, usage: '3,3' }));
+    assert.equal(result.status, 200);
+    assert.deepEqual(pauses, []);
+  });
+
+  test('retries a call after a 429 once the 15-minute window resets', async () => {
+    const { schedule, pauses, clock } = fakeScheduler();
+    const attempts = [];
+    const result = await schedule(async () => {
+      attempts.push(clock.time);
+      return attempts.length === 1 ? response(429, { usage: '100,400' }) : response(200, { usage: '1,401' });
+    });
+
+    assert.equal(result.status, 200);
+    assert.equal(attempts.length, 2);
+    assert.deepEqual(pauses.map(pause => pause.window), ['short']);
+    assert.ok(attempts[1] - attempts[0] < QUARTER_HOUR_MS);
+    assert.ok(attempts[1] >= Date.UTC(2024, 5, 1, 10, 15));
+  });
+
+  test('waits for the daily reset after a 429 once the daily limit is used up', async () => {
+    const { schedule, pauses, clock } = fakeScheduler();
+    const attempts = [];
+    const result = await schedule(async () => {
+      attempts.push(clock.time);
+      return attempts.length === 1 ? response(429, { usage: '40,1000' }) : response(200, { usage: '1,1' });
+    });
+
+    assert.equal(result.status, 200);
+    assert.deepEqual(pauses, [{ resumeAt: Date.UTC(2024, 5, 2), window: 'daily' }]);
+    assert.ok(attempts[1] >= Date.UTC(2024, 5, 2));
+  });
+
+  test('hands back the 429 once the retries are used up', async () => {
+    const { schedule } = fakeScheduler();
+    let attempts = 0;
+    const result = await schedule(async () => { attempts++; return response(429, { usage: '100,500' }); });
+    assert.equal(result.status, 429);
+    assert.equal(attempts, 3);
+  });
+});
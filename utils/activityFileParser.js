@@ -0,0 +1,333 @@
+/**
+ * Parse GPX, TCX and FIT activity files entirely in the browser.
+ *
+ * Every parser produces the same shape, which the import flow turns into a
+ * synthetic Strava-like activity and a cached stream:
+ *   { name, type, startTime (ms or null), points: [{ lat, lon, ele, time }] }
+ * where ele is metres (or null) and time is ms since epoch (or null).
+ */
+
+const FIT_EPOCH_OFFSET_S = 631065600;          // FIT timestamps count from 1989-12-31T00:00:00Z
+const SEMICIRCLES_TO_DEGREES = 180 / 2 ** 31;
+const MOVING_SPEED_THRESHOLD_MS = 0.3;         // slower than this between points counts as stopped
+const MAX_MOVING_GAP_S = 300;                  // longer gaps (pauses, lost signal) never count as moving
+const ELEVATION_GAIN_THRESHOLD_M = 2;          // ignore climbs smaller than this to damp GPS/barometer noise
+
+/**
+ * Parse an activity file picked by the user.
+ *
+ * @param {File} file   GPX, TCX or FIT file
+ * @returns {Promise<Object>} Parsed activity { name, type, startTime, points, stats }
+ */
+export async function parseActivityFile(file) {
+  const extension = (file.name.split('.').pop() || '').toLowerCase();
+
+  let parsed;
+  if (extension === 'fit') {
+    parsed = parseFit(await file.arrayBuffer());
+  } else if (extension === 'gpx') {
+    parsed = parseGpx(await file.text());
+  } else if (extension === 'tcx') {
+    parsed = parseTcx(await file.text());
+  } else {
+    throw new Error(`Unsupported file type ".${extension}" (expected .gpx, .tcx or .fit)`);
+  }
+
+  // Drop points without a usable position (FIT records before GPS lock, etc.)
+  parsed.points = parsed.points.filter(p => Number.isFinite(p.lat) && Number.isFinite(p.lon) && !(p.lat === 0 && p.lon === 0));
+  if (!parsed.name) parsed.name = file.name.replace(/\.[^.]+$/, '');
+  if (!parsed.startTime) parsed.startTime = parsed.points.find(p => p.time)?.time || null;
+  parsed.stats = computeStats(parsed.points);
+
+  return parsed;
+}
+
+/**
+ * Distance, moving time and elevation gain for a parsed track.
+ *
+ * @param {Array<Object>} points   [{ lat, lon, ele, time }]
+ * @returns {Object} { distance (m), movingTime (s), elapsedTime (s), elevationGain (m) }
+ */
+export function computeStats(points) {
+  let distance = 0;
+  let movingTime = 0;
+  let elevationGain = 0;
+  let elevationReference = null;
+
+  points.forEach((point, i) => {
+    if (i > 0) {
+      const previous = points[i - 1];
+      const step = haversineMeters(previous, point);
+      distance += step;
+
+      if (previous.time && point.time) {
+        const seconds = (point.time - previous.time) / 1000;
+        if (seconds > 0 && seconds <= MAX_MOVING_GAP_S && step / seconds >= MOVING_SPEED_THRESHOLD_MS) {
+          movingTime += seconds;
+        }
+      }
+    }
+
+    // Count a climb only once it exceeds the threshold above the lowest point since the last climb
+    if (Number.isFinite(point.ele)) {
+      if (elevationReference === null || point.ele < elevationReference) {
+        elevationReference = point.ele;
+      } else if (point.ele - elevationReference >= ELEVATION_GAIN_THRESHOLD_M) {
+        elevationGain += point.ele - elevationReference;
+        elevationReference = point.ele;
+      }
+    }
+  });
+
+  const timed = points.filter(p => p.time);
+  const elapsedTime = timed.length > 1 ? (timed[timed.length - 1].time - timed[0].time) / 1000 : 0;
+
+  return {
+    distance: Math.round(distance * 10) / 10,
+    movingTime: Math.round(movingTime),
+    elapsedTime: Math.round(elapsedTime),
+    elevationGain: Math.round(elevationGain * 10) / 10,
+  };
+}
+
+function haversineMeters(a, b) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(b.lat - a.lat);
+  const dLon = toRadians(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371008.8 * Math.asin(Math.sqrt(h));
+}
+
+// ---------------------------------------------------------------------------
+// GPX / TCX (XML)
+// ---------------------------------------------------------------------------
+
+function parseXml(text) {
+  const xml = new DOMParser().parseFromString(text, 'application/xml');
+  if (xml.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('File is not valid XML');
+  }
+  return xml;
+}
+
+// Namespace-agnostic helpers - GPX 1.0/1.1 and TCX files use different default namespaces
+function elements(parent, tagName) {
+  return Array.from(parent.getElementsByTagNameNS('*', tagName));
+}
+
+function childText(parent, tagName) {
+  const child = elements(parent, tagName)[0];
+  return child ? child.textContent.trim() : null;
+}
+
+function parseNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function parseTime(value) {
+  const time = value ? Date.parse(value) : NaN;
+  return Number.isFinite(time) ? time : null;
+}
+
+// GPX <type> is free text; map the common values onto Strava activity types
+function normaliseType(value) {
+  const type = (value || '').toLowerCase();
+  if (type.includes('trail') && type.includes('run')) return 'TrailRun';
+  if (type.includes('run')) return 'Run';
+  if (type.includes('hik')) return 'Hike';
+  return 'Walk';
+}
+
+function parseGpx(text) {
+  const xml = parseXml(text);
+  const track = elements(xml, 'trk')[0];
+
+  // Prefer recorded track points; fall back to planned route points
+  let pointElements = elements(xml, 'trkpt');
+  if (pointElements.length === 0) pointElements = elements(xml, 'rtept');
+
+  const points = pointElements.map(el => ({
+    lat: parseNumber(el.getAttribute('lat')),
+    lon: parseNumber(el.getAttribute('lon')),
+    ele: parseNumber(childText(el, 'ele')),
+    time: parseTime(childText(el, 'time')),
+  }));
+
+  const metadata = elements(xml, 'metadata')[0];
+  return {
+    name: (track && childText(track, 'name')) || (metadata && childText(metadata, 'name')) || null,
+    type: normaliseType(track && childText(track, 'type')),
+    startTime: parseTime(metadata && childText(metadata, 'time')),
+    points,
+  };
+}
+
+function parseTcx(text) {
+  const xml = parseXml(text);
+  const activity = elements(xml, 'Activity')[0];
+
+  const points = elements(xml, 'Trackpoint')
+    .filter(el => elements(el, 'Position').length > 0)
+    .map(el => ({
+      lat: parseNumber(childText(el, 'LatitudeDegrees')),
+      lon: parseNumber(childText(el, 'LongitudeDegrees')),
+      ele: parseNumber(childText(el, 'AltitudeMeters')),
+      time: parseTime(childText(el, 'Time')),
+    }));
+
+  return {
+    name: activity ? childText(activity, 'Notes') : null,
+    type: normaliseType(activity && activity.getAttribute('Sport')),
+    startTime: parseTime(activity && childText(activity, 'Id')),
+    points,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// FIT (binary) - only the record, session and sport messages are decoded
+// ---------------------------------------------------------------------------
+
+const FIT_MESSAGE_RECORD = 20;
+const FIT_MESSAGE_SESSION = 18;
+const FIT_MESSAGE_SPORT = 12;
+
+// FIT sport / sub_sport enums we care about
+const FIT_SPORT_RUNNING = 1;
+const FIT_SPORT_WALKING = 11;
+const FIT_SPORT_HIKING = 17;
+const FIT_SUB_SPORT_TRAIL = 3;
+
+/**
+ * Read one field value. Multi-value (array) and string fields are skipped.
+ */
+function readFitValue(view, offset, baseType, size, littleEndian) {
+  switch (baseType & 0x1f) {
+    case 0: case 2: case 10: case 13:           // enum, uint8, uint8z, byte
+      return size === 1 ? nullIfInvalid(view.getUint8(offset), 0xff, baseType) : null;
+    case 1:                                     // sint8
+      return size === 1 ? nullIfInvalid(view.getInt8(offset), 0x7f, baseType) : null;
+    case 3:                                     // sint16
+      return size === 2 ? nullIfInvalid(view.getInt16(offset, littleEndian), 0x7fff, baseType) : null;
+    case 4: case 11:                            // uint16, uint16z
+      return size === 2 ? nullIfInvalid(view.getUint16(offset, littleEndian), 0xffff, baseType) : null;
+    case 5:                                     // sint32
+      return size === 4 ? nullIfInvalid(view.getInt32(offset, littleEndian), 0x7fffffff, baseType) : null;
+    case 6: case 12:                            // uint32, uint32z
+      return size === 4 ? nullIfInvalid(view.getUint32(offset, littleEndian), 0xffffffff, baseType) : null;
+    case 8:                                     // float32
+      return size === 4 ? view.getFloat32(offset, littleEndian) : null;
+    case 9:                                     // float64
+      return size === 8 ? view.getFloat64(offset, littleEndian) : null;
+    default:
+      return null;
+  }
+}
+
+// Each base type has an "invalid" sentinel; the z-types use 0 instead
+function nullIfInvalid(value, invalid, baseType) {
+  const zeroInvalid = [10, 11, 12].includes(baseType & 0x1f);
+  return value === (zeroInvalid ? 0 : invalid) ? null : value;
+}
+
+function parseFit(buffer) {
+  const view = new DataView(buffer);
+  if (buffer.byteLength < 12) throw new Error('File is too short to be a FIT file');
+
+  const headerSize = view.getUint8(0);
+  const dataSize = view.getUint32(4, true);
+  const signature = String.fromCharCode(view.getUint8(8), view.getUint8(9), view.getUint8(10), view.getUint8(11));
+  if (signature !== '.FIT') throw new Error('File is not a FIT file');
+
+  const end = Math.min(headerSize + dataSize, buffer.byteLength);
+  const definitions = {};
+  const points = [];
+  let sport = null;
+  let subSport = null;
+  let startTime = null;
+  let lastTimestamp = null;
+  let offset = headerSize;
+
+  while (offset < end) {
+    const header = view.getUint8(offset++);
+    let localType;
+    let compressedTimestamp = null;
+
+    if (header & 0x80) {
+      // Compressed timestamp header: 5-bit offset from the last full timestamp
+      localType = (header >> 5) & 0x03;
+      if (lastTimestamp !== null) {
+        const timeOffset = header & 0x1f;
+        compressedTimestamp = lastTimestamp + ((timeOffset - (lastTimestamp & 0x1f)) & 0x1f);
+      }
+    } else if (header & 0x40) {
+      // Definition message
+      localType = header & 0x0f;
+      const hasDeveloperData = (header & 0x20) !== 0;
+      const littleEndian = view.getUint8(offset + 1) === 0;
+      const globalNumber = view.getUint16(offset + 2, littleEndian);
+      const fieldCount = view.getUint8(offset + 4);
+      offset += 5;
+
+      const fields = [];
+      for (let i = 0; i < fieldCount; i++) {
+        fields.push({ number: view.getUint8(offset), size: view.getUint8(offset + 1), baseType: view.getUint8(offset + 2) });
+        offset += 3;
+      }
+      let developerSize = 0;
+      if (hasDeveloperData) {
+        const developerCount = view.getUint8(offset++);
+        for (let i = 0; i < developerCount; i++) {
+          developerSize += view.getUint8(offset + 1);
+          offset += 3;
+        }
+      }
+      definitions[localType] = { littleEndian, globalNumber, fields, developerSize };
+      continue;
+    } else {
+      localType = header & 0x0f;
+    }
+
+    // Data message
+    const definition = definitions[localType];
+    if (!definition) throw new Error(`FIT data message uses undefined local type ${localType}`);
+
+    const values = {};
+    definition.fields.forEach(field => {
+      if (offset + field.size <= end) {
+        values[field.number] = readFitValue(view, offset, field.baseType, field.size, definition.littleEndian);
+      }
+      offset += field.size;
+    });
+    offset += definition.developerSize;
+
+    const timestamp = values[253] ?? compressedTimestamp;
+    if (timestamp != null) lastTimestamp = timestamp;
+
+    if (definition.globalNumber === FIT_MESSAGE_RECORD) {
+      // enhanced_altitude (78) supersedes altitude (2); both are scale 5, offset 500
+      const rawAltitude = values[78] ?? values[2];
+      points.push({
+        lat: values[0] != null ? values[0] * SEMICIRCLES_TO_DEGREES : null,
+        lon: values[1] != null ? values[1] * SEMICIRCLES_TO_DEGREES : null,
+        ele: rawAltitude != null ? rawAltitude / 5 - 500 : null,
+        time: timestamp != null ? (timestamp + FIT_EPOCH_OFFSET_S) * 1000 : null,
+      });
+    } else if (definition.globalNumber === FIT_MESSAGE_SESSION || definition.globalNumber === FIT_MESSAGE_SPORT) {
+      // session: sport 5, sub_sport 6, start_time 2 / sport: sport 0, sub_sport 1
+      const isSession = definition.globalNumber === FIT_MESSAGE_SESSION;
+      sport = values[isSession ? 5 : 0] ?? sport;
+      subSport = values[isSession ? 6 : 1] ?? subSport;
+      if (isSession && values[2] != null && startTime === null) {
+        startTime = (values[2] + FIT_EPOCH_OFFSET_S) * 1000;
+      }
+    }
+  }
+
+  let type = 'Walk';
+  if (sport === FIT_SPORT_HIKING) type = 'Hike';
+  else if (sport === FIT_SPORT_RUNNING) type = subSport === FIT_SUB_SPORT_TRAIL ? 'TrailRun' : 'Run';
+  else if (sport === FIT_SPORT_WALKING) type = 'Walk';
+
+  return { name: null, type, startTime, points };
+}
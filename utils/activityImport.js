@@ -0,0 +1,105 @@
+/**
+ * Checkpoints for importing the athlete's activity list from Strava a page at a time.
+ *
+ * A job is a plain object saved after every page, so an import that fails or is paused
+ * carries on from the last completed page after a reload:
+ *   { mode, status, page, before, after, fetched, syncedTo, historyComplete, startedAt, updatedAt, error }
+ *
+ * A full import walks back through history newest first, moving the `before` cursor to the
+ * oldest activity of each page, so uploads made during the import cannot shift the pages.
+ * Once a full import has completed (historyComplete), later imports fetch only activities that
+ * started after `after` (the newest activity already synced); Strava returns those oldest first,
+ * so new uploads land at the end and page numbers stay put. Activities cached some other way,
+ * such as by the old single-page refresh, don't count as history.
+ */
+
+export const IMPORT_PAGE_SIZE = 200;
+
+/**
+ * A new import job: incremental from the newest activity already synced once a full import has
+ * completed, otherwise full history.
+ *
+ * @param {Array<Object>} knownActivities   Strava activities already stored
+ * @param {Object|null} [lastJob]           The last saved job, if any
+ * @param {number} [now]                    Milliseconds since the epoch
+ * @returns {Object} Import job
+ */
+export function startImport(knownActivities, lastJob = null, now = Date.now()) {
+  const historyComplete = !!lastJob && lastJob.status === 'complete' && (lastJob.historyComplete || lastJob.mode === 'full');
+  const newest = historyComplete
+    ? Math.max(lastJob.syncedTo || 0, ...knownActivities.map(startEpoch).filter(Number.isFinite))
+    : 0;
+  const incremental = newest > 0;
+  return {
+    mode: incremental ? 'incremental' : 'full',
+    status: 'running',
+    page: 0,
+    before: null,
+    after: incremental ? newest : null,
+    fetched: 0,
+    syncedTo: incremental ? newest : null,
+    historyComplete: incremental,
+    startedAt: now,
+    updatedAt: now,
+    error: null,
+  };
+}
+
+/**
+ * Query string for the job's next page of /athlete/activities.
+ *
+ * @param {Object} job
+ * @returns {string}
+ */
+export function pageQuery(job) {
+  if (job.mode === 'incremental') return `per_page=${IMPORT_PAGE_SIZE}&after=${job.after}&page=${job.page + 1}`;
+  return `per_page=${IMPORT_PAGE_SIZE}${job.before ? `&before=${job.before}` : ''}`;
+}
+
+/**
+ * The job after a page has been fetched and stored. A short page is the last one.
+ *
+ * Each full page starts with the previous page's oldest activity again (see `before` below), so
+ * `fetched` counts only the activities the page added to the store.
+ *
+ * @param {Object} job
+ * @param {Array<Object>} activities       The page's activities
+ * @param {number} addedCount              How many of them weren't stored yet
+ * @param {number} [now]
+ * @returns {Object} Import job
+ */
+export function advanceImport(job, activities, addedCount, now = Date.now()) {
+  const starts = activities.map(startEpoch).filter(Number.isFinite);
+  const next = {
+    ...job,
+    page: job.page + 1,
+    fetched: job.fetched + addedCount,
+    syncedTo: Math.max(job.syncedTo || 0, ...starts) || null,
+    updatedAt: now,
+    error: null,
+  };
+  // Strava's before is exclusive; one second later keeps activities sharing the oldest start time
+  if (job.mode === 'full' && starts.length > 0) next.before = Math.min(...starts) + 1;
+  if (activities.length < IMPORT_PAGE_SIZE) {
+    next.status = 'complete';
+    next.historyComplete = true;
+  }
+  return next;
+}
+
+/**
+ * Activities from both lists, once each, newest first. Fetched copies replace stored ones.
+ *
+ * @param {Array<Object>} stored
+ * @param {Array<Object>} fetched
+ * @returns {Array<Object>}
+ */
+export function mergeActivities(stored, fetched) {
+  const byId = new Map(stored.map(activity => [String(activity.id), activity]));
+  fetched.forEach(activity => byId.set(String(activity.id), { ...byId.get(String(activity.id)), ...activity }));
+  return [...byId.values()].sort((a, b) => (startEpoch(b) || 0) - (startEpoch(a) || 0));
+}
+
+function startEpoch(activity) {
+  return Math.floor(Date.parse(activity.start_date || activity.start_date_local) / 1000);
+}
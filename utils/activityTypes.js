@@ -0,0 +1,61 @@
+/**
+ * Which Strava activities count towards SWCP progress.
+ *
+ * Strava gives each activity a broad `type` (e.g. Run) and, on newer activities, a more specific
+ * `sport_type` (e.g. TrailRun). An activity is eligible when either is on the user's allow-list, so
+ * allowing Run takes in trail runs too, while allowing only TrailRun leaves road runs out.
+ *
+ * The allow-list is saved as preferences.activityTypes on the user's profile; the webhook
+ * (processStravaEvent in functions/index.js) applies the same rule to activities it is pushed.
+ */
+
+export const DEFAULT_ACTIVITY_TYPES = ['Hike', 'Walk'];
+
+// Offered on the Settings page, in this order
+export const SPORT_TYPES = [
+  { id: 'Hike', label: 'Hike' },
+  { id: 'Walk', label: 'Walk' },
+  { id: 'TrailRun', label: 'Trail run' },
+  { id: 'Run', label: 'Run' },
+];
+
+/**
+ * A saved allow-list cleaned up: known types only, once each, in SPORT_TYPES order. Anything
+ * unusable, including an empty list, gives the defaults.
+ *
+ * @param {*} types
+ * @returns {Array<string>}
+ */
+export function normaliseActivityTypes(types) {
+  if (!Array.isArray(types)) return [...DEFAULT_ACTIVITY_TYPES];
+  const known = SPORT_TYPES.map(sport => sport.id).filter(id => types.includes(id));
+  return known.length > 0 ? known : [...DEFAULT_ACTIVITY_TYPES];
+}
+
+/**
+ * Whether an activity's type or sport_type is this one.
+ *
+ * @param {Object} activity            Strava activity summary
+ * @param {string} type                e.g. 'TrailRun'
+ * @returns {boolean}
+ */
+export function matchesActivityType(activity, type) {
+  return activity.sport_type === type || activity.type === type;
+}
+
+/**
+ * Whether an activity is one of the allowed types.
+ *
+ * @param {Object} activity            Strava activity summary
+ * @param {Array<string>} allowedTypes Result of normaliseActivityTypes
+ * @returns {boolean}
+ */
+export function isEligibleActivity(activity, allowedTypes) {
+  return allowedTypes.some(type => matchesActivityType(activity, type));
+}
+
+/** Display name of a type id, e.g. 'Trail run' for 'TrailRun'. */
+export function activityTypeLabel(type) {
+  const sport = SPORT_TYPES.find(entry => entry.id === type);
+  return sport ? sport.label : type;
+}
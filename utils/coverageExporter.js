@@ -0,0 +1,156 @@
+/**
+ * Serialise completed coverage (and optionally the remaining gaps) for use in
+ * other mapping tools: GeoJSON for QGIS, GPX tracks for Garmin BaseCamp / OS Maps
+ * and KML for Google Earth.
+ *
+ * Every builder takes the same list of stretches:
+ *   { kind: 'completed' | 'gap', stage, section, startKm, endKm, lengthKm, activityIds, coordinates }
+ * where coordinates are [lng, lat] pairs cut from the route line.
+ */
+
+const KML_STYLES = {
+  completed: 'ff4086fd', // KML colours are aabbggrr: the map's #fd8640 orange
+  gap: 'ffeb6325',       // and the route's #2563eb blue
+};
+
+/**
+ * Build a GeoJSON FeatureCollection with one LineString per stretch.
+ *
+ * @param {Array<Object>} stretches   Stretches to export
+ * @param {Object} metadata           { name, exportedAt } stored on the collection
+ * @returns {string} GeoJSON text
+ */
+export function buildGeoJSON(stretches, metadata = {}) {
+  const collection = {
+    type: 'FeatureCollection',
+    name: metadata.name,
+    exportedAt: metadata.exportedAt,
+    features: stretches.map(stretch => ({
+      type: 'Feature',
+      properties: stretchProperties(stretch),
+      geometry: { type: 'LineString', coordinates: stretch.coordinates },
+    })),
+  };
+  return JSON.stringify(collection, null, 2);
+}
+
+/**
+ * Build a GPX 1.1 document with one track per stretch.
+ *
+ * @param {Array<Object>} stretches   Stretches to export
+ * @param {Object} metadata           { name, exportedAt }
+ * @returns {string} GPX text
+ */
+export function buildGpx(stretches, metadata = {}) {
+  const tracks = stretches.map(stretch => {
+    const points = stretch.coordinates
+      .map(([lng, lat]) => `      <trkpt lat="${lat.toFixed(6)}" lon="${lng.toFixed(6)}"/>`)
+      .join('\n');
+    return [
+      '  <trk>',
+      `    <name>${escapeXml(stretchName(stretch))}</name>`,
+      `    <desc>${escapeXml(stretchDescription(stretch))}</desc>`,
+      `    <type>${stretch.kind}</type>`,
+      '    <trkseg>',
+      points,
+      '    </trkseg>',
+      '  </trk>',
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="SWCP Tracker" xmlns="http://www.topografix.com/GPX/1/1">',
+    '  <metadata>',
+    `    <name>${escapeXml(metadata.name || 'SWCP coverage')}</name>`,
+    metadata.exportedAt ? `    <time>${metadata.exportedAt}</time>` : null,
+    '  </metadata>',
+    ...tracks,
+    '</gpx>',
+    '',
+  ].filter(line => line !== null).join('\n');
+}
+
+/**
+ * Build a KML document with one styled Placemark per stretch. Stage and
+ * chainage go in ExtendedData so they show up in the feature's attributes.
+ *
+ * @param {Array<Object>} stretches   Stretches to export
+ * @param {Object} metadata           { name, exportedAt }
+ * @returns {string} KML text
+ */
+export function buildKml(stretches, metadata = {}) {
+  const styles = Object.entries(KML_STYLES).map(([kind, colour]) => [
+    `    <Style id="${kind}">`,
+    `      <LineStyle><color>${colour}</color><width>4</width></LineStyle>`,
+    '    </Style>',
+  ].join('\n'));
+
+  const placemarks = stretches.map(stretch => {
+    const data = Object.entries(stretchProperties(stretch))
+      .map(([key, value]) => `        <Data name="${key}"><value>${escapeXml(Array.isArray(value) ? value.join(', ') : value ?? '')}</value></Data>`)
+      .join('\n');
+    const coordinates = stretch.coordinates.map(([lng, lat]) => `${lng.toFixed(6)},${lat.toFixed(6)}`).join(' ');
+    return [
+      '    <Placemark>',
+      `      <name>${escapeXml(stretchName(stretch))}</name>`,
+      `      <description>${escapeXml(stretchDescription(stretch))}</description>`,
+      `      <styleUrl>#${stretch.kind}</styleUrl>`,
+      '      <ExtendedData>',
+      data,
+      '      </ExtendedData>',
+      `      <LineString><tessellate>1</tessellate><coordinates>${coordinates}</coordinates></LineString>`,
+      '    </Placemark>',
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(metadata.name || 'SWCP coverage')}</name>`,
+    ...styles,
+    ...placemarks,
+    '  </Document>',
+    '</kml>',
+    '',
+  ].join('\n');
+}
+
+/** Flat attribute set shared by the GeoJSON properties and KML ExtendedData. */
+function stretchProperties(stretch) {
+  return {
+    kind: stretch.kind,
+    stage: stretch.stage || null,
+    section: stretch.section || null,
+    startKm: round(stretch.startKm),
+    endKm: round(stretch.endKm),
+    lengthKm: round(stretch.lengthKm),
+    activityIds: stretch.activityIds || [],
+  };
+}
+
+function stretchName(stretch) {
+  const prefix = stretch.kind === 'gap' ? 'Gap' : 'Completed';
+  return `${prefix}: ${stretch.stage || 'Unassigned'} (${stretch.startKm.toFixed(1)}–${stretch.endKm.toFixed(1)} km)`;
+}
+
+function stretchDescription(stretch) {
+  const parts = [`${stretch.lengthKm.toFixed(2)} km`];
+  if (stretch.section && stretch.section !== stretch.stage) parts.push(stretch.section);
+  if (stretch.activityIds?.length) parts.push(`Activities: ${stretch.activityIds.join(', ')}`);
+  return parts.join(' · ');
+}
+
+function round(km) {
+  return Math.round(km * 1000) / 1000;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
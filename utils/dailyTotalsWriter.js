@@ -1,19 +1,26 @@
-import { getFirestore, doc, setDoc, increment, arrayUnion, serverTimestamp } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
+import { getFirestore, doc, setDoc, deleteDoc } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
+
+// Activities are recorded under processedActivities/{uid}/activities/{activityId}, the same
+// documents the Strava webhook writes. The updateDailyTotals Cloud Function is the only writer
+// of userDailyTotals and keeps one entry per activity ID, so an activity recorded by both the
+// browser and the webhook is still counted once.
+const PROCESSED_COLLECTION = 'processedActivities';
 
 /**
- * Append an activity to the user's per-day totals document.
- * Creates the doc if it does not exist.
+ * Record an analysed activity so it is counted in the user's per-day totals and their
+ * week, month and year rollups. Recording the same activity again replaces its earlier figures.
  *
  * @param {string} uid                      Firebase Auth UID
  * @param {Object} activity                Strava activity object (expects id, distance in metres or km, start_date_local or start_date)
+ * @param {boolean} [overlapsRoute]        Whether the activity matched the SWCP
+ * @param {Object} [onPathStats]           Worker totals for the matched stretches ({ distanceMeters, ... })
  */
-export async function writeDailyTotals(uid, activity) {
+export async function writeDailyTotals(uid, activity, overlapsRoute, onPathStats) {
   try {
     if (!uid || !activity) return;
 
-    // get date key (YYYY-MM-DD)
-    const dateKey = (activity.start_date_local || activity.start_date || '').slice(0, 10);
-    if (!dateKey) return;
+    const startDate = activity.start_date_local || activity.start_date || '';
+    if (!startDate) return;
 
     // distance in km (Strava = metres)
     let km = 0;
@@ -21,19 +28,30 @@ export async function writeDailyTotals(uid, activity) {
     else if (typeof activity.distanceKm === 'number') km = activity.distanceKm;
     else if (typeof activity.distance === 'number') km = activity.distance / 1000; // metres → km
 
-    const db = getFirestore();
-    const ref = doc(db, 'userDailyTotals', uid, 'days', dateKey);
+    const record = { distance_km: km, start_date_local: startDate, elevation_m: activity.total_elevation_gain || 0 };
+    if (typeof overlapsRoute === 'boolean') {
+      record.overlapsRoute = overlapsRoute;
+      // Activities analysed before on-path stats existed count in full, as in the progress totals
+      record.on_path_km = overlapsRoute ? (onPathStats ? onPathStats.distanceMeters / 1000 : km) : 0;
+    }
 
-    await setDoc(
-      ref,
-      {
-        totalKm:    increment(km),
-        activities: arrayUnion({ id: Number(activity.id), distance: km }),
-        updatedAt:  serverTimestamp(),
-      },
-      { merge: true },
-    );
+    await setDoc(doc(getFirestore(), PROCESSED_COLLECTION, uid, 'activities', String(activity.id)), record, { merge: true });
   } catch (err) {
     console.warn('writeDailyTotals failed:', err.message || err);
   }
-} 
\ No newline at end of file
+}
+
+/**
+ * Take an activity back out of the user's per-day totals (e.g. when it is un-processed).
+ *
+ * @param {string} uid                      Firebase Auth UID
+ * @param {string|number} activityId       Activity ID
+ */
+export async function removeDailyTotals(uid, activityId) {
+  try {
+    if (!uid || activityId === undefined || activityId === null) return;
+    await deleteDoc(doc(getFirestore(), PROCESSED_COLLECTION, uid, 'activities', String(activityId)));
+  } catch (err) {
+    console.warn('removeDailyTotals failed:', err.message || err);
+  }
+}
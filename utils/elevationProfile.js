@@ -0,0 +1,183 @@
+/**
+ * Elevation profiles along the SWCP route, drawn as inline SVG.
+ *
+ * A profile follows a list of chainage ranges along the flattened route line
+ * (a stage's counted option, or every stage in turn for the whole path) and
+ * uses the elevation stored as the third value of each routes.geojson vertex.
+ */
+
+const ASCENT_THRESHOLD_M = 3;    // ignore rises and dips smaller than this (the route's elevations are whole metres)
+const CHART_WIDTH = 1000;        // SVG viewBox units; the chart is stretched to its container
+const CHART_HEIGHT = 200;
+const MAX_CHART_POINTS = 800;    // vertices drawn per chart, roughly one per pixel
+
+/**
+ * Follow a set of chainage ranges and collect the route vertices inside them.
+ *
+ * @param {Array<Object>} ranges   [{ startKm, endKm }] in walking order
+ * @param {Object} route           { coordinates: [[lng, lat]], chainage: [km], elevations: [m or null] }
+ * @returns {Object} { points: [{ distanceKm, chainageKm, elevation, coordinates }], lengthKm, ascent, descent, minElevation, maxElevation }
+ */
+export function buildProfile(ranges, route) {
+  const { coordinates, chainage, elevations } = route;
+  const points = [];
+  let offsetKm = 0;
+
+  ranges.forEach(range => {
+    // Ranges start and end on vertices (section ends or option turn-offs), so a binary search finds the first one
+    let i = firstVertexAtOrAfter(chainage, range.startKm);
+    for (; i < chainage.length && chainage[i] <= range.endKm + 1e-9; i++) {
+      if (!Number.isFinite(elevations[i])) continue;
+      points.push({
+        distanceKm: offsetKm + chainage[i] - range.startKm,
+        chainageKm: chainage[i],
+        elevation: elevations[i],
+        coordinates: coordinates[i],
+      });
+    }
+    offsetKm += range.endKm - range.startKm;
+  });
+
+  const { ascent, descent } = climbTotals(points.map(p => p.elevation));
+  const heights = points.map(p => p.elevation);
+  return {
+    points,
+    lengthKm: offsetKm,
+    ascent,
+    descent,
+    minElevation: heights.length ? Math.min(...heights) : 0,
+    maxElevation: heights.length ? Math.max(...heights) : 0,
+  };
+}
+
+/**
+ * Total ascent and descent, counting a climb only once it has risen (or fallen)
+ * more than ASCENT_THRESHOLD_M from the last turning point.
+ *
+ * @param {Array<number>} heights   Elevations in metres in walking order
+ * @returns {Object} { ascent, descent } in metres
+ */
+export function climbTotals(heights) {
+  let ascent = 0;
+  let descent = 0;
+  let reference = heights.length ? heights[0] : null;
+
+  heights.forEach(height => {
+    const change = height - reference;
+    if (change >= ASCENT_THRESHOLD_M) {
+      ascent += change;
+      reference = height;
+    } else if (change <= -ASCENT_THRESHOLD_M) {
+      descent -= change;
+      reference = height;
+    }
+  });
+
+  return { ascent, descent };
+}
+
+/**
+ * Draw a profile as SVG: the whole route as a muted area, walked stretches shaded on
+ * top, and a hidden cursor line for the hover handler to move.
+ *
+ * @param {Object} profile                 Result of buildProfile
+ * @param {Array<Object>} coverage         Completed { startKm, endKm } chainage intervals
+ * @returns {string} SVG markup
+ */
+export function renderProfileSvg(profile, coverage) {
+  const points = downsample(profile.points, MAX_CHART_POINTS);
+  if (points.length < 2) return '';
+
+  // Pad the elevation axis so flat stretches don't sit on the bottom edge
+  const floor = Math.max(0, profile.minElevation - 10);
+  const span = Math.max(profile.maxElevation - floor, 20);
+  const x = km => (profile.lengthKm > 0 ? (km / profile.lengthKm) * CHART_WIDTH : 0).toFixed(1);
+  const y = m => (CHART_HEIGHT - ((m - floor) / span) * (CHART_HEIGHT - 10)).toFixed(1);
+  const area = run => `M${x(run[0].distanceKm)},${CHART_HEIGHT} ${run.map(p => `L${x(p.distanceKm)},${y(p.elevation)}`).join(' ')} L${x(run[run.length - 1].distanceKm)},${CHART_HEIGHT} Z`;
+
+  const sorted = [...(coverage || [])].sort((a, b) => a.startKm - b.startKm);
+  const walkedRuns = [];
+  let run = null;
+  points.forEach(point => {
+    if (isCovered(sorted, point.chainageKm)) {
+      if (!run) walkedRuns.push(run = []);
+      run.push(point);
+    } else {
+      run = null;
+    }
+  });
+
+  return `
+    <svg class="elevation-profile-svg" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" preserveAspectRatio="none" role="img" aria-label="Elevation profile">
+      <path d="${area(points)}" fill="rgba(37, 99, 235, 0.15)" stroke="none"/>
+      ${walkedRuns.filter(r => r.length > 1).map(r => `<path d="${area(r)}" fill="rgba(253, 134, 64, 0.6)" stroke="none"/>`).join('')}
+      <polyline points="${points.map(p => `${x(p.distanceKm)},${y(p.elevation)}`).join(' ')}" fill="none" stroke="#2563eb" stroke-width="1.5" vector-effect="non-scaling-stroke"/>
+      <line class="elevation-profile-cursor" x1="0" x2="0" y1="0" y2="${CHART_HEIGHT}" stroke="#374151" stroke-width="1" vector-effect="non-scaling-stroke" visibility="hidden"/>
+    </svg>
+  `;
+}
+
+/**
+ * Find the profile vertex nearest a distance along the profile.
+ *
+ * @param {Object} profile        Result of buildProfile
+ * @param {number} distanceKm     Distance from the start of the profile
+ * @returns {Object|null} Entry of profile.points
+ */
+export function profilePointAt(profile, distanceKm) {
+  const { points } = profile;
+  if (points.length === 0) return null;
+
+  let low = 0;
+  let high = points.length - 1;
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    if (points[mid].distanceKm < distanceKm) low = mid + 1;
+    else high = mid;
+  }
+  const previous = points[Math.max(low - 1, 0)];
+  return Math.abs(previous.distanceKm - distanceKm) < Math.abs(points[low].distanceKm - distanceKm) ? previous : points[low];
+}
+
+/** Viewbox x position of a distance along the profile, for placing the cursor line. */
+export function profileX(profile, distanceKm) {
+  return profile.lengthKm > 0 ? (distanceKm / profile.lengthKm) * CHART_WIDTH : 0;
+}
+
+function firstVertexAtOrAfter(chainage, km) {
+  let low = 0;
+  let high = chainage.length - 1;
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    if (chainage[mid] < km - 1e-9) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+function isCovered(sortedCoverage, km) {
+  let low = 0;
+  let high = sortedCoverage.length - 1;
+  while (low <= high) {
+    const mid = Math.floor((low + high) / 2);
+    const interval = sortedCoverage[mid];
+    if (km < interval.startKm) high = mid - 1;
+    else if (km > interval.endKm) low = mid + 1;
+    else return true;
+  }
+  return false;
+}
+
+// Keep the highest and lowest vertex of each bucket so peaks survive thinning
+function downsample(points, maxPoints) {
+  if (points.length <= maxPoints) return points;
+  const bucketSize = Math.ceil(points.length / (maxPoints / 2));
+  const thinned = [];
+  for (let i = 0; i < points.length; i += bucketSize) {
+    const bucket = points.slice(i, i + bucketSize);
+    const low = bucket.reduce((a, b) => (b.elevation < a.elevation ? b : a));
+    const high = bucket.reduce((a, b) => (b.elevation > a.elevation ? b : a));
+    thinned.push(...(low.distanceKm <= high.distanceKm ? [low, high] : [high, low]));
+  }
+  return thinned;
+}
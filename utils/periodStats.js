@@ -0,0 +1,190 @@
+/**
+ * Week, month and year totals for the Stats page, drawn as inline SVG.
+ *
+ * Totals come from the userPeriodTotals documents the updateDailyTotals Cloud
+ * Function keeps: { id, period: 'week'|'month'|'year', start, totalKm, onPathKm,
+ * elevationM, activityCount }, with ids like '2024-W22', '2024-06' and '2024'.
+ * Weeks are ISO weeks, starting on Monday.
+ */
+
+export const STAT_METRICS = {
+  totalKm: { label: 'Distance', unit: 'km', decimals: 1 },
+  onPathKm: { label: 'On-path distance', unit: 'km', decimals: 1 },
+  elevationM: { label: 'Elevation gain', unit: 'm', decimals: 0 },
+  activityCount: { label: 'Activities', unit: '', decimals: 0 },
+};
+
+const CHART_WIDTH = 1000;        // SVG viewBox units; the chart is stretched to its container
+const CHART_HEIGHT = 200;
+const MAX_COMPARED_YEARS = 5;    // the current year and up to four before it
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The most recent periods of one type up to and including the current one, oldest
+ * first, with periods that have no document filled in as zero.
+ *
+ * @param {Array<Object>} periods      Period total documents
+ * @param {string} periodType          'week', 'month' or 'year'
+ * @param {number} count               How many periods to return
+ * @param {Date} [today]               Date the current period is taken from
+ * @returns {Array<Object>} [{ id, start, label, totals }]
+ */
+export function periodSeries(periods, periodType, count, today = new Date()) {
+  const byId = new Map(periods.filter(p => p.period === periodType).map(p => [p.id, p]));
+  const series = [];
+  let start = periodStart(toUtcDay(today), periodType);
+
+  for (let i = 0; i < count; i++) {
+    const id = periodId(start, periodType);
+    series.unshift({ id, start: isoDate(start), label: periodLabel(start, periodType), totals: byId.get(id) || emptyTotals() });
+    start = periodStart(new Date(start.getTime() - DAY_MS), periodType);
+  }
+  return series;
+}
+
+/**
+ * Running totals of one metric through each year, by month or by ISO week, so years can
+ * be compared at the same point. The current year stops at the current period.
+ *
+ * @param {Array<Object>} periods      Period total documents
+ * @param {string} periodType          'week' or 'month'
+ * @param {string} metric              Key of STAT_METRICS
+ * @param {Date} [today]
+ * @returns {Object} { slots, currentSlot, years: [{ year, cumulative, toDate, total }] } newest year first;
+ *   toDate is the running total at currentSlot, for "this time last year" comparisons
+ */
+export function yearOverYear(periods, periodType, metric, today = new Date()) {
+  const slots = periodType === 'week' ? 53 : 12;
+  const now = toUtcDay(today);
+  const currentYear = periodType === 'week' ? isoWeek(now).year : now.getUTCFullYear();
+  const currentSlot = periodType === 'week' ? isoWeek(now).week - 1 : now.getUTCMonth();
+
+  const valuesByYear = new Map();
+  periods.filter(p => p.period === periodType).forEach(p => {
+    const [year, slot] = periodType === 'week'
+      ? [Number(p.id.slice(0, 4)), Number(p.id.slice(6)) - 1]
+      : [Number(p.id.slice(0, 4)), Number(p.id.slice(5, 7)) - 1];
+    if (year > currentYear || year <= currentYear - MAX_COMPARED_YEARS) return;
+    if (!valuesByYear.has(year)) valuesByYear.set(year, new Array(slots).fill(0));
+    valuesByYear.get(year)[slot] += p[metric] || 0;
+  });
+  if (!valuesByYear.has(currentYear)) valuesByYear.set(currentYear, new Array(slots).fill(0));
+
+  const years = [...valuesByYear.keys()].sort((a, b) => b - a).map(year => {
+    let sum = 0;
+    const cumulative = valuesByYear.get(year).map(value => (sum += value));
+    return {
+      year,
+      cumulative: year === currentYear ? cumulative.slice(0, currentSlot + 1) : cumulative,
+      toDate: cumulative[currentSlot],
+      total: sum,
+    };
+  });
+  return { slots, currentSlot, years };
+}
+
+/**
+ * Draw a series as bars, each with a tooltip, highlighting the last (current) period.
+ *
+ * @param {Array<Object>} series       Result of periodSeries
+ * @param {string} metric              Key of STAT_METRICS
+ * @returns {string} SVG markup
+ */
+export function renderBarChartSvg(series, metric) {
+  if (series.length === 0) return '';
+  const max = Math.max(...series.map(entry => entry.totals[metric] || 0), 1);
+  const slot = CHART_WIDTH / series.length;
+  const barWidth = Math.max(slot * 0.7, 1);
+
+  return `
+    <svg class="stats-chart-svg" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" preserveAspectRatio="none" role="img" aria-label="${STAT_METRICS[metric].label} per period">
+      ${series.map((entry, i) => {
+        const value = entry.totals[metric] || 0;
+        const height = (value / max) * (CHART_HEIGHT - 10);
+        const fill = i === series.length - 1 ? '#fd8640' : '#2563eb';
+        return `<rect x="${(i * slot + (slot - barWidth) / 2).toFixed(1)}" y="${(CHART_HEIGHT - height).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${height.toFixed(1)}" fill="${fill}" fill-opacity="0.8"><title>${entry.label}: ${formatStat(value, metric)}</title></rect>`;
+      }).join('')}
+    </svg>
+  `;
+}
+
+/**
+ * Draw each year's running total as a line, the current year on top in the accent colour
+ * and earlier years fading with age.
+ *
+ * @param {Object} comparison          Result of yearOverYear
+ * @returns {string} SVG markup
+ */
+export function renderYearOverYearSvg(comparison) {
+  const { slots, years } = comparison;
+  const max = Math.max(...years.map(entry => entry.cumulative[entry.cumulative.length - 1] || 0), 1);
+  const x = slot => ((slot + 1) / slots * CHART_WIDTH).toFixed(1);
+  const y = value => (CHART_HEIGHT - (value / max) * (CHART_HEIGHT - 10)).toFixed(1);
+
+  // Oldest first so the current year is drawn last, on top
+  const lines = [...years].reverse().map(entry => {
+    const index = years.indexOf(entry);
+    const colour = yearColour(index);
+    const points = [`0,${CHART_HEIGHT}`, ...entry.cumulative.map((value, slot) => `${x(slot)},${y(value)}`)].join(' ');
+    return `<polyline points="${points}" fill="none" stroke="${colour}" stroke-width="${index === 0 ? 2.5 : 1.5}" vector-effect="non-scaling-stroke"><title>${entry.year}</title></polyline>`;
+  });
+
+  return `
+    <svg class="stats-chart-svg" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" preserveAspectRatio="none" role="img" aria-label="Year-over-year running totals">
+      ${lines.join('')}
+    </svg>
+  `;
+}
+
+/** Line colour for the year at this position of yearOverYear's years (0 is the current year). */
+export function yearColour(index) {
+  return index === 0 ? '#fd8640' : `rgba(37, 99, 235, ${Math.max(0.9 - (index - 1) * 0.2, 0.25)})`;
+}
+
+/** A metric value with its unit, e.g. '12.3 km', '450 m' or '3 activities'. */
+export function formatStat(value, metric) {
+  const { unit, decimals } = STAT_METRICS[metric];
+  const number = (value || 0).toLocaleString(undefined, { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+  if (metric === 'activityCount') return `${number} ${value === 1 ? 'activity' : 'activities'}`;
+  return `${number} ${unit}`;
+}
+
+function emptyTotals() {
+  return { totalKm: 0, onPathKm: 0, elevationM: 0, activityCount: 0 };
+}
+
+function toUtcDay(date) {
+  return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+}
+
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function periodStart(day, periodType) {
+  if (periodType === 'week') return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+  if (periodType === 'month') return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1));
+  return new Date(Date.UTC(day.getUTCFullYear(), 0, 1));
+}
+
+// Same ids as periodsOf in functions/index.js
+function periodId(start, periodType) {
+  if (periodType === 'week') {
+    const { year, week } = isoWeek(start);
+    return `${year}-W${String(week).padStart(2, '0')}`;
+  }
+  return periodType === 'month' ? isoDate(start).slice(0, 7) : isoDate(start).slice(0, 4);
+}
+
+// ISO weeks belong to the year of their Thursday
+function isoWeek(day) {
+  const thursday = new Date(day.getTime() + (3 - ((day.getUTCDay() + 6) % 7)) * DAY_MS);
+  const year = thursday.getUTCFullYear();
+  return { year, week: Math.floor((thursday - Date.UTC(year, 0, 1)) / (7 * DAY_MS)) + 1 };
+}
+
+function periodLabel(start, periodType) {
+  if (periodType === 'week') return `w/c ${start.toLocaleDateString(undefined, { day: 'numeric', month: 'short', timeZone: 'UTC' })}`;
+  if (periodType === 'month') return start.toLocaleDateString(undefined, { month: 'short', year: 'numeric', timeZone: 'UTC' });
+  return String(start.getUTCFullYear());
+}
@@ -0,0 +1,76 @@
+/**
+ * A cheap first look at which activities could touch the coast path, using the summary polyline
+ * Strava includes in the activity list, so streams are only fetched for activities worth analysing.
+ *
+ * The route is cut into short runs of points, each with its bounding box widened by a margin, and an
+ * activity is a candidate when the bounding box of its polyline overlaps any of them. One box round
+ * the whole route would take in most of Devon and Cornwall and let nearly everything through.
+ * The check only ever errs towards "candidate"; the worker's matching decides what counts.
+ */
+
+export const PRESCREEN_MARGIN_KM = 0.5;  // summary polylines are simplified, so allow for some drift
+const POINTS_PER_BOX = 10;
+const MAX_STEP_KM = 2;                    // a longer step is a jump between route sections, not path
+const KM_PER_DEGREE_LAT = 111.32;
+
+/**
+ * Bounding boxes along the route, widened by the margin.
+ *
+ * @param {Array<Array<number>>} coordinates   Route as [lng, lat] pairs, in order
+ * @param {number} [marginKm]
+ * @returns {Array<Object>} [{ minLat, maxLat, minLng, maxLng }]
+ */
+export function routeBoxes(coordinates, marginKm = PRESCREEN_MARGIN_KM) {
+  const boxes = [];
+  let run = [];
+  coordinates.forEach(([lng, lat], i) => {
+    const previous = coordinates[i - 1];
+    if (run.length >= POINTS_PER_BOX || (previous && stepKm(previous, [lng, lat]) > MAX_STEP_KM)) {
+      boxes.push(widen(boundsOf(run), marginKm));
+      // Overlap by a point so consecutive boxes join up, unless this was a jump
+      run = run.length >= POINTS_PER_BOX ? [run[run.length - 1]] : [];
+    }
+    run.push([lat, lng]);
+  });
+  if (run.length > 0) boxes.push(widen(boundsOf(run), marginKm));
+  return boxes;
+}
+
+/**
+ * Bounding box of a track.
+ *
+ * @param {Array<Array<number>>} latlngs     [lat, lng] pairs, as decoded from a summary polyline
+ * @returns {Object|null} { minLat, maxLat, minLng, maxLng }, or null for an empty track
+ */
+export function boundsOf(latlngs) {
+  if (!latlngs || latlngs.length === 0) return null;
+  const lats = latlngs.map(point => point[0]);
+  const lngs = latlngs.map(point => point[1]);
+  return { minLat: Math.min(...lats), maxLat: Math.max(...lats), minLng: Math.min(...lngs), maxLng: Math.max(...lngs) };
+}
+
+/**
+ * Whether a track's bounding box overlaps any of the route boxes.
+ *
+ * @param {Array<Array<number>>} latlngs     [lat, lng] pairs
+ * @param {Array<Object>} boxes              Result of routeBoxes
+ * @returns {boolean} false for a track with no points
+ */
+export function isRouteCandidate(latlngs, boxes) {
+  const bounds = boundsOf(latlngs);
+  if (!bounds) return false;
+  return boxes.some(box => bounds.minLat <= box.maxLat && bounds.maxLat >= box.minLat
+    && bounds.minLng <= box.maxLng && bounds.maxLng >= box.minLng);
+}
+
+function widen(box, marginKm) {
+  const latMargin = marginKm / KM_PER_DEGREE_LAT;
+  const lngMargin = marginKm / (KM_PER_DEGREE_LAT * Math.cos(((box.minLat + box.maxLat) / 2) * Math.PI / 180));
+  return { minLat: box.minLat - latMargin, maxLat: box.maxLat + latMargin, minLng: box.minLng - lngMargin, maxLng: box.maxLng + lngMargin };
+}
+
+// Equirectangular distance between [lng, lat] points; plenty for spotting jumps
+function stepKm([lng1, lat1], [lng2, lat2]) {
+  const x = (lng2 - lng1) * Math.cos(((lat1 + lat2) / 2) * Math.PI / 180);
+  return Math.hypot(x, lat2 - lat1) * KM_PER_DEGREE_LAT;
+}
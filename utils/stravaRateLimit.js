@@ -0,0 +1,191 @@
+/**
+ * Strava rate-limit budget shared by every Strava API call the app makes.
+ *
+ * Strava reports usage on each response as "15-minute,daily" pairs: X-RateLimit-Limit and
+ * X-RateLimit-Usage for all requests, and X-ReadRateLimit-Limit / X-ReadRateLimit-Usage for
+ * reads when the app has a separate read limit. The 15-minute window resets on the quarter
+ * hour and the daily window at midnight UTC.
+ *
+ * The scheduler runs calls one at a time. When the budget for a window is used up it holds the
+ * queue until that window resets, then carries on by itself. Bulk calls (stream fetches, pages
+ * of the activity list) stop short of the limit so one-off calls still get through.
+ */
+
+export const BULK_RESERVE = 10;      // requests per window kept back from bulk calls
+const RESET_MARGIN_MS = 5 * 1000;    // wait a little past the reset so Strava's window has rolled too
+const MAX_RATE_LIMITED_RETRIES = 2;  // times a call is re-queued after a 429
+const SHORT_WINDOW_MS = 15 * 60 * 1000;
+
+/**
+ * The tighter of the overall and read limits for each window, from a response's headers.
+ *
+ * @param {Headers} headers
+ * @returns {Object|null} { shortLimit, shortUsage, dailyLimit, dailyUsage }, or null without rate-limit headers
+ */
+export function parseRateLimit(headers) {
+  const pairs = [['X-RateLimit-Limit', 'X-RateLimit-Usage'], ['X-ReadRateLimit-Limit', 'X-ReadRateLimit-Usage']]
+    .map(([limitHeader, usageHeader]) => [splitPair(headers.get(limitHeader)), splitPair(headers.get(usageHeader))])
+    .filter(([limit, usage]) => limit && usage);
+  if (pairs.length === 0) return null;
+
+  const tightest = index => pairs.reduce((best, [limit, usage]) =>
+    (!best || limit[index] - usage[index] < best.limit - best.usage ? { limit: limit[index], usage: usage[index] } : best), null);
+  const short = tightest(0);
+  const daily = tightest(1);
+  return { shortLimit: short.limit, shortUsage: short.usage, dailyLimit: daily.limit, dailyUsage: daily.usage };
+}
+
+/**
+ * When the 15-minute and daily windows containing this moment end.
+ *
+ * @param {number} time                Milliseconds since the epoch
+ * @returns {Object} { shortResetAt, dailyResetAt } in milliseconds since the epoch
+ */
+export function windowResets(time) {
+  const day = new Date(time);
+  return {
+    shortResetAt: (Math.floor(time / SHORT_WINDOW_MS) + 1) * SHORT_WINDOW_MS,
+    dailyResetAt: Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate() + 1),
+  };
+}
+
+/**
+ * A queue for Strava calls that keeps within the rate limits.
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.onChange]  Called with the status (see status()) whenever it changes
+ * @param {Function} [options.onPause]   Called with (resumeAt, window) when the queue is held; window is 'short' or 'daily'
+ * @param {Function} [options.onResume]  Called with the number of queued calls when a held queue carries on
+ * @param {Function} [options.now]       Clock, for tests
+ * @param {Function} [options.wait]      Delay, for tests
+ * @returns {Object} { schedule, status }
+ */
+export function createRateLimitScheduler({
+  onChange = () => {},
+  onPause = () => {},
+  onResume = () => {},
+  now = () => Date.now(),
+  wait = ms => new Promise(resolve => setTimeout(resolve, ms)),
+} = {}) {
+  const queue = [];
+  const budget = { shortLimit: null, shortUsage: 0, dailyLimit: null, dailyUsage: 0, ...windowResets(now()) };
+  let pausedUntil = null;
+  let running = false;
+  let wake = null; // ends a pause early, for a one-off call that is still within budget
+
+  function status() {
+    rollWindows();
+    return { ...budget, pausedUntil, queued: queue.length };
+  }
+
+  // Usage counts only until its window ends
+  function rollWindows() {
+    const time = now();
+    const resets = windowResets(time);
+    if (time >= budget.shortResetAt) {
+      budget.shortUsage = 0;
+      budget.shortResetAt = resets.shortResetAt;
+    }
+    if (time >= budget.dailyResetAt) {
+      budget.dailyUsage = 0;
+      budget.dailyResetAt = resets.dailyResetAt;
+    }
+  }
+
+  // The window a call has to wait for, or null if it can go now
+  function exhaustedWindow(bulk) {
+    rollWindows();
+    const reserve = bulk ? BULK_RESERVE : 0;
+    if (budget.dailyLimit !== null && budget.dailyUsage >= budget.dailyLimit - reserve) return 'daily';
+    if (budget.shortLimit !== null && budget.shortUsage >= budget.shortLimit - reserve) return 'short';
+    return null;
+  }
+
+  async function drain() {
+    if (running) return;
+    running = true;
+    while (queue.length > 0) {
+      const job = queue[0];
+      const window = exhaustedWindow(job.bulk);
+      if (window) {
+        const resumeAt = window === 'daily' ? budget.dailyResetAt : budget.shortResetAt;
+        if (resumeAt !== pausedUntil) {
+          pausedUntil = resumeAt;
+          onPause(resumeAt, window);
+        }
+        onChange(status());
+        await Promise.race([wait(resumeAt - now() + RESET_MARGIN_MS), new Promise(resolve => { wake = resolve; })]);
+        wake = null;
+        continue;
+      }
+      if (pausedUntil !== null && (job.bulk || now() >= pausedUntil)) {
+        pausedUntil = null;
+        onResume(queue.length);
+      }
+
+      queue.shift();
+      // Counted straight away; the response then reports Strava's own figures
+      budget.shortUsage++;
+      budget.dailyUsage++;
+      onChange(status());
+
+      let response;
+      try {
+        response = await job.send();
+      } catch (error) {
+        job.reject(error);
+        continue;
+      }
+
+      const limits = parseRateLimit(response.headers);
+      if (limits) Object.assign(budget, limits);
+      if (response.status === 429) {
+        // Over the limit anyway (the quota is shared by every user of the app): hold until the window
+        // that ran out resets, which is midnight UTC when the daily allowance is gone
+        const dailySpent = budget.dailyLimit !== null && budget.dailyUsage >= budget.dailyLimit;
+        if (!dailySpent) {
+          if (budget.shortLimit === null) budget.shortLimit = budget.shortUsage;
+          budget.shortUsage = Math.max(budget.shortUsage, budget.shortLimit);
+        }
+        if (job.retries < MAX_RATE_LIMITED_RETRIES) {
+          job.retries++;
+          queue.unshift(job);
+          continue;
+        }
+      }
+      job.resolve(response);
+      onChange(status());
+    }
+    running = false;
+    pausedUntil = null;
+    onChange(status());
+  }
+
+  /**
+   * Queue a call.
+   *
+   * @param {Function} send               Makes the request and returns the fetch Response
+   * @param {Object} [options]
+   * @param {boolean} [options.bulk]      Part of a long run of calls; leaves BULK_RESERVE for others
+   * @returns {Promise<Response>} The response; a 429 only once the retries are used up
+   */
+  function schedule(send, { bulk = false } = {}) {
+    return new Promise((resolve, reject) => {
+      const job = { send, bulk, retries: 0, resolve, reject };
+      // One-off calls go ahead of queued bulk calls
+      const firstBulk = bulk ? -1 : queue.findIndex(queued => queued.bulk);
+      if (firstBulk === -1) queue.push(job);
+      else queue.splice(firstBulk, 0, job);
+      if (wake && !bulk) wake();
+      drain();
+    });
+  }
+
+  return { schedule, status };
+}
+
+function splitPair(value) {
+  if (!value) return null;
+  const numbers = value.split(',').map(part => Number(part.trim()));
+  return numbers.length === 2 && numbers.every(Number.isFinite) ? numbers : null;
+}